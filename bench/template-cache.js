@@ -0,0 +1,78 @@
+// Measures the resolving of short expressions and of a large config with and
+//  without the template-cache. Not part of the tests because the times
+//  depend on the machine and its load.
+//
+// Usage: yarn bench [<path to another index.js to compare with>]
+const path = require("path")
+
+const modules = [["current", path.join(__dirname, "..", "index.js")]]
+if (process.argv[2]) modules.push(["compared", path.resolve(process.argv[2])])
+
+const repository = { a: "A", b: { c: "C" }, n: "42", d: "${a}-x" }
+const shortExpressions = [
+    "x ${a} y",
+    "${b.c | upper}",
+    "${n | toNumber}",
+    "${q | -d:'z'}",
+    "${d}",
+]
+
+const config = {}
+for (let i = 0; i < 300; i++) {
+    repository["key" + i] = "value" + i
+    config["prop" + i] = {
+        url:
+            "https://${key" +
+            i +
+            "}/" +
+            "segment/".repeat(50) +
+            "${key" +
+            (i + 1) +
+            "}?" +
+            "x=1&".repeat(50),
+        name: "${key" + i + " | upper | -d:'none'}",
+        port: "${port | -d:'8080' | toNumber}",
+    }
+}
+const configJson = JSON.stringify(config)
+
+// Returns the best time (ms) of the runs. The time of prepare() isn't measured.
+function measure(runs, fn, prepare = () => undefined) {
+    fn(prepare()) // warm up the JIT
+    let best = Infinity
+    for (let i = 0; i < runs; i++) {
+        const input = prepare()
+        const start = process.hrtime.bigint()
+        fn(input)
+        best = Math.min(best, Number(process.hrtime.bigint() - start) / 1e6)
+    }
+    return best
+}
+
+for (const [name, file] of modules) {
+    const MacroInt = require(file)
+    const macroInt = new MacroInt(repository)
+    const cacheSize = MacroInt.templateCacheSize
+    for (const cached of cacheSize > 0 ? [true, false] : [false]) {
+        if (cacheSize > 0) {
+            MacroInt.templateCacheSize = cached ? cacheSize : 0
+            MacroInt._templateCache.clear()
+        }
+        const short = measure(5, () => {
+            for (let i = 0; i < 20000; i++)
+                for (const expression of shortExpressions)
+                    macroInt.resolve(expression)
+        })
+        const large = measure(
+            5,
+            (configs) => configs.forEach((config) => macroInt.resolve(config)),
+            () => Array.from({ length: 20 }, () => JSON.parse(configJson))
+        )
+        const label = cached ? name : name + " (no cache)"
+        console.log(
+            `${label}: short expressions ${Math.round(short)} ms, ` +
+                `large config ${Math.round(large)} ms`
+        )
+    }
+    MacroInt.templateCacheSize = cacheSize
+}
@@ -1,221 +1,4 @@
 export = MacroInt;
-/**
- * @name macroKey
- * @private  // don't add automatically to the readme
- * @description
- * A macroKey is that part of a macro that will be interpolated to a result-value.
- * It can be one of the following:
- *
- * 1. A key-value (without any string-delimiters) that will be searched in the
- *    provided [Repositories](#repository)) or passed to the registered
- *    [RepositoryCallbacks](#repositorycallback)). This is the default if the
- *    `macroKey` is non of the following types. If key-value can't be
- *    resolved/found `undefined` is returned.
- *
- * 2. A String enclosed in string-delimiters (one of the three " ' \` ). The
- *    content of the string is returned as the result of the macro. This
- *    string-constants are useful to define default-values in the `default`-modifier.
- *
- * 3. A ^-symbol followed by a number. This is used to access the name of a
- *    property in the path to the current property. This feature is only useful
- *    if an object/array is to be resolved. Normally this feature is especially
- *    useful together with the [siblings-templates](#siblings-templates).\
- *    `parent.child.key = "\${^-1}"` --> "key"\
- *    `parent.child.key = "\${^-2}"` --> "child"\
- *    `parent.child.key = "\${^-3}"` --> "parent"\
- *    `parent.child.key = "\${^0}"` --> "parent"\
- *    `parent.child.key = "\${^1}"` --> "child"\
- *    `parent.child.key = "\${^2}"` --> "key"\
- */
-/**
- * @name Modifier
- * @private  // don't add automatically to the readme
- * @description
- * Modifiers are keywords that have a function assigned [modifierCallback](#modifiercallback).
- * Modifiers can have a unlimited number of alias-names (e.g. long- and short-name).
- * The modifier-keywords are **case-insensitive**. An unlimited number of modifiers
- * can be applied to every macro. One modifier can be used multiple times in one
- * macro (e.g. the "default"-modifier).\
- * \
- * Custom additional modifiers can be added via the static `MacroInt.registerModifier()`
- * and removed with `MacroInt.unregisterModifier()`.\
- * \
- * There are a couple of modifiers predefined. All predefined modifiers have at
- * least one full-name and one short alias with a leading "-" plus one or two
- * characters (e.g. `default` and `-d`).\
- *
- *
- * The following modifiers are pre-defined:
- *
- *
- * ### _default:\<macroKey> / -d:\<macroKey>_
- * This modifier defines a default in case the result of the macro is still
- * `undefined`. The default-value after the `:` can be any <[macroKey](#macrokey)>.
- *
- * ### _mandatory / -m_
- * This modifier defines that the macro-result can't be `undefined`. It it is
- * an error is added to the errors-array. Depending of the throwErrors-flag
- * (see [Constructor](#constructor)) of the constructor flag a error is thrown
- * at the end of the resolve-process.
- * If the allowUndefined-flag == false (see [Constructor](#constructor)) this
- * modifier has no real function because an error is added for every undefined
- * result.
- *
- * ### _upper / -u_
- * This modifier converts the result-string of the macro into an uppercase-string.
- *
- * ### _lower / -l_
- * This modifier converts the result-string of the macro into an uppercase-string.
- *
- * ### _emptyArray / -ea_
- * This modifier returns an empty array if the
- * macro-result is `undefined`. Otherwise it returns an array with the
- * macro-result as it's only entry.
- *
- * ### _toNumber[:\<default>] / toNum[:\<default>] / -tn[:\<default>]_
- * Converts the macro-result to a number. If the result is no number the \<default>
- * is used (converted to a number). If no default is provided an error is added.
- *
- * ### _toBoolean / toBool / -tb_
- * Converts the macro-result to a boolean value. The strings "false" and "0"
- * return `false`. All other values are converted using the Boolean(result) function.\
- *
- * ### Examples
- *
- * ```js
- * mi = new MacroInt({ name: "MacroInt" })
- *
- * // Convert the result to uppercase (modifier-key: "uppercase" / "-u")
- * console.log(mi.resolve("${name | upper}")) // => MACROINT
- *
- * // Use a default in case the macro is undefined (modifier-key: "default" / "-d").
- * console.log(mi.resolve("${xxx | default: 'unknown'}")) // => unknown
- *
- * // Throw an error if macro-result is 'undefined' (modifier-key: "mandatory" / "-m").
- * try {
- *     console.log(mi.resolve("${xxx | mandatory}"))
- * } catch (e) {
- *     console.log(e)
- * }
- *
- * // Multiple defaults. Only the 'foo' alternative can be found in the repository. Lowercase the result
- * console.log(mi.resolve("${foo1 | -d:foo | -d:'not found' | lower}")) // => bar
- * // No version of 'foo' alternatives can be found in the repository. Uppercase the result
- * console.log(mi.resolve("${foo1 | -d:Foo2 | -d:'not found' | upper}")) // => NOT FOUND
- * // Uppercase-modifier before the string-default => the "not found" is returned not uppercase.
- * console.log(mi.resolve("${foo1 | -d:Foo2  | upper | -d:'not found'}")) // => not found
- * ```
- */
-/**
- * @name ModifierCallback
- * @private
- * @description
- * A ModifierCallback can modify or check the macro-result after the interpolation.
- *
- * The callback has to return a result. The result is the new macro-result-value,
- * and either passed to the next modifier or used as the final result of the
- * interpolation.
- *
- * To get a better idea of the implementation of a modifier see the implementation
- * of the default-modifiers.
- *
- * @callback ModifierCallback
- * @param {MacroInt} macroInt - The current macroInt-object. Provides some useful functions like .getValue or addError
- * @param {*} macroValue - The interpolated current result value of the macro (=result)
- * @param {String|undefined} parameters - String that contains the parameter(s) that were given to the modifier if any.
- * @return {*}
- * @see Modifier
- * @see MacroInt.registerModifier
- * @example
- * ```js
- * MacroInt.registerModifier(
- *     ["reverse", "-r"],
- *     (macroInt, macroValue, params) => {
- *         return ("" + macroValue).split("").reverse().join("")
- *     }
- * )
- * const macroInt = new MacroInt({ macro: "Hello" })
- * console.log(macroInt.resolve("${macro | -r}")) // expected: olleH
- * ```
- */
-/**
- * @name Error-Handling
- * @private
- * @description
- * Errors that are found during the macro interpolation process are collected
- * in the .errors-array. Javascript errors are still thrown immediately. By
- * default all found errors are thrown an one error at the end of the resolve-function.\
- * By setting the constructor-parameter `options.throwErrors=false`. Then the
- * caller should check the .errors-array manually. This is not recommended.
- *
- * If the options.throwErrors=true (default) the .errors-array is cleared at
- * the beginning of every call to .resolve(). If options.throwErrors=false the
- * array is never cleared and all new errors are added to the existing entries.
- * (The array can be cleared manually via `<instance>.errors.length = 0`.)
- *
- * @see constructor
- * @see options.throwErrors
- * @see options.allowUndefined
- */
-/**
- * @name MacroSymbols
- * @private  // don't add automatically to the readme
- * @description
- * The `MacroSymbols` is an object that has a couple of properties that define
- * the string-indicators used to identify the different parts of a macro.\
- * \
- * The `MacroSymbols` used by `MacroInt` can be modified by either change
- * the static MacroInt.defaultSymbols (which is **dangerous** because all other
- * modules using `MacroInt` are affected). The other way is to provide an object
- * with some or all of the defined symbols to the options.symbols parameter of
- * the MacroInt-constructor.
- *
- * @property {String} [macroBegin=${] - Indicates the begin of a macro inside of an expression. Must be a non-empty string.
- * @property {String} [macroEnd=}] -  String that indicates the end of a macro inside an expression. Must be a non-empty string.
- * @property {String} [modifierSeparator=\|] - String that separates the regular macroKey and modifier(s). Must be a non-empty string.
- * @property {String} [modifierParamSeparator=:] - String that's used as a separator between one modifier and it's optional parameters. Must be a non-empty string.
- * @property {String} [propertyPathIndicator=^] - String to identify expressions that will be interpolated with the name of one of the parent-nodes of the current entry. (By default only used if `.resolve` is called with an object-parameter.)
- * @property {String} [siblingsTemplateKey=$template] - String that identifies a property in an object that is used as an template for all siblings [siblings-templates](#siblings-templates) of that entry.
- */
-/**
- * @name Repository
- * @private  // don't add automatically to the readme
- * @description
- * A repository is used to get the value for a `macroKey`.
- *
- * Multiple repositories can be assigned to one MacroInt-instance. A repository
- * can have one of the following types:
- *
- * ### Repository-Object
- * That's the most common use-case. The object can have properties
- *   with any depth. To access elements below the root level the key must have
- *   the full path to the property encoded like "${parent1.parent2.key}".
- * ### RepositoryCallback
- * A repository-callback is called to resolve the macroKey.
- * If a Repository is a callback-function that function is called instead of
- * retrieving property-values from an object-repository.\
- * The callback returns either the resolved value or `undefined` if the value
- * could not be resolved.
- *
- * @param {String} macroKey - The keyword that will be searched.
- * @param {MacroInt} macroInt - The MacroInt-object that provides information and helper functions.
- * @return {*|undefined}
- */
-/**
- * @name Siblings-Templates
- * @private
- * @description
- * The sibling templates allow the definition of all necessary entries for all sibling-objects.
- *
- * TODO: Build documentation
- */
-/**
- * FoundModifier-Object is the object-format of the elements of the array of modifiers found in a macro.
- *
- * @private
- * @typedef {{key: String, params: String|undefined}} FoundModifier
- */
-/**
 /**
  * @class
  * @classdesc
@@ -234,6 +17,58 @@ declare class MacroInt {
      * @see .unregisterModifier()
      */
     private static _modifiers;
+    /**
+     * The metadata and the (case-sensitive) names given to
+     * `.registerModifier()`. The key is the callback of the modifier.
+     *
+     * @private
+     * @type {WeakMap<Function, Object>}
+     */
+    private static _modifierInfos;
+    /**
+     * Cache for the syntax-trees of parsed expressions. The key is the
+     * expression itself (hashing a string that's built for every lookup would
+     * cost nearly as much as parsing it). Every entry maps the symbols that
+     * were used to parse the expression to the syntax-tree. The least recently
+     * used expressions are removed if `templateCacheSize` is reached.
+     *
+     * @private
+     * @type {Map<String, Map<String, TemplateNode>>}
+     * @see MacroInt.templateCacheSize
+     */
+    private static _templateCache;
+    /**
+     * Thrown by `._call()` to interrupt an asynchronous evaluation until the
+     * Promise of a callback is settled (see `._run()`).
+     *
+     * @private
+     * @type {Object}
+     */
+    private static _interruption;
+    /**
+     * Maximum number of parsed expressions that are kept in the global
+     * template-cache (shared by all instances). The least recently used
+     * expressions are removed first. The size should be larger than the number
+     * of distinct expressions that are resolved repeatedly (e.g. all
+     * properties of a config). Setting it to `0` disables the cache.
+     *
+     * @type {Number}
+     */
+    static templateCacheSize: number;
+    /**
+     * The class of the entries of the `.errors`-array.
+     *
+     * @type {Function}
+     * @see Error-Handling
+     */
+    static MacroIntError: Function;
+    /**
+     * The class of the error that's thrown if errors were found.
+     *
+     * @type {Function}
+     * @see Error-Handling
+     */
+    static MacroIntAggregateError: Function;
     /**
      * Static variable with the defaults for all symbols that are used to identify the various parts of the macro-interpolation.
      * This object can be used to change identifier(s) globally for all future instances of MacroInt.
@@ -242,28 +77,71 @@ declare class MacroInt {
      */
     static defaultSymbols: MacroSymbols;
     /**
-     * Register a modifier.
+     * Static variable with the [MacroSymbols](#macrosymbols) of the
+     * [Syntax-Presets](#syntax-presets) that can be selected with the
+     * constructor-option `syntax`.
+     *
+     * @type {Object.<string, Object>}
+     * @see Syntax-Presets
+     */
+    static syntaxPresets: {
+        [x: string]: any;
+    };
+    /**
+     * Static variable with the escape-functions of the output-contexts that
+     * can be selected with the constructor-option `autoEscape` (see
+     * [Auto-Escaping](#auto-escaping)). Every function gets the macro-result
+     * as string and returns the escaped string.
+     *
+     * @type {Object.<string, function(String): String>}
+     * @see Auto-Escaping
+     */
+    static escapeContexts: {
+        [x: string]: (arg0: string) => string;
+    };
+    /**
+     * Register a global modifier that's available in all instances. Use
+     * the instance-function `.registerModifier()` or `options.modifiers` (see
+     * [Constructor](#constructor)) to avoid collisions with the modifiers of
+     * other modules.
      *
      * @param {String|String[]} keyWords - A single name or an array of names that can be used as a keyword for the modifier inside of a macro.
      * @param {ModifierCallback} callback - A function that's called if the modifier was found in the macro.
+     * @param {Object} [info=undefined] - Optional metadata of the modifier for `.listModifiers()`:
+     *    @param {String} [info.description] - What the modifier does.
+     *    @param {String} [info.params] - The signature of the parameters (e.g. "[:<default>]").
+     *    @param {String} [info.input] - The accepted type of the macro-value (e.g. "String" or "*").
+     *    @param {String} [info.output] - The type of the result.
+     *    @param {String[]} [info.examples] - Examples of the usage.
+     *    @param {Boolean} [info.args=false] - If `true` the callback gets the parsed parameters as its 4th argument (see ModifierCallback).
+     *    @param {Boolean} [info.lazyParams=false] - If `true` the nested macros in the parameters aren't evaluated before the callback is called (see ModifierCallback).
      * @chainable
      * @see ModifierCallback
      * @return {this} Reference to the MacroInt-class.
      * @throws {TypeError} if the callback is not a function.
-     * @throws {Error} if another modifier has already one of the new keywords registered.
+     * @throws {MacroIntError} if another modifier has already one of the new keywords registered.
      * @example
      * ```js
      * MacroInt.registerModifier(
      *     ["reverse", "-r"],
      *     (macroInt, macroValue, params) => {
      *         return ("" + macroValue).split("").reverse().join("")
-     *     }
+     *     },
+     *     { description: "Reverses the result.", output: "String", examples: ["${name | -r}"] }
      * )
      * const macroInt = new MacroInt({ macro: "Hello" })
      * console.log(macroInt.resolve("${macro | -r}")) // expected: olleH
      * ```
      */
-    static registerModifier(keyWords: string | string[], callback: ModifierCallback): any;
+    static registerModifier(keyWords: string | string[], callback: ModifierCallback, info?: {
+        description?: string;
+        params?: string;
+        input?: string;
+        output?: string;
+        examples?: string[];
+        args?: boolean;
+        lazyParams?: boolean;
+    }): any;
     /**
      * Remove a previously registered modifier.
      *
@@ -285,19 +163,139 @@ declare class MacroInt {
      */
     static unregisterModifier(keyWords: string | string[]): boolean;
     /**
-     * <a name="constructor"></a>
-     * @constructor
-     * @param {Repository|Repository[]} [repositories=undefined] - A single [repository](#repository) or an array of repositories.
-     * @param {Object} [options=undefined] - Additional options for the new instance.
-     *      @param {Boolean} [options.throwErrors=true] - Flag that indicates wether errors are thrown at the end of an interpolation-process. If this flag is `false` the caller should check the .errors-arrays.
-     *      @param {Boolean} [options.allowUndefined=true] - If this flag is `false` an error is added if the result of a macro is `undefined`. If `._throwErrors == true` an error is thrown after all macros are resolved. Defaults to `true`
-     *      @param {MacroSymbols} [options.symbols] - An optional object that contains all or some of the [MacroSymbols](#macrosymbols).properties to override the defaultSymbols.
+     * Lists all global modifiers with their aliases and metadata.
+     *
+     * @return {ModifierInfo[]} One entry per modifier in the order of the registration.
+     * @see registerModifier
+     * @example
+     * ```js
+     * info = MacroInt.listModifiers().find((info) => info.names.includes("-tn"))
+     * console.log(info.names, info.params) // => [ 'toNumber', 'toNum', '-tn' ] [:<default>]
+     * console.log(MacroInt.formatModifiers([info]))
+     * ```
      */
-    constructor(repositories?: Repository | Repository[], options?: {
-        throwErrors?: boolean;
-        allowUndefined?: boolean;
-        symbols?: MacroSymbols;
-    });
+    static listModifiers(): ModifierInfo[];
+    /**
+     * Formats the given modifiers as a help-text: One paragraph per modifier
+     * with its names, parameters, description, types and examples.
+     *
+     * @param {ModifierInfo[]} [modifiers=MacroInt.listModifiers()] - The modifiers to describe.
+     * @return {String} The help-text.
+     */
+    static formatModifiers(modifiers?: ModifierInfo[]): string;
+    /**
+     * Groups the registered names by their callbacks.
+     *
+     * @private
+     * @param {Array.<Array>} entries - The [name, callback]-pairs of the registries.
+     * @param {function(ModifierCallback): (Object|undefined)} [getInfo] - Returns the metadata of a callback (the global metadata by default).
+     * @return {ModifierInfo[]}
+     */
+    private static _groupModifiers;
+    /**
+     * Calculates the Levenshtein-distance (the number of inserted, deleted or
+     * replaced characters) between two strings.
+     *
+     * @private
+     * @param {String} a
+     * @param {String} b
+     * @return {Number}
+     */
+    private static _editDistance;
+    /**
+     * Splits a key-path (the [macroKey](#macrokey) of a repository-value)
+     * into its segments.
+     *
+     * - Segments are separated by dots: `parent.child.key`
+     * - Brackets contain array-indexes: `servers[0].host`. Negative indexes
+     *   count from the end of arrays/strings: `list[-1]`
+     * - Brackets with a quoted string (" ' \`) contain segments with special
+     *   characters: `flags["com.example.flag"]`
+     * - The `escapeChar` (a backslash by default) escapes the next character:
+     *   `flags.com\.example\.flag`. The instances use their
+     *   [escapeChar](#macrosymbols) (`${flags.com\.example}`). An empty
+     *   `escapeChar` disables escaping.
+     *
+     * Keys that don't match the grammar (e.g. `a[b]`) are split at every dot
+     * like in the previous versions.
+     *
+     * @param {String} macroKey - The key-path to split.
+     * @param {String} [escapeChar] - The character that escapes the next character (a backslash by default).
+     * @return {Array.<String|Number>} The segments: Strings for property-names and Numbers for indexes.
+     * @example
+     * ```js
+     * MacroInt.parseKeyPath('servers[0].tags["a.b"]') // => [ 'servers', 0, 'tags', 'a.b' ]
+     * ```
+     */
+    static parseKeyPath(macroKey: string, escapeChar?: string): Array<string | number>;
+    /**
+     * Converts a literal [macroKey](#macrokey) into its value: Numbers,
+     * `true`, `false`, `null` and JSON-arrays/-objects.
+     *
+     * @private
+     * @param {String} macroKey - The (trimmed) macroKey.
+     * @return {{value: *}|undefined} The value of the literal or `undefined` if the key isn't a literal.
+     */
+    private static _parseLiteral;
+    /**
+     * Converts a value into a boolean: The strings "false" and "0" are
+     * `false`. All other values are converted with `Boolean()`. Used by the
+     * `toBoolean`-modifier, too (so it's not `@private`).
+     *
+     * @ignore
+     * @param {*} value
+     * @return {Boolean}
+     */
+    static _toBoolean(value: any): boolean;
+    /**
+     * Parses an expression-[macroKey](#macrokey) like `port + 1`,
+     * `a > 1 and not b` or `a ?? b` into a tree. The operands are macroKeys
+     * themselves. Operators are only found at the begin of a token (after a
+     * whitespace, a parenthesis or another operator). Operator-characters
+     * inside of an operand are part of the key (`my-key - 1`, `secret/db`).
+     *
+     * @private
+     * @param {String} macroKey - The (trimmed) macroKey.
+     * @return {Object|undefined} The root-node of the expression or `undefined` if the key isn't an expression.
+     */
+    private static _parseExpression;
+    /**
+     * <a name="constructor"></a>
+     * @constructor
+     * @param {Repository|Repository[]} [repositories=undefined] - A single [repository](#repository) or an array of repositories.
+     * @param {Object} [options=undefined] - Additional options for the new instance.
+     *      @param {Boolean} [options.throwErrors=true] - Flag that indicates wether errors are thrown at the end of an interpolation-process. If this flag is `false` the caller should check the .errors-arrays.
+     *      @param {Boolean} [options.allowUndefined=true] - If this flag is `false` an error is added if the result of a macro is `undefined`. If `._throwErrors == true` an error is thrown after all macros are resolved. Defaults to `true`
+     *      @param {Number} [options.maxDepth=100] - Maximum depth of macro-values that contain macros themselves (e.g. `${a}` --> "${b}" --> "${c}" = depth 2). An error is added if a value is nested deeper. Must be a positive integer.
+     *      @param {Number} [options.maxLength=1000000] - Maximum length of the strings created by the modifiers `repeat`, `padStart` and `padEnd`. An "invalid-param"-error is added if a result would be longer. Must be a positive integer.
+     *      @param {Boolean} [options.emptyIsMissing=false] - If this flag is `true` the fallback-operator `??` (`${a ?? b}`) skips `null` and "" values, too. Otherwise only `undefined` values are skipped.
+     *      @param {String} [options.onUndefined="undefined"] - Defines what happens with a macro which's result is `undefined`:
+     *          - "undefined": The result is `undefined` (inside of a string the text "undefined" is inserted).
+     *          - "keep": The macro-text (e.g. "${key}") is kept. Allows resolving the expression in multiple stages with different instances.
+     *          - "empty": An empty string is inserted (the result of a single macro is "").
+     *          - "delete": The result of the whole expression is `undefined`. During `.resolve()` of an object the property is deleted (array-elements are set to `undefined`).
+     *          - "error": An "undefined-value"-error is added (like with `allowUndefined=false`) and the macro-text is kept.
+     *      @param {String} [options.autoEscape="none"] - The output-context ("html", "url", "shell", "json-string" or "none"). The results of macros that are embedded in a larger string are escaped for the context (see [Auto-Escaping](#auto-escaping)).
+     *      @param {Object.<string, ModifierCallback>} [options.modifiers] - Modifiers that are registered on the new instance (name -> callback, see `.registerModifier()`). They shadow the global modifiers with the same name.
+     *      @param {String[]} [options.allowedModifiers] - Names of the global modifiers the instance can use. All aliases of an allowed modifier can be used. An empty array allows no global modifier at all (only the modifiers of `options.modifiers`). By default all global modifiers are allowed.
+     *      @param {String} [options.syntax] - The name of one of the [Syntax-Presets](#syntax-presets) ("shell", "mustache", "ci") whose symbols override the defaultSymbols.
+     *      @param {MacroSymbols} [options.symbols] - An optional object that contains all or some of the [MacroSymbols](#macrosymbols).properties to override the defaultSymbols (and the symbols of the syntax-preset).
+     */
+    constructor(repositories?: Repository | Repository[], options?: {
+        throwErrors?: boolean;
+        allowUndefined?: boolean;
+        maxDepth?: number;
+        maxLength?: number;
+        emptyIsMissing?: boolean;
+        onUndefined?: string;
+        autoEscape?: string;
+        modifiers?: {
+            [x: string]: ModifierCallback;
+        };
+        allowedModifiers?: string[];
+        syntax?: string;
+        symbols?: MacroSymbols;
+    });
     /**
      * Instance-variable that gets initialized with a copy of the static
      * MacroInt.defaultSymbols.
@@ -306,6 +304,15 @@ declare class MacroInt {
      * @type {MacroSymbols}
      */
     private _usedSymbols;
+    /**
+     * The key of the template-cache-entries that's built from the
+     * `_usedSymbols` (see `._getTemplate()`). Built when the first expression
+     * is parsed.
+     *
+     * @private
+     * @type {String|undefined}
+     */
+    private _symbolsKey;
     /**
      * Array with the registered repositories.
      * @private
@@ -326,6 +333,20 @@ declare class MacroInt {
      * @type {String|undefined}
      */
     private _currentExpression;
+    /**
+     * The node of the current macro in the syntax-tree of the complete
+     * expression. Used for the location (offset, line, column) in errors.
+     * @private
+     * @type {MacroNode|undefined}
+     */
+    private _currentMacroNode;
+    /**
+     * The node of the currently executed modifier of `_currentMacroNode`.
+     * Used for the location in errors.
+     * @private
+     * @type {ModifierNode|undefined}
+     */
+    private _currentModifierNode;
     /**
      * Defines if the current expression is exactly one macro
      * @private
@@ -364,64 +385,275 @@ declare class MacroInt {
      * @see Error-Handling
      */
     private _throwErrors;
+    /**
+     * Flag that indicates that the callbacks are awaited. Only `true` in the
+     * scope-objects created by `.resolveAsync()`.
+     * @private
+     * @type {Boolean}
+     * @see resolveAsync
+     */
+    private _async;
+    /**
+     * The recorded callback-results of the current asynchronous evaluation
+     * (see `._run()` and `._call()`).
+     * @private
+     * @type {Array.<Object>|undefined}
+     */
+    private _steps;
+    /**
+     * The index of the next callback-result in `_steps`.
+     * @private
+     * @type {Number}
+     */
+    private _stepIndex;
+    /**
+     * The unevaluated parameters of the modifier that's currently called
+     * (only for modifiers registered with `lazyParams`, see
+     * `._evaluateLazyParams()`).
+     * @private
+     * @type {{text: String, parts: Array.<TextNode|MacroNode>, expression: String, asText: Boolean}|undefined}
+     */
+    private _lazyParams;
+    /**
+     * Maximum depth of macro-values that contain macros themselves
+     * (e.g. `${a}` --> "${b}" --> "${c}" = depth 2).
+     * @private
+     * @type {Number}
+     */
+    private _maxDepth;
+    /**
+     * Maximum length of the strings created by modifiers like `repeat` and
+     * `padStart` (read by the string-modifiers, so it's not `@private`).
+     * @ignore
+     * @type {Number}
+     */
+    _maxLength: number;
+    /**
+     * The modifiers registered on this instance (see `.registerModifier()`).
+     * They shadow the global modifiers. Only created if it's needed.
+     * @private
+     * @type {Object.<string, ModifierCallback>|undefined}
+     */
+    private _modifiers;
+    /**
+     * The metadata of the modifiers registered on this instance (like the
+     * static `MacroInt._modifierInfos`). Only created if it's needed.
+     * @private
+     * @type {WeakMap<Function, Object>|undefined}
+     */
+    private _modifierInfos;
+    /**
+     * The callbacks of the global modifiers that can be used by this instance
+     * (see `options.allowedModifiers`). `undefined` = all global modifiers.
+     * @private
+     * @type {ModifierCallback[]|undefined}
+     */
+    private _allowedModifiers;
+    /**
+     * If this flag is `true` the fallback-operator `??` treats `null` and ""
+     * like `undefined`.
+     * @private
+     * @type {Boolean}
+     */
+    private _emptyIsMissing;
+    /**
+     * Defines what happens with a macro which's result is `undefined`. One
+     * of "undefined", "keep", "empty", "delete" and "error".
+     * @private
+     * @type {String}
+     */
+    private _onUndefined;
+    /**
+     * The escape-function of `options.autoEscape` (`undefined` if the
+     * macro-results aren't escaped).
+     * @private
+     * @type {function(String): String|undefined}
+     */
+    private _autoEscape;
+    /**
+     * The macro-node that contains the `raw`-modifier (see `._markRaw()`).
+     * @private
+     * @type {MacroNode|undefined}
+     */
+    private _rawNode;
+    /**
+     * The macroKeys of the macro-values that are currently resolved
+     * (e.g. `${a}` --> "${b}" --> "${c}" = ["a", "b"]). Used to detect
+     * cyclic references.
+     * @private
+     * @type {String[]}
+     */
+    private _macroKeyChain;
     /**
      * Array that contains errors that occured during the last call of .resolve().\
      * See the chapter about the [Error-Handling](#error-handling) for details.
-     * @type {String[]}
+     * @type {MacroIntError[]}
      * @see Error-Handling
      */
-    errors: string[];
-    /**
-    * Internal function that resolves all macros in the provided expression-string.
-    *
-    * If the whole expression is one macro then the result can of be any type.
-    * Otherwise macros are converted to strings and inserted in the expression.
-    *
-    * Plan:
-    *   "${'hello'}_${par${'ent'}${'1'}_${'macro'}}" =>> "hello_${parent1_macro}" =>> hello_Parent1_Macro
-    *
-    *    ${ : macroResult += expression.substring(lastExpressionIndex, charIndex-1) = "" + ""
-    *       : push status to stack && reset status
-    *       : macroResult = ""
-    *             } : macroResult += expression.substring(lastExpressionIndex, charIndex-1) === ""
-    *               : resolve => macroResult += "hello" === "hello"
-    *               : pop stack
-    *               : macroResult += stack.macroResult + macroResult  === "hello"
-    *              _ : skip
-    *               ${ : macroResult += expression.substring(lastExpressionIndex, charIndex-1) === "hello" + "_"
-    *                  : push status to stack && reset status
-    *                  : macroResult = ""
-    *                    ${ : add to macroPartsStack, lastExpressionIndex=charIndex, macroResult = ""
-    *                       : push status to stack && reset status
-    *                       : macroResult = ""
-    *                         macroResult += expression.substring(lastExpressionIndex, charIndex-1) = "" + "par"
-    *                           } : macroResult += expression.substring(lastExpressionIndex, charIndex-1) === ""
-    *                             : resolve => macroResult += "hello" === "hello"
-    *                             : pop stack
-    *                             : macroResult += stack.macroResult + macroResult  === "hello"
-    *                           } : resolve, add to macroResult (="par" + "ent")
-    *                               pop from macroPartsStack
-    *                               ? What shall I do with the macroResult and poped-macroResult & macroKey
-    *                            ${ : add to macroPartsStack, lastExpressionIndex=charIndex, macroResult = ""
-    *                                 macroResult += expression.substring(lastExpressionIndex, charIndex-1) = "1"
-    *                                 } : resolve, add to macroResult (="par" + "ent")
-    *                                     pop from macroPartsStack
-    *                                     ? What shall I do with the macroResult and poped-macroResult & macroKey
-    *                                   ${ : add to macroPartsStack, lastExpressionIndex=charIndex, macroResult = ""
-    *                                        macroResult += expression.substring(lastExpressionIndex, charIndex-1) = "par1" + "par"
-    *                                            } : resolve, add to macroResult (="par" + "ent")
-    *                                                pop from macroPartsStack
-    *                                                ? What shall I do with the macroResult and poped-macroResult & macroKey
-    *                                             } : resolve, add to macroResult (="par" + "ent")
-    *                                                 pop from macroPartsStack
-    *                                                 ? What shall I do with the macroResult and poped-macroResult & macroKey
-    *
-    *
-    * @private
-    * @param {String} expression - The string which's macros will be interpolated.
-    + @return {*} The interpolated expression.
-    */
+    errors: MacroIntError[];
+    /**
+     * Parses the given expression into a [syntax-tree](#syntax-tree) without
+     * resolving any macro.
+     *
+     * The tree contains the text-parts and the macros of the expression. Every
+     * macro-node contains the parts of its macroKey (incl. nested macros) and
+     * the found modifiers with their name- and parameter-parts. All nodes have
+     * the `start`- and `end`-offsets of the according part of the expression.\
+     * The instance's [MacroSymbols](#macrosymbols) and escaped characters are
+     * honored. A macro without a macro-end is handled as text.
+     *
+     * @param {String} expression - The string which's macros will be parsed.
+     * @return {TemplateNode} The root-node of the syntax-tree.
+     * @see Syntax-Tree
+     * @example
+     * ```js
+     * mi = new MacroInt()
+     * tree = mi.parse("Hi ${name | -d:'you'}!")
+     * // tree.nodes => [
+     * //   { type: "text", value: "Hi ", start: 0, end: 3 },
+     * //   { type: "macro", start: 3, end: 21,
+     * //     key: [{ type: "text", value: "name ", start: 5, end: 10 }],
+     * //     modifiers: [{ type: "modifier", start: 11, end: 20,
+     * //         name: [{ type: "text", value: " -d", start: 11, end: 14 }],
+     * //         params: [{ type: "text", value: "'you'", start: 15, end: 20 }] }] },
+     * //   { type: "text", value: "!", start: 21, end: 22 } ]
+     * ```
+     */
+    parse(expression: string): TemplateNode;
+    /**
+     * Internal function that resolves all macros in the provided expression-string.
+     *
+     * If the whole expression is one macro then the result can of be any type.
+     * Otherwise macros are converted to strings and inserted in the expression.
+     *
+     * @private
+     * @param {String} expression - The string which's macros will be interpolated.
+     * @return {*} The interpolated expression.
+     */
     private _interpolate;
+    /**
+     * Runs an evaluation (e.g. `._evaluateTemplate()`).
+     *
+     * Synchronously the evaluation is a plain function-call and the results
+     * of the callbacks are used as they are. In async-mode (see
+     * `.resolveAsync()`) a Promise is returned: If a callback returns a
+     * Promise the evaluation is interrupted (see `._call()`), the Promise is
+     * awaited and the evaluation is repeated from the start. The repetition
+     * gets the recorded results of the callbacks instead of calling them
+     * again.
+     *
+     * @private
+     * @param {function(): *} evaluate - The evaluation.
+     * @return {*|Promise<*>} The result of the evaluation.
+     */
+    private _run;
+    /**
+     * Calls a repository- or modifier-callback.
+     *
+     * In async-mode the result of the callback, the errors it added and the
+     * state it changed (e.g. `._markRaw()`) are recorded. A repetition of the
+     * evaluation (see `._run()`) gets the recorded result instead of calling
+     * the callback again. If the callback returns a Promise the evaluation is
+     * interrupted until the Promise is settled.
+     *
+     * @private
+     * @param {Function} callback - The callback.
+     * @param {Array.<*>} args - The arguments of the callback.
+     * @return {*} The result of the callback.
+     */
+    private _call;
+    /**
+     * Fast check if the string may contain a macro (a macro-begin or a
+     * short-macro-begin) or a verbatim-block. Used to skip strings that are
+     * used as they are.
+     *
+     * @private
+     * @param {String} str
+     * @return {Boolean}
+     */
+    private _mayContainMacro;
+    /**
+     * Returns the syntax-tree of the expression from the template-cache. The
+     * expression is parsed and added to the cache if it isn't cached yet.
+     *
+     * @private
+     * @param {String} expression - The string which's syntax-tree is returned.
+     * @return {TemplateNode}
+     * @see MacroInt.templateCacheSize
+     */
+    private _getTemplate;
+    /**
+     * Evaluates all nodes of the given syntax-tree.
+     *
+     * @private
+     * @param {TemplateNode} template - The syntax-tree built by .parse().
+     * @return {*} The result of the evaluation.
+     */
+    private _evaluateTemplate;
+    /**
+     * Returns the replacement of a macro which's result is `undefined`
+     * depending on `options.onUndefined`.
+     *
+     * @private
+     * @param {MacroNode} macro - The node of the macro.
+     * @param {String} expression - The expression the node was parsed from.
+     * @return {String|undefined} The replacement or `undefined` if the macro isn't replaced.
+     */
+    private _undefinedReplacement;
+    /**
+     * Evaluates a list of text- and macro-nodes and concatenates the results.
+     *
+     * @private
+     * @param {Array.<TextNode|MacroNode>} parts - The nodes to evaluate.
+     * @param {String} expression - The expression the nodes were parsed from.
+     * @param {Boolean} keepType - If `true` and `parts` contains only one macro the macro-result is returned as it is.
+     * @return {*} The result of the evaluation.
+     */
+    private _evaluateParts;
+    /**
+     * Evaluates the nested macros of the parameters of a modifier (every
+     * parameter only once). A parameter that is just a macro keeps the type
+     * of the macro-result. All other parameters are returned as `key` that's
+     * converted by `._getArgValues()` when the modifier is executed.
+     *
+     * @private
+     * @param {Array.<Array.<TextNode|MacroNode>>} args - The `args` of the modifier-node.
+     * @param {String} expression - The expression the modifier was parsed from.
+     * @return {{params: String, args: Array.<Object>}} The raw `params`-string and the `args`.
+     */
+    private _evaluateArgs;
+    /**
+     * Evaluates the nested macros of the parameters of a modifier that's
+     * registered with `lazyParams`: The callback gets the parameters as
+     * they're written and the nested macros are evaluated when the callback
+     * passes the parameters to `.getValue()` or `.evaluateParam()`. The state
+     * of the macro the modifier belongs to is kept.
+     *
+     * @private
+     * @param {{text: String, parts: Array.<TextNode|MacroNode>, expression: String, asText: Boolean}} lazyParams - The unevaluated parameters.
+     * @return {String} The evaluated parameters.
+     */
+    private _evaluateLazyParams;
+    /**
+     * Converts the parameters returned by `._evaluateArgs()` to typed values.
+     * The keys are evaluated lazily with `.evaluateParam()` when the element
+     * of the returned array is read the first time.
+     *
+     * @private
+     * @param {Array.<{key: (String|undefined), value: *}>} args - The evaluated parameters.
+     * @return {Array.<*>} The typed values.
+     */
+    private _getArgValues;
+    /**
+     * Handle the evaluation of the macro-value and the handling of the modifiers.
+     *
+     * @private
+     * @param {MacroNode} macro - The macro-node to evaluate.
+     * @param {String} expression - The expression the macro was parsed from.
+     * @param {Boolean} isOneMacro - `true` if the macro is the whole expression.
+     * @return {*} The result of the evaluation.
+     */
+    private _evaluateMacro;
     /**
      * Interpolate the macros in the given 'expression`.
      *
@@ -430,9 +662,13 @@ declare class MacroInt {
      *    @param {String[]} [options.exclude] - Optional array of property-names that should not be handled (at any level).
      *    @param {Array.<{path: string, property: string}>} [options.include]    Optional array to define that only specified `property` in a `path` should be
      *                                      evaluated. All other elements not in the given path are still evaluated.
-     * @throws {Error} if either options are provided with a string-expression or the options contain unknown options.
-     * @throws {Error} with all the errors if _throwErrors==true and an error occured.
-     * @return {String|Object|Array} Returns the given `expression`-object or the resolved string (after resolving all macros)
+     *    @param {Boolean} [options.clone=false] - If `true` a deep copy of the expression-object is resolved and returned. The
+     *                                      expression-object isn't modified and if an error is thrown no (partially resolved)
+     *                                      copy is leaked. Only arrays and plain objects are copied and resolved, other objects
+     *                                      (e.g. class-instances) are used as they are.
+     * @throws {MacroIntError} if either options are provided with a string-expression or the options contain unknown options.
+     * @throws {MacroIntAggregateError} with all the errors if _throwErrors==true and an error occured.
+     * @return {String|Object|Array} Returns the given `expression`-object (or its copy if `options.clone=true`) or the resolved string (after resolving all macros)
      * @See macroKey
      * @see modifier
      * @example
@@ -457,6 +693,12 @@ declare class MacroInt {
      * }
      * macroInt.resolve(config)
      * console.dir(config) // => {foo: 'FOO', child: {baz: 12345, num: 42, what: "Universe"}}
+     *
+     * // Resolve a copy and keep the original object
+     * defaults = { url: "${foo}" }
+     * result = macroInt.resolve(defaults, { clone: true })
+     * console.dir(defaults) // => {url: '${foo}'}
+     * console.dir(result) // => {url: 'FOO'}
      * ```
      */
     resolve(expression: string | any | any[], options?: {
@@ -465,7 +707,182 @@ declare class MacroInt {
             path: string;
             property: string;
         }>;
+        clone?: boolean;
     }): string | any | any[];
+    /**
+     * Removes a property (`options.onUndefined="delete"`). Array-elements are
+     * set to `undefined` to keep the indexes of the other elements.
+     *
+     * @private
+     * @param {Object|Array} obj - The object/array that contains the property.
+     * @param {String} key - The name of the property.
+     * @return {void}
+     */
+    private _deleteProperty;
+    /**
+     * Interpolate the macros in the given 'expression` asynchronously.
+     *
+     * Works like `.resolve()` but awaits the results of
+     * [RepositoryCallbacks](#repositorycallback) and
+     * [ModifierCallbacks](#modifiercallback) that return a Promise. If an
+     * object/array is resolved all its properties/elements are resolved
+     * concurrently. The errors are collected and thrown like in `.resolve()`.
+     *
+     * The callbacks don't get the MacroInt-instance itself but a scope-object
+     * that inherits from the instance. Inside of the callbacks `.getValue()`
+     * returns a Promise.
+     *
+     * @param {String|Object|Array} expression - String with macros or an object that may have properties that contain macros to interpolate.
+     * @param {Object} [options=undefined] - Options for the resolving-process (see `.resolve()`).
+     * @throws {MacroIntError} if either options are provided with a string-expression or the options contain unknown options.
+     * @throws {MacroIntAggregateError} with all the errors if _throwErrors==true and an error occured.
+     * @return {Promise<String|Object|Array>} Returns the given `expression`-object (or its copy if `options.clone=true`) or the resolved string (after resolving all macros)
+     * @see resolve
+     * @example
+     * ```js
+     * macroInt = new MacroInt([
+     *     async (macroKey) => (macroKey === "secret" ? readSecret() : undefined),
+     *     { user: "Tom" },
+     * ])
+     * config = await macroInt.resolveAsync({ user: "${user}", pwd: "${secret | -m}" })
+     * ```
+     */
+    resolveAsync(expression: string | any | any[], options?: any): Promise<string | any | any[]>;
+    /**
+     * Checks if the given expression can be resolved without errors (dry-run).
+     *
+     * The expression is resolved like in `.resolve()` but a given object/array
+     * isn't modified (a copy is resolved) and no error is thrown. All errors
+     * (unknown modifiers, undefined macro-values, mandatory-failures, invalid
+     * property-path-indexes, failed conversions,...) are returned in the
+     * report. Macros with an `undefined` result are always reported - no
+     * matter how `options.allowUndefined` is set. A macro with a failed
+     * `mandatory`-modifier is only reported as "undefined-mandatory". The
+     * `.errors` of the instance aren't changed.
+     *
+     * @param {String|Object|Array} expression - String with macros or an object that may have properties that contain macros.
+     * @param {Object} [options=undefined] - Options for the resolving-process (see `.resolve()`).
+     * @throws {MacroIntError} if either options are provided with a string-expression or the options contain unknown options.
+     * @return {ValidationReport} The found errors.
+     * @see resolve
+     * @example
+     * ```js
+     * macroInt = new MacroInt({ host: "localhost" })
+     * report = macroInt.validate({ url: "${host}:${port | -m}" })
+     * console.log(report.valid) // => false
+     * console.log(report.errors[0].code, report.errors[0].path) // => undefined-mandatory [ 'url' ]
+     * ```
+     */
+    validate(expression: string | any | any[], options?: any): ValidationReport;
+    /**
+     * Checks asynchronously if the given expression can be resolved without
+     * errors (dry-run). Works like `.validate()` but awaits the callbacks
+     * like `.resolveAsync()`.
+     *
+     * @param {String|Object|Array} expression - String with macros or an object that may have properties that contain macros.
+     * @param {Object} [options=undefined] - Options for the resolving-process (see `.resolve()`).
+     * @throws {MacroIntError} if either options are provided with a string-expression or the options contain unknown options.
+     * @return {Promise<ValidationReport>} The found errors.
+     * @see validate
+     */
+    validateAsync(expression: string | any | any[], options?: any): Promise<ValidationReport>;
+    /**
+     * Lists all macroKeys that are referenced in the given expression without
+     * resolving them (no [Repository](#repository) is accessed).
+     *
+     * Objects/arrays are traversed like in `.resolve()` (including the
+     * [siblings-templates](#siblings-templates)) but not modified. Every
+     * macro is returned with the property-path it appears at and its
+     * modifiers. Keys in nested macros (e.g. `${db_${env}}`), keys used as
+     * values of the `default`-, `alternative`- and `if`-modifiers (not the
+     * values of the conditions) and the operands of expressions
+     * (`${port + 1}`) are listed as references, too. String-
+     * constants and property-path-indexes (`${^-1}`) aren't listed. Macros in
+     * macro-values can't be found because the values aren't resolved.
+     *
+     * @param {String|Object|Array} expression - String with macros or an object that may have properties that contain macros.
+     * @param {Object} [options=undefined] - Options for the traversal (see `.resolve()`).
+     * @throws {MacroIntError} if either options are provided with a string-expression or the options contain unknown options.
+     * @return {MacroReference[]} The references in the order of their evaluation.
+     * @example
+     * ```js
+     * macroInt = new MacroInt()
+     * refs = macroInt.listReferences({ db: { url: "${DB_HOST | -m}:${DB_PORT | -d:'5432'}" } })
+     * console.log(refs.map((ref) => `${ref.key}${ref.mandatory ? "!" : ""}`)) // => [ 'DB_HOST!', 'DB_PORT' ]
+     * console.log(refs[1].path, refs[1].default) // => [ 'db', 'url' ] '5432'
+     * ```
+     */
+    listReferences(expression: string | any | any[], options?: any): MacroReference[];
+    /**
+     * Prepares the instance for a validation: The errors are collected in a
+     * new array, they are not thrown and undefined macro-values are errors.
+     *
+     * @private
+     * @return {function(): void} Function that restores the previous state.
+     */
+    private _beginValidation;
+    /**
+     * Returns a deep copy of the given value. Circular references are
+     * supported. If the `shared`-set is given only arrays and plain objects
+     * are copied. All other objects (e.g. Dates, class-instances) are used
+     * directly and added to the set (they must not be modified). Otherwise
+     * all objects are copied but the copies of other objects only get the own
+     * enumerable properties (the prototype is kept). That's only useful for
+     * copies that are dropped after a dry-run.
+     *
+     * @private
+     * @param {*} value - The value to copy.
+     * @param {Set<Object>} [shared] - Gets the objects that aren't copied.
+     * @return {*} The copy.
+     */
+    private _cloneDeep;
+    /**
+     * Handles all properties of an object or all array-elements recursively
+     * and calls `handleString` for every string-value that contains a macro.
+     * When `handleString` is called `._propertyPath` contains the path to the
+     * property.
+     *
+     * @private
+     * @param {Object|Array} root - The object/array to traverse.
+     * @param {Object|undefined} options - The options of `.resolve()`.
+     * @param {function(Object, String, String, function(Object): void): void} handleString - Called with the object, the property-name, the property-value and the function to traverse a (new) sub-object.
+     * @param {Set<Object>} [skip] - Objects that are neither traversed nor modified (see `._cloneDeep()`).
+     * @throws {MacroIntError} if the options contain unknown options.
+     */
+    private _traverseProperties;
+    /**
+     * Creates a scope-object for an evaluation. The scope inherits everything
+     * (repositories, symbols, errors,...) from this instance but has its own
+     * evaluation-state. That allows multiple evaluations to run concurrently
+     * (or nested, e.g. a compiled function called by a callback).
+     *
+     * @private
+     * @param {Boolean} [isAsync=true] - `true` if the callbacks are awaited (see `.resolveAsync()`).
+     * @return {MacroInt} The new scope-object.
+     */
+    private _createScope;
+    /**
+     * Compiles the given expression into a function that resolves the
+     * expression. The expression is parsed only once, no matter how often the
+     * function is called.
+     *
+     * The function uses the repositories of the instance or - if provided -
+     * the repositories given to the function (only for that call). Errors are
+     * handled like in `.resolve()`.
+     *
+     * @param {String} expression - String with macros.
+     * @return {function((Object|Function|Array)=): *} Function that returns the resolved expression. Its optional parameter is a single [repository](#repository) or an array of repositories.
+     * @throws {TypeError} if the expression is not a string.
+     * @see resolve
+     * @example
+     * ```js
+     * macroInt = new MacroInt({ name: "World" })
+     * greet = macroInt.compile("Hello ${name}!")
+     * console.log(greet()) // => Hello World!
+     * console.log(greet({ name: "Universe" })) // => Hello Universe!
+     * ```
+     */
+    compile(expression: string): (arg0: (any | Function | any[]) | undefined) => any;
     /**
      * Retrieves the value for the given [macroKey](#macrokey).
      *
@@ -474,7 +891,9 @@ declare class MacroInt {
      * or a key-value that's searched the registered repositories.
      *
      * This function is internally used during the iteration, and it's used in
-     * the default-modifier. So it can be used in other modifiers as well.
+     * the default-modifier. So it can be used in other modifiers as well.\
+     * During `.resolveAsync()` the function returns a Promise because the
+     * repository-callbacks are awaited.
      *
      * @param {string|undefined} macroKey - A string which's replacement-value is to be retrieved.
      * @param {boolean} [assumeString=false] - Define whether the macroKey is returned as a it is if the value could not be found in the repositories
@@ -483,58 +902,990 @@ declare class MacroInt {
      */
     getValue(macroKey: string | undefined, assumeString?: boolean): any;
     /**
-     * Register one or more (additional) repositories.
-     *
-     * @param {Repository|Repository[]} repositories - A single [repository](#repository) or an array of repositories.
-     * @chainable
-     * @return {this} Reference to the current MacroInt-instance.
-     */
-    registerRepository(repositories: Repository | Repository[]): this;
-    /**
-     * Checks if the current macro is exactly equal to the complete (last) initial expression.
+     * Evaluates a modifier-parameter like a [macroKey](#macrokey). In contrast
+     * to `.getValue()` the parameter isn't treated as a value of the macro:
+     * A constant parameter doesn't cause an "unused-constant"-error and
+     * doesn't affect the following modifiers.
      *
-     * Used to determine wether a macro-result can be something other than a string.
+     * Modifiers should evaluate their parameters only if they actually need
+     * the value to avoid unnecessary accesses to the repositories.\
+     * During `.resolveAsync()` the function returns a Promise.
      *
-     * @return {Boolean} `true' if it's one macro; false otherwise
+     * @param {string|undefined} param - The parameter to evaluate.
+     * @param {boolean} [assumeString=false] - Define whether the param is returned as a it is if the value could not be found in the repositories
+     * @return {*} The value of the parameter.
+     * @see getValue
+     * @example
+     * ```js
+     * MacroInt.registerModifier("ifEmpty", (macroInt, macroValue, params) =>
+     *     macroValue === "" ? macroInt.evaluateParam(params) : macroValue
+     * )
+     * ```
      */
-    isOneMacro(): boolean;
+    evaluateParam(param: string | undefined, assumeString?: boolean): any;
     /**
-     * Adds an error to the `errors`-array.
+     * Tells the MacroInt that a value (e.g. the value of a `default`-modifier)
+     * isn't needed, without retrieving it. Like `.getValue()` it recognizes
+     * values after a constant value (they can never be used) and adds an
+     * "unused-constant"-error in that case.
      *
-     * @param  {...string} msgs - All parameters are added as a formatted string to the errors-array.
+     * @param {string|undefined} macroKey - The unused [macroKey](#macrokey).
      * @return {void}
+     * @see getValue
      */
-    addError(...msgs: string[]): void;
+    skipValue(macroKey: string | undefined): void;
     /**
-     * Formats the given array with a title and a list of all array-elements.
+     * Checks if the macroKey is a constant: A string-constant, a literal
+     * constant or a property-path-index.
      *
-     * The function is used to format the `.errors` arrays.
-     * If the array is empty only the title and the constant "<>" is returned.
+     * @private
+     * @param {String} macroKey
+     * @return {Boolean}
+     */
+    private _isConstantKey;
+    /**
+     * Implementation of `.getValue()`. The repository-callbacks are called
+     * with `._call()`.
      *
      * @private
-     * @param {String} [lineOffset="\n  "] - String that's set before the title and every list-item. By default the offset contains a line-break before every line.
-     * @return {String}
+     * @param {string|undefined} macroKey - A string which's replacement-value is to be retrieved.
+     * @param {boolean} assumeString - Define whether the macroKey is returned as a it is if the value could not be found in the repositories
+     * @return {*} The value.
      */
-    private _formatErrors;
+    private _getValue;
     /**
-     * Builds a string with all information of the MacroInt.
+     * Evaluates the tree of an expression-[macroKey](#macrokey) (see
+     * `._parseExpression()`). Arithmetic operators and "<", ">", "<=", ">="
+     * return `undefined` if an operand is `undefined`.
      *
-     * The result includes all properties of the macroInt including
-     * the `.errors` formatted as a string.
+     * @private
+     * @param {Object} node - The root-node of the (sub-)expression.
+     * @return {*} The value of the expression.
+     */
+    private _evaluateExpression;
+    /**
+     * Register one or more (additional) repositories.
      *
-     * @param {string} [lineOffset] - A String that's set in front of every item/line
-     * @return {String}
+     * @param {Repository|Repository[]} repositories - A single [repository](#repository) or an array of repositories.
+     * @chainable
+     * @return {this} Reference to the current MacroInt-instance.
      */
-    toString(lineOffset?: string): string;
-}
-declare namespace MacroInt {
-    export { ModifierCallback, FoundModifier };
-}
-type ModifierCallback = (macroInt: MacroInt, macroValue: any, parameters: string | undefined) => any;
+    registerRepository(repositories: Repository | Repository[]): this;
+    /**
+     * Register a modifier only for this instance. The modifier shadows a
+     * global modifier (see `MacroInt.registerModifier()`) with the same name.
+     * Other instances aren't affected.
+     *
+     * @param {String|String[]} keyWords - A single name or an array of names that can be used as a keyword for the modifier inside of a macro.
+     * @param {ModifierCallback} callback - A function that's called if the modifier was found in the macro.
+     * @param {Object} [info=undefined] - Optional metadata of the modifier (see `MacroInt.registerModifier()`).
+     * @chainable
+     * @see ModifierCallback
+     * @return {this} Reference to the current MacroInt-instance.
+     * @throws {TypeError} if the callback is not a function.
+     * @throws {MacroIntError} if another modifier of this instance has already one of the new keywords registered.
+     * @example
+     * ```js
+     * const macroInt = new MacroInt({ macro: "Hello" })
+     * macroInt.registerModifier("-r", (_, value) => [...value].reverse().join(""))
+     * console.log(macroInt.resolve("${macro | -r}")) // expected: olleH
+     * ```
+     */
+    registerModifier(keyWords: string | string[], callback: ModifierCallback, info?: any): this;
+    /**
+     * Remove a modifier that was registered on this instance. Global
+     * modifiers with the same name can be used again.
+     *
+     * @param {String|String[]} keyWords - A keyword or an array of keyWords that was used to register the modifier.
+     * @return {Boolean} `true` if at least one of the keyWords was found and deleted. `false` otherwise.
+     */
+    unregisterModifier(keyWords: string | string[]): boolean;
+    /**
+     * Lists the modifiers that can be used by this instance: The modifiers
+     * of the instance and the (allowed) global modifiers that aren't shadowed.
+     *
+     * @return {ModifierInfo[]} One entry per modifier.
+     * @see MacroInt.listModifiers
+     */
+    listModifiers(): ModifierInfo[];
+    /**
+     * Returns the [name, callback]-pairs of all modifiers that can be used by
+     * this instance (see `._getModifier()`).
+     *
+     * @private
+     * @return {Array.<Array>}
+     */
+    private _availableModifiers;
+    /**
+     * Returns the name of the available modifier that's most similar to the
+     * given (unknown) name.
+     *
+     * @private
+     * @param {String} name - The unknown modifier-name.
+     * @return {String|undefined} The most similar name or `undefined` if no name is similar enough.
+     */
+    private _suggestModifier;
+    /**
+     * Returns the metadata of a modifier (see `MacroInt.registerModifier()`).
+     * The metadata of the instance is preferred over the global metadata.
+     *
+     * @private
+     * @param {ModifierCallback} callback - The callback of the modifier.
+     * @return {Object} The metadata.
+     */
+    private _getModifierInfo;
+    /**
+     * Returns the callback of a modifier: The modifiers of the instance
+     * shadow the (allowed) global modifiers.
+     *
+     * @private
+     * @param {String} modifierKey - The lower-case name of the modifier.
+     * @return {ModifierCallback|undefined} The callback or `undefined` if the modifier isn't available.
+     */
+    private _getModifier;
+    /**
+     * Excludes the current macro from the escaping of `options.autoEscape`
+     * (used by the `raw`- and the escaping-modifiers, so it's not
+     * `@private`). Only macros of the resolved expression are marked (not
+     * the ones in nested macro-values).
+     *
+     * @ignore
+     * @param {function(String): String} [escape] - The escape-function of an escaping-modifier: The macro is only marked if it's the function of `options.autoEscape` (already escaped for the context).
+     * @return {void}
+     */
+    _markRaw(escape?: (arg0: string) => string): void;
+    /**
+     * Checks if the current macro is exactly equal to the complete (last) initial expression.
+     *
+     * Used to determine wether a macro-result can be something other than a string.
+     *
+     * @return {Boolean} `true' if it's one macro; false otherwise
+     */
+    isOneMacro(): boolean;
+    /**
+     * Adds an error with the code "custom" to the `errors`-array.
+     *
+     * @param  {...string} msgs - All parameters are added as a formatted string to the errors-array.
+     * @return {void}
+     * @see addErrorWithCode
+     */
+    addError(...msgs: string[]): void;
+    /**
+     * Adds a [MacroIntError](#macrointerror) with the given code to the
+     * `errors`-array. The location of the current macro is added to the error.
+     *
+     * @param {String} code - The error-code (see [Error-Handling](#error-handling)).
+     * @param  {...string} msgs - All parameters are added as a formatted string to the message of the error.
+     * @return {void}
+     * @example
+     * ```js
+     * MacroInt.registerModifier("port", (macroInt, macroValue) => {
+     *     if (!(macroValue > 0 && macroValue < 65536))
+     *         macroInt.addErrorWithCode("bad-port", `Invalid port ${macroValue}.`)
+     *     return macroValue
+     * })
+     * ```
+     */
+    addErrorWithCode(code: string, ...msgs: string[]): void;
+    /**
+     * Calculates the location of the current macro (and modifier) in the
+     * complete expression.
+     *
+     * The snippet is only built for multi-line expressions. It contains the
+     * line of the macro and a line with carets under the macro (`~`) and the
+     * current modifier (`^`):
+     * ```
+     *    3 | port: ${port | toNumber}
+     *      |       ~~~~~~~~~^^^^^^^^~
+     * ```
+     *
+     * @private
+     * @return {ErrorLocation}
+     */
+    private _getErrorLocation;
+    /**
+     * Throws a [MacroIntAggregateError](#macrointaggregateerror) with all
+     * found errors if there are errors and `._throwErrors` is `true`.
+     *
+     * @private
+     * @throws {MacroIntAggregateError}
+     * @return {void}
+     */
+    private _throwFoundErrors;
+    /**
+     * Formats the given array with a title and a list of all array-elements.
+     *
+     * The function is used to format the `.errors` arrays.
+     * If the array is empty only the title and the constant "<>" is returned.
+     *
+     * @private
+     * @param {String} [lineOffset="\n  "] - String that's set before the title and every list-item. By default the offset contains a line-break before every line.
+     * @return {String}
+     */
+    private _formatErrors;
+    /**
+     * Builds a string with all information of the MacroInt.
+     *
+     * The result includes all properties of the macroInt including
+     * the `.errors` formatted as a string.
+     *
+     * @param {string} [lineOffset] - A String that's set in front of every item/line
+     * @return {String}
+     */
+    toString(lineOffset?: string): string;
+}
+declare namespace MacroInt {
+    export { ModifierCallback, TextNode, MacroNode, ModifierNode, TemplateNode, ValidationReport, ModifierInfo, MacroReference, ErrorLocation };
+}
+/**
+ * @name macroKey
+ * @private  // don't add automatically to the readme
+ * @description
+ * A macroKey is that part of a macro that will be interpolated to a result-value.
+ * It can be one of the following:
+ *
+ * 1. A key-value (without any string-delimiters) that will be searched in the
+ *    provided [Repositories](#repository)) or passed to the registered
+ *    [RepositoryCallbacks](#repositorycallback)). This is the default if the
+ *    `macroKey` is non of the following types. If key-value can't be
+ *    resolved/found `undefined` is returned.
+ *
+ * 2. A String enclosed in string-delimiters (one of the three " ' \` ). The
+ *    content of the string is returned as the result of the macro. This
+ *    string-constants are useful to define default-values in the `default`-modifier.
+ *    Inside of a string-constant the modifier-separator, the
+ *    modifier-param-separator and the macro-end are normal characters
+ *    (`${x | default: 'a|b'}`, `${x | -d:"{json}"}`). A quote only starts a
+ *    string-constant at the begin of the macroKey or of a parameter (after
+ *    the modifier-param-separator, a "," or a whitespace). Quotes inside of the
+ *    string must be escaped with the escape-character (a backslash by
+ *    default, `${x | -d:'it\'s'}`). Macros
+ *    inside of string-constants are still resolved.
+ *
+ * 3. A literal constant: A number (`${port | default: 8080}`), `true`,
+ *    `false`, `null` or a JSON-array/-object (`${hosts | -d:["a", "b"]}`).
+ *    The value is returned with its type if the whole expression is one macro
+ *    (see `.isOneMacro()`). Like in string-constants separators and the
+ *    macro-end inside of JSON-literals are normal characters. Note: Keys like
+ *    `123`, `true` or `[0]` are no longer searched in the repositories.
+ *
+ * 4. A ^-symbol followed by a number. This is used to access the name of a
+ *    property in the path to the current property. This feature is only useful
+ *    if an object/array is to be resolved. Normally this feature is especially
+ *    useful together with the [siblings-templates](#siblings-templates).\
+ *    `parent.child.key = "\${^-1}"` --> "key"\
+ *    `parent.child.key = "\${^-2}"` --> "child"\
+ *    `parent.child.key = "\${^-3}"` --> "parent"\
+ *    `parent.child.key = "\${^0}"` --> "parent"\
+ *    `parent.child.key = "\${^1}"` --> "child"\
+ *    `parent.child.key = "\${^2}"` --> "key"\
+ *
+ * 5. An expression with operators: `${workers * 2}`, `${port + 1}`,
+ *    `${(a + b) / 2}`, `${level >= 3 and not quiet}`. The operands are
+ *    macroKeys themselves (keys, constants or literals). Supported are the
+ *    arithmetic operators `+ - * / %`, the comparisons `== != < > <= >=`,
+ *    the boolean operators `and` / `&&`, `or` and `not` / `!` and parentheses.
+ *    Numeric strings (e.g. from environment-variables) are used as numbers.
+ *    The result is a number or boolean if the whole expression is one macro
+ *    (see `.isOneMacro()`). If an operand of an arithmetic operator or of
+ *    `< > <= >=` is `undefined` the result is `undefined` (e.g. for the
+ *    `default`-modifier). Notes: The binary operators need a whitespace (or a
+ *    parenthesis) before them. Operator-characters inside of a key are part
+ *    of the key (`${my-key - 1}`, `${secret/db}`). `||` can't be used because
+ *    the "|" is the modifier-separator. A macroKey that isn't a valid
+ *    expression (e.g. a key with spaces) is used as a key.
+ *
+ * 6. A fallback-chain with the operator `??`: `${primary ?? secondary ?? 'none'}`.
+ *    The operands are tried in order and the first value that isn't missing
+ *    is the result. The remaining operands aren't retrieved. Missing means
+ *    `undefined` or - with the option `emptyIsMissing` (see
+ *    [Constructor](#constructor)) - `null` and "", too. `??` has the lowest
+ *    precedence of all operators (`${a ?? b + 1}` = `${a ?? (b + 1)}`).
+ */
+/**
+ * @name Modifier
+ * @private  // don't add automatically to the readme
+ * @description
+ * Modifiers are keywords that have a function assigned [modifierCallback](#modifiercallback).
+ * Modifiers can have a unlimited number of alias-names (e.g. long- and short-name).
+ * The modifier-keywords are **case-insensitive**. An unlimited number of modifiers
+ * can be applied to every macro. One modifier can be used multiple times in one
+ * macro (e.g. the "default"-modifier).\
+ * \
+ * Modifiers can have parameters after the modifier-param-separator. Multiple
+ * parameters are separated by "," (e.g. `${name | pad: 10, '-'}`). See
+ * [modifierCallback](#modifiercallback) for the handling of the parameters.\
+ * \
+ * Custom additional modifiers can be added via the static `MacroInt.registerModifier()`
+ * and removed with `MacroInt.unregisterModifier()`. These global modifiers are
+ * available in all instances. Modifiers that are registered on an instance
+ * (`.registerModifier()` or `options.modifiers`) shadow the global modifiers
+ * and don't affect other instances. `options.allowedModifiers` restricts the
+ * global modifiers an instance can use (see [Constructor](#constructor)).
+ * `MacroInt.listModifiers()` lists all modifiers with their aliases and
+ * metadata (description, parameters,...) and `MacroInt.formatModifiers()`
+ * formats the list as a help-text.\
+ * \
+ * There are a couple of modifiers predefined. All predefined modifiers have at
+ * least one full-name and one short alias with a leading "-" plus one or two
+ * characters (e.g. `default` and `-d`).\
+ *
+ *
+ * The following modifiers are pre-defined:
+ *
+ *
+ * ### _default:\<macroKey> / -d:\<macroKey>_
+ * This modifier defines a default in case the result of the macro is still
+ * `undefined`. The default-value after the `:` can be any <[macroKey](#macrokey)>.
+ * The default-value is only retrieved if the macro-result is `undefined`.
+ *
+ * ### _mandatory[:\<message>] / -m[:\<message>]_
+ * This modifier defines that the macro-result can't be `undefined`. It it is
+ * an error is added to the errors-array. The optional <[macroKey](#macrokey)>
+ * \<message> is added to the error-message (`${token | -m:'Set the TOKEN'}`). Depending of the throwErrors-flag
+ * (see [Constructor](#constructor)) of the constructor flag a error is thrown
+ * at the end of the resolve-process.
+ * If the allowUndefined-flag == false (see [Constructor](#constructor)) this
+ * modifier has no real function because an error is added for every undefined
+ * result.
+ *
+ * ### _alternative:\<macroKey> / -alt:\<macroKey>_
+ * Returns the value of the <[macroKey](#macrokey)> if the macro-result is set
+ * (not `undefined`, `null` or ""). Otherwise the result is an empty string.
+ * (Like `${VAR:+alternative}` in shells.)
+ *
+ * ### _upper / -u_
+ * This modifier converts the result-string of the macro into an uppercase-string.
+ *
+ * ### _lower / -l_
+ * This modifier converts the result-string of the macro into an uppercase-string.
+ *
+ * ### _emptyArray / -ea_
+ * This modifier returns an empty array if the
+ * macro-result is `undefined`. Otherwise it returns an array with the
+ * macro-result as it's only entry.
+ *
+ * ### _toNumber[:\<default>] / toNum[:\<default>] / -tn[:\<default>]_
+ * Converts the macro-result to a number. If the result is no number the \<default>
+ * is used (converted to a number). If no default is provided an error is added.
+ *
+ * ### _toBoolean / toBool / -tb_
+ * Converts the macro-result to a boolean value. The strings "false" and "0"
+ * return `false`. All other values are converted using the Boolean(result) function.\
+ *
+ * ### _if:\<condition> ? \<macroKey> [: \<macroKey>] / -if:..._
+ * Checks the macro-result with the \<condition> and returns the value of the
+ * first <[macroKey](#macrokey)> if the condition is true or the value of the
+ * second (optional) macroKey otherwise (`undefined` if there is no second
+ * macroKey). Only the chosen macroKey is retrieved. The condition can be:
+ * - `<value>` or `== <value>`: The result is equal to the value (constant or key).
+ * - `!= <value>`: The result isn't equal to the value.
+ * - `exists` / `!exists`: The result is (not) `undefined`.
+ * - `~ <regex>` / `!~ <regex>`: The result (as a string) matches (doesn't match)
+ *   the regular expression (`/<pattern>/<flags>` or a string-constant).
+ *
+ * Values that aren't found in the repositories are used as strings
+ * (`${env | if: prod ? db.prod : db.dev}`). Note: A regex that contains a `|`
+ * must be a string-constant (`~ 'dev|test'`) and backslashes must be escaped
+ * (`~ /\\d+/`).
+ *
+ * ### String-Modifiers
+ * The following modifiers convert the macro-result to a string first (plain
+ * objects to JSON). They return `undefined` and `null` unchanged and are applied to every element
+ * of an array. Numeric parameters must be integers. Otherwise an
+ * `invalid-param`-error is added and the value is returned unchanged.
+ * - _trim / -t_: Removes the whitespace at the begin and the end.
+ * - _replace:\<search>[, \<replacement>] / -re_: Replaces all occurrences of
+ *   the \<search>-text (e.g. `${p | replace: '/tmp/', '/var/'}`).
+ * - _replaceRegex:\<pattern>[, \<replacement>[, \<flags>]] / -rx_: Replaces
+ *   the matches of the regular expression \<pattern> (without "/"). `$1`,...
+ *   in the replacement insert the groups. The \<flags> are "g" (= all
+ *   matches) by default. Given \<flags> replace the default, so they need
+ *   the "g" to replace all matches (e.g. `${x | replaceRegex: 'a', 'b', 'gi'}`).
+ * - _substring:\<start>[, \<end>] / -ss_: Returns the part from \<start> up to
+ *   (excluding) \<end>. Negative values count from the end.
+ * - _padStart:\<length>[, \<fill>] / -ps_ and _padEnd / -pe_: Adds the \<fill>-string
+ *   (default: space) until the result has the \<length>.
+ * - _prefix:\<text> / -pf_ and _suffix:\<text> / -sf_: Adds the \<text> if the
+ *   result isn't empty (`${host}${port | prefix: ':'}`).
+ * - _split[:\<separator>] / -sp_: Splits the result into an array (default: ",").
+ * - _join[:\<separator>] / -j_: Joins the elements of an array (default: ",").
+ * - _capitalize / -cap_: Converts the first character to upper-case.
+ * - _camelCase / -cc_, _kebabCase / -kc_ and _snakeCase / -sc_: Converts the
+ *   words of the result ("myHTTPServer" => "myHttpServer", "my-http-server", "my_http_server").
+ * - _truncate:\<length>[, \<ellipsis>] / -tr_: Shortens the result to the
+ *   \<length> including the \<ellipsis> (default: "...").
+ * - _repeat:\<count>[, \<separator>] / -rp_: Repeats the result \<count> times.
+ *
+ * ```js
+ * mi = new MacroInt({ hosts: "a, b ,c", title: "Hello World" })
+ * console.log(mi.resolve("${hosts | split | trim | join: ' '}")) // => a b c
+ * console.log(mi.resolve("${title | truncate: 8}")) // => Hello...
+ * ```
+ *
+ * ### Encoding-Modifiers
+ * Escape or encode the macro-result for the output-context. Like the
+ * string-modifiers they convert the macro-result to a string (plain objects
+ * to JSON), return `undefined` and `null` unchanged and are applied to every
+ * element of an array. Values that can't be decoded return `undefined` and add
+ * an `invalid-encoding`-error.
+ * - _urlEncode / -ue_ and _urlDecode / -ud_: URL-component (`encodeURIComponent()`).
+ * - _htmlEscape / -he_: Escapes the characters `& < > " '`.
+ * - _jsonEscape / -je_: Escapes the result for the use inside of a JSON-string.
+ * - _toJSON[:\<indent>] / -json_: `JSON.stringify()` of the whole result (also
+ *   objects, arrays and `null`).
+ * - _parseJSON / fromJSON / -pj_: `JSON.parse()` of a string-result.
+ * - _base64 / -b64_ and _base64Decode / -b64d_: Base64 (the text as UTF-8).
+ * - _base64url / -b64u_ and _base64urlDecode / -b64ud_: URL-safe base64 without padding.
+ * - _hex / -hex_ and _hexDecode / -hexd_: The UTF-8-bytes as hex-string.
+ * - _shellQuote / -sq_: Quotes the result with single-quotes for a POSIX-shell.
+ * - _raw / -rw_: Excludes the macro from the escaping of `options.autoEscape`
+ *   (see [Auto-Escaping](#auto-escaping)). The result isn't changed.
+ *
+ * ```js
+ * mi = new MacroInt({ q: "a&b", files: ["my file", "it's"] })
+ * console.log(mi.resolve("/search?q=${q | urlEncode}")) // => /search?q=a%26b
+ * console.log(mi.resolve("rm ${files | shellQuote | join: ' '}")) // => rm 'my file' 'it'\''s'
+ * ```
+ *
+ * ### Examples
+ *
+ * ```js
+ * mi = new MacroInt({ name: "MacroInt" })
+ *
+ * // Convert the result to uppercase (modifier-key: "uppercase" / "-u")
+ * console.log(mi.resolve("${name | upper}")) // => MACROINT
+ *
+ * // Use a default in case the macro is undefined (modifier-key: "default" / "-d").
+ * console.log(mi.resolve("${xxx | default: 'unknown'}")) // => unknown
+ *
+ * // Throw an error if macro-result is 'undefined' (modifier-key: "mandatory" / "-m").
+ * try {
+ *     console.log(mi.resolve("${xxx | mandatory}"))
+ * } catch (e) {
+ *     console.log(e)
+ * }
+ *
+ * // Multiple defaults. Only the 'foo' alternative can be found in the repository. Lowercase the result
+ * console.log(mi.resolve("${foo1 | -d:foo | -d:'not found' | lower}")) // => bar
+ * // No version of 'foo' alternatives can be found in the repository. Uppercase the result
+ * console.log(mi.resolve("${foo1 | -d:Foo2 | -d:'not found' | upper}")) // => NOT FOUND
+ * // Uppercase-modifier before the string-default => the "not found" is returned not uppercase.
+ * console.log(mi.resolve("${foo1 | -d:Foo2  | upper | -d:'not found'}")) // => not found
+ * ```
+ */
+/**
+ * @name ModifierCallback
+ * @private
+ * @description
+ * A ModifierCallback can modify or check the macro-result after the interpolation.
+ *
+ * The callback has to return a result. The result is the new macro-result-value,
+ * and either passed to the next modifier or used as the final result of the
+ * interpolation.
+ *
+ * To get a better idea of the implementation of a modifier see the implementation
+ * of the default-modifiers.
+ *
+ * During `.resolveAsync()` the callback can return a Promise that is awaited.
+ * `macroInt.getValue()` returns a Promise in that case.
+ *
+ * Besides the raw parameter-string the callback can get the parsed parameters
+ * as its 4th argument `args`: The parameters are split at every "," (outside
+ * of string-constants, JSON-literals and nested macros) and every parameter
+ * is converted to a typed value: A nested macro keeps the type of its result
+ * (`${x | m: ${y}}`). All other parameters are handled like a
+ * [macroKey](#macrokey): String-constants (`'a'`), literals (`0`, `true`,
+ * `[1, 2]`), property-path-indexes (`^-1`) and keys of the repositories. If a
+ * key isn't found the key itself is used as a string (`oneOf: dev, test`). The
+ * `args` are only provided if the modifier is registered with the metadata
+ * `args: true` (see `MacroInt.registerModifier()`). Keys are evaluated
+ * lazily when an element of `args` is read the first time (during
+ * `.resolveAsync()` the element is a Promise). Raw parameters can be
+ * evaluated with `macroInt.evaluateParam()`. So the repositories are only
+ * accessed if the modifier actually needs the value.
+ *
+ * Nested macros in the parameters (`${x | -d:${y}}`) are evaluated before
+ * the callback is called. A modifier that's registered with the metadata
+ * `lazyParams: true` gets the parameters as they're written instead. Their
+ * nested macros are evaluated when the callback passes the parameters to
+ * `macroInt.getValue()` or `macroInt.evaluateParam()`.
+ *
+ * @callback ModifierCallback
+ * @param {MacroInt} macroInt - The current macroInt-object. Provides some useful functions like .getValue or addError
+ * @param {*} macroValue - The interpolated current result value of the macro (=result)
+ * @param {String|undefined} parameters - String that contains the parameter(s) that were given to the modifier if any.
+ * @param {Array.<*>} [args] - The parameters split at every "," and converted to typed values (see below). Only provided if the modifier is registered with `args: true`.
+ * @return {*}
+ * @see Modifier
+ * @see MacroInt.registerModifier
+ * @example
+ * ```js
+ * MacroInt.registerModifier(
+ *     ["reverse", "-r"],
+ *     (macroInt, macroValue, params) => {
+ *         return ("" + macroValue).split("").reverse().join("")
+ *     }
+ * )
+ * const macroInt = new MacroInt({ macro: "Hello" })
+ * console.log(macroInt.resolve("${macro | -r}")) // expected: olleH
+ *
+ * // A modifier with multiple parameters
+ * MacroInt.registerModifier(
+ *     "oneOf",
+ *     (macroInt, macroValue, params, args) => {
+ *         if (!args.includes(macroValue))
+ *             macroInt.addErrorWithCode("one-of", `Must be one of ${params}.`)
+ *         return macroValue
+ *     },
+ *     { args: true }
+ * )
+ * console.log(macroInt.resolve("${env | oneOf: dev, test, prod}"))
+ * ```
+ */
+/**
+ * @name Error-Handling
+ * @private
+ * @description
+ * Errors that are found during the macro interpolation process are collected
+ * in the .errors-array. Javascript errors are still thrown immediately. By
+ * default all found errors are thrown an one error at the end of the resolve-function.\
+ * By setting the constructor-parameter `options.throwErrors=false`. Then the
+ * caller should check the .errors-array manually. This is not recommended.
+ *
+ * If the options.throwErrors=true (default) the .errors-array is cleared at
+ * the beginning of every call to .resolve(). If options.throwErrors=false the
+ * array is never cleared and all new errors are added to the existing entries.
+ * (The array can be cleared manually via `<instance>.errors.length = 0`.)
+ *
+ * The entries of the .errors-array are [MacroIntErrors](#macrointerror). Besides
+ * the message every entry has a `code`, the `macro` and the complete
+ * `expression` that caused the error, the property-`path`, the character-
+ * `offset` and the `line` and `column` of the macro in the expression.
+ *
+ * The messages of errors in multi-line expressions (e.g. a template-file) don't
+ * contain the complete expression but the line and column of the macro and
+ * a snippet of the line with carets under the macro and the modifier at fault:
+ * ```
+ * Unknown modifier "toNumbr". Did you mean "toNumber"? <== ${port | toNumbr}  (@property: config) at line 3, column 7:
+ *   3 | port: ${port | toNumbr}
+ *     |       ~~~~~~~~~^^^^^^^~
+ * ```
+ *
+ * The error thrown at the end of the
+ * resolve-function is a [MacroIntAggregateError](#macrointaggregateerror) that
+ * contains all errors in it's `errors`-array.
+ *
+ * The following error-codes are used:
+ * - `unknown-modifier`: The modifier isn't registered. The message contains the most similar modifier-name (if there is one).
+ * - `undefined-mandatory`: The result of a macro with the `mandatory`-modifier is `undefined`.
+ * - `undefined-default`: The value of a `default`-modifier is `undefined`.
+ * - `undefined-value`: The result of a macro is `undefined` and `options.allowUndefined=false` or `options.onUndefined="error"`.
+ * - `unused-constant`: A value follows a constant value (e.g. `${x | -d:'a' | -d:b}`).
+ * - `invalid-path-index`: The index of a property-path-macro (e.g. `${^-9}`) is invalid.
+ * - `bad-number`: The `toNumber`-modifier or an arithmetic operator of an expression couldn't convert the value.
+ * - `invalid-usage`: A modifier is used where it's not allowed.
+ * - `invalid-condition`: The parameters of the `if`-modifier are invalid.
+ * - `invalid-param`: A parameter of a string-modifier is invalid (e.g. `${x | padStart: abc}`) or the result would be longer than `options.maxLength`.
+ * - `invalid-encoding`: An encoding-modifier can't convert the value (e.g. `${x | base64Decode}` with an invalid string).
+ * - `cyclic-reference`: A macro-value references itself (e.g. `a -> b -> a`).
+ * - `max-depth`: The macro-values are nested deeper than `options.maxDepth`.
+ * - `invalid-option`: Invalid options are provided (thrown immediately).
+ * - `duplicate-modifier`: The name of a new modifier is already registered (thrown immediately).
+ * - `custom`: Errors added by `.addError()`.
+ *
+ * ```js
+ * mi = new MacroInt({}, { throwErrors: false })
+ * mi.resolve({ db: { url: "${dbUrl | mandatory}" } })
+ * console.log(mi.errors[0].code) // => undefined-mandatory
+ * console.log(mi.errors[0].path) // => ["db", "url"]
+ * ```
+ *
+ * @see constructor
+ * @see options.throwErrors
+ * @see options.allowUndefined
+ */
+/**
+ * @name MacroSymbols
+ * @private  // don't add automatically to the readme
+ * @description
+ * The `MacroSymbols` is an object that has a couple of properties that define
+ * the string-indicators used to identify the different parts of a macro.\
+ * \
+ * The `MacroSymbols` used by `MacroInt` can be modified by either change
+ * the static MacroInt.defaultSymbols (which is **dangerous** because all other
+ * modules using `MacroInt` are affected). The other way is to provide an object
+ * with some or all of the defined symbols to the options.symbols parameter of
+ * the MacroInt-constructor.
+ *
+ * @property {String} [macroBegin=${] - Indicates the begin of a macro inside of an expression. Must be a non-empty string.
+ * @property {String} [macroEnd=}] -  String that indicates the end of a macro inside an expression. Must be a non-empty string.
+ * @property {String} [modifierSeparator=\|] - String that separates the regular macroKey and modifier(s). Must be a non-empty string.
+ * @property {String} [modifierParamSeparator=:] - String that's used as a separator between one modifier and it's optional parameters. Must be a non-empty string.
+ * @property {String} [propertyPathIndicator=^] - String to identify expressions that will be interpolated with the name of one of the parent-nodes of the current entry. (By default only used if `.resolve` is called with an object-parameter.)
+ * @property {String} [siblingsTemplateKey=$template] - String that identifies a property in an object that is used as an template for all siblings [siblings-templates](#siblings-templates) of that entry.
+ * @property {String} [escapeChar=\\] - Character that escapes the next character (e.g. `\${x}` isn't a macro). An empty string (or "none") disables escaping, so backslashes (e.g. in Windows-paths) don't need to be doubled.
+ * @property {String} [verbatimBegin=$[[] - Indicates the begin of a verbatim-block. The text up to the `verbatimEnd` is used as it is: Macros and escape-characters inside of the block aren't interpreted (e.g. `$[[echo ${HOME}]]$`). An empty string disables verbatim-blocks.
+ * @property {String} [verbatimEnd=]]$] - String that indicates the end of a verbatim-block. A verbatim-begin without a verbatim-end is normal text.
+ * @property {String} [shortMacroBegin=] - Indicates the begin of a macro without macro-end that consists of a name only (e.g. "$" for `$HOME`). The name starts with a letter or "_" and contains letters, digits and "_". An empty string disables short macros.
+ * @property {Object.<string, string>} [modifierOperators={}] - Maps operators to modifier-names (e.g. `{ ":-": "default" }` for `${VAR:-value}`). An operator inside of a macro starts the modifier and everything after the operator are the parameters of the modifier.
+ * @property {Boolean} [operatorParamsAsText=false] - If `true` the parameters of the `modifierOperators` are text (like a string-constant, e.g. `${HOST:-localhost}`). Only macros and the macro-end are recognized inside of the text (not the `modifierSeparator`).
+ */
+/**
+ * @name Syntax-Presets
+ * @private  // don't add automatically to the readme
+ * @description
+ * The static `MacroInt.syntaxPresets` contain [MacroSymbols](#macrosymbols)
+ * for placeholders of other tools. A preset is selected with the
+ * constructor-option `syntax`. Additional `options.symbols` override the
+ * symbols of the preset.
+ *
+ * - **shell**: POSIX-shell style `$VAR` and `${VAR}` with the operators
+ *   `${VAR:-default}` (`default`-modifier), `${VAR:?message}`
+ *   (`mandatory`-modifier with a message) and `${VAR:+alternative}`
+ *   (`alternative`-modifier). The values after the operators are text up to
+ *   the macro-end that can contain macros (`${URL:-http://$HOST}`). So a
+ *   modifier-separator is part of the text (`${CMD:-a|b}`). Note: In
+ *   contrast to shells only `undefined` values are missing (not empty
+ *   strings).
+ * - **mustache**: `{{ key }}`.
+ * - **ci**: `${{ key }}` like in CI workflow-files incl. the default-operator
+ *   `${{ key || 'default' }}`. The values after `||` are macroKeys. Like
+ *   chained `default`-modifiers an undefined value in the middle of a chain
+ *   is an error. Use the fallback-operator for chains (`${{ a ?? b ?? 'c' }}`).
+ *
+ * The modifiers (e.g. `${VAR | upper}`) can be used with all presets.
+ *
+ * ```js
+ * mi = new MacroInt({ USER: "tom" }, { syntax: "shell" })
+ * console.log(mi.resolve("$USER@${HOST:-localhost}")) // => tom@localhost
+ * ```
+ */
+/**
+ * @name Auto-Escaping
+ * @private  // don't add automatically to the readme
+ * @description
+ * The constructor-option `autoEscape` declares the output-context of the
+ * resolved strings. The results of all macros that are embedded in a larger
+ * string (not `.isOneMacro()`) are converted to strings and escaped for the
+ * context with the functions of the static `MacroInt.escapeContexts`:
+ *
+ * - **html**: Escapes `& < > " '` (like the `htmlEscape`-modifier).
+ * - **url**: Encodes the result as URL-component (like the `urlEncode`-modifier).
+ * - **shell**: Quotes the result for a POSIX-shell (like the `shellQuote`-modifier).
+ * - **json-string**: Escapes the result for a JSON-string (like the `jsonEscape`-modifier).
+ * - **none**: Nothing is escaped (default).
+ *
+ * The `raw`-modifier (`-rw`) excludes a macro from the escaping. The results of
+ * the escaping-modifier of the same context (e.g. `${user | htmlEscape}` with
+ * `autoEscape: "html"`) aren't escaped again. The results of
+ * macros in macro-values and in modifier-parameters are only escaped once as
+ * part of the outer macro. Undefined results (and the replacements of
+ * `options.onUndefined`) aren't escaped.
+ *
+ * ```js
+ * mi = new MacroInt({ user: "<b>Tom</b>" }, { autoEscape: "html" })
+ * console.log(mi.resolve("<p>${user}</p>")) // => <p>&lt;b&gt;Tom&lt;/b&gt;</p>
+ * console.log(mi.resolve("<p>${user | raw}</p>")) // => <p><b>Tom</b></p>
+ * ```
+ */
+/**
+ * @name Repository
+ * @private  // don't add automatically to the readme
+ * @description
+ * A repository is used to get the value for a `macroKey`.
+ *
+ * Multiple repositories can be assigned to one MacroInt-instance. A repository
+ * can have one of the following types:
+ *
+ * ### Repository-Object
+ * That's the most common use-case. The object can have properties
+ *   with any depth. To access elements below the root level the key must have
+ *   the full path to the property encoded like "${parent1.parent2.key}".
+ *   Array-elements are accessed with brackets "${servers[0].host}" (negative
+ *   indexes count from the end "${servers[-1]}") and property-names with
+ *   special characters are quoted in brackets "${flags['com.example.flag']}".
+ *   See `MacroInt.parseKeyPath()` for details.
+ * ### RepositoryCallback
+ * A repository-callback is called to resolve the macroKey.
+ * If a Repository is a callback-function that function is called instead of
+ * retrieving property-values from an object-repository.\
+ * The callback returns either the resolved value or `undefined` if the value
+ * could not be resolved. If the repository is used by `.resolveAsync()` the
+ * callback can also return a Promise (e.g. to read a file or a key-store).
+ *
+ * @param {String} macroKey - The keyword that will be searched.
+ * @param {MacroInt} macroInt - The MacroInt-object that provides information and helper functions.
+ * @param {Array.<String|Number>} keyPath - The macroKey split into its segments (see `MacroInt.parseKeyPath()`).
+ * @return {*|undefined}
+ */
+/**
+ * @name Siblings-Templates
+ * @private
+ * @description
+ * The sibling templates allow the definition of all necessary entries for all sibling-objects.
+ *
+ * TODO: Build documentation
+ */
+/**
+ * @name Syntax-Tree
+ * @private  // don't add automatically to the readme
+ * @description
+ * `.parse()` returns the syntax-tree of an expression without resolving it.
+ * The tree can be used to inspect the macros of an expression (e.g. by
+ * linters or editors). Every node has a `type` and the `start`- and
+ * `end`-offsets of the according part in the parsed expression.
+ *
+ * - **template**: The root-node. `nodes` contains the text- and macro-nodes of
+ *   the expression.
+ * - **text**: A text-part. `value` contains the text without the
+ *   escape-characters.
+ * - **macro**: A macro incl. it's macro-begin and -end. `key` contains the
+ *   text- and macro-nodes that build the [macroKey](#macrokey). `modifiers`
+ *   contains the modifier-nodes.
+ * - **modifier**: A [modifier](#modifier) (without the modifier-separator).
+ *   `name` contains the text- and macro-nodes that build the modifier-name.
+ *   `params` contains the nodes after the modifier-param-separator or is
+ *   `undefined` if the modifier has no parameters. The parameters are split
+ *   at every "," (outside of string-constants, JSON-literals and nested
+ *   macros) into `args` (an array of node-arrays). The ","-text-nodes are
+ *   part of `params` but not of `args`. Modifiers that were started by one
+ *   of the `modifierOperators` (see [MacroSymbols](#macrosymbols)) have the
+ *   `operator` and a `name` with the mapped modifier-name.
+ *
+ * ```js
+ * mi = new MacroInt()
+ * tree = mi.parse("${name | -d:'x'}")
+ * console.log(tree.nodes[0].modifiers[0].params[0].value) // => 'x'
+ * ```
+ */
+/**
+ * Text-node of the [syntax-tree](#syntax-tree).
+ *
+ * @typedef {{type: "text", value: String, start: Number, end: Number}} TextNode
+ */
+/**
+ * Macro-node of the [syntax-tree](#syntax-tree).
+ *
+ * @typedef {{type: "macro", start: Number, end: Number, key: Array.<TextNode|MacroNode>, modifiers: ModifierNode[]}} MacroNode
+ */
+/**
+ * Modifier-node of the [syntax-tree](#syntax-tree).
+ *
+ * @typedef {{type: "modifier", start: Number, end: Number, name: Array.<TextNode|MacroNode>, params: Array.<TextNode|MacroNode>|undefined, args: Array.<Array.<TextNode|MacroNode>>, operator: (String|undefined)}} ModifierNode
+ */
+/**
+ * Root-node of the [syntax-tree](#syntax-tree).
+ *
+ * @typedef {{type: "template", expression: String, start: Number, end: Number, nodes: Array.<TextNode|MacroNode>}} TemplateNode
+ */
+/**
+ * Result of `.validate()`. `valid` is `true` if no errors were found.
+ * Every error contains the `code` and the property-`path` of the problem.
+ *
+ * @typedef {{valid: Boolean, errors: MacroIntError[]}} ValidationReport
+ */
+/**
+ * Description of a modifier returned by `.listModifiers()`. `names`
+ * contains all aliases of the modifier. The other properties are the
+ * metadata given to `.registerModifier()`: The parameter-signature
+ * (e.g. "[:<default>]"), the accepted `input`- and the `output`-type of the
+ * macro-value and examples.
+ *
+ * @typedef {{names: String[], description: (String|undefined), params: (String|undefined), input: (String|undefined), output: (String|undefined), examples: String[]}} ModifierInfo
+ */
+/**
+ * A macroKey that's referenced in an expression (see `.listReferences()`).
+ * - `key`: The macroKey (the source-text if the key contains macros).
+ * - `path`: The property-path of the expression.
+ * - `dynamic`: `true` if the key is built from other macros (e.g. `${db_${env}}`).
+ * - `modifiers`: The modifiers of the macro (name and parameters).
+ * - `mandatory`: `true` if the `mandatory`-modifier is used.
+ * - `default`: The parameter of the first `default`-modifier.
+ *
+ * @typedef {{key: String, path: String[], dynamic: Boolean, modifiers: Array.<{name: String, params: (String|undefined)}>, mandatory: Boolean, default: (String|undefined)}} MacroReference
+ */
+/**
+ * Location of the current macro in the complete expression (see
+ * `._getErrorLocation()`). All properties are missing if there's no current
+ * macro and the `snippet` is only built for multi-line expressions.
+ *
+ * @private
+ * @typedef {Object} ErrorLocation
+ * @property {Number} [offset] - The offset of the macro.
+ * @property {Number} [line] - The line of the macro (starting with 1).
+ * @property {Number} [column] - The column of the macro (starting with 1).
+ * @property {String} [snippet] - The line of the macro with carets under the macro.
+ */
 /**
- * FoundModifier-Object is the object-format of the elements of the array of modifiers found in a macro.
+ * @class
+ * @classdesc
+ * Error that's added to the `.errors`-array of MacroInt (or thrown immediately).
+ * Besides the message it contains the error-code and the location of the
+ * macro that caused the error. See [Error-Handling](#error-handling).
+ */
+declare class MacroIntError extends Error {
+    /**
+     * @constructor
+     * @param {String} code - The error-code.
+     * @param {String} message - The error-message.
+     * @param {Object} [details=undefined] - The location of the error.
+     *      @param {String} [details.macro] - The macro that caused the error.
+     *      @param {String} [details.expression] - The complete expression.
+     *      @param {String[]} [details.path] - The path to the property.
+     *      @param {Number} [details.offset] - The character-offset of the macro in the expression.
+     *      @param {Number} [details.line] - The line (1-based) of the macro in the expression.
+     *      @param {Number} [details.column] - The column (1-based) of the macro in the line.
+     */
+    constructor(code: string, message: string, details?: {
+        macro?: string;
+        expression?: string;
+        path?: string[];
+        offset?: number;
+        line?: number;
+        column?: number;
+    });
+    /**
+     * The error-code (e.g. "unknown-modifier"). See [Error-Handling](#error-handling).
+     * @type {String}
+     */
+    code: string;
+    /**
+     * The macro that caused the error.
+     * @type {String|undefined}
+     */
+    macro: string | undefined;
+    /**
+     * The complete expression that contains the macro.
+     * @type {String|undefined}
+     */
+    expression: string | undefined;
+    /**
+     * The path to the property (only if an object is resolved).
+     * @type {String[]}
+     */
+    path: string[];
+    /**
+     * The character-offset of the macro in the expression.
+     * @type {Number|undefined}
+     */
+    offset: number | undefined;
+    /**
+     * The line (1-based) of the macro in the expression.
+     * @type {Number|undefined}
+     */
+    line: number | undefined;
+    /**
+     * The column (1-based) of the macro in the line.
+     * @type {Number|undefined}
+     */
+    column: number | undefined;
+}
+/**
+ * Root-node of the [syntax-tree](#syntax-tree).
  */
-type FoundModifier = {
+type TemplateNode = {
+    type: "template";
+    expression: string;
+    start: number;
+    end: number;
+    nodes: Array<TextNode | MacroNode>;
+};
+/**
+ * Result of `.validate()`. `valid` is `true` if no errors were found.
+ * Every error contains the `code` and the property-`path` of the problem.
+ */
+type ValidationReport = {
+    valid: boolean;
+    errors: MacroIntError[];
+};
+/**
+ * A macroKey that's referenced in an expression (see `.listReferences()`).
+ * - `key`: The macroKey (the source-text if the key contains macros).
+ * - `path`: The property-path of the expression.
+ * - `dynamic`: `true` if the key is built from other macros (e.g. `${db_${env}}`).
+ * - `modifiers`: The modifiers of the macro (name and parameters).
+ * - `mandatory`: `true` if the `mandatory`-modifier is used.
+ * - `default`: The parameter of the first `default`-modifier.
+ */
+type MacroReference = {
     key: string;
-    params: string | undefined;
+    path: string[];
+    dynamic: boolean;
+    modifiers: Array<{
+        name: string;
+        params: (string | undefined);
+    }>;
+    mandatory: boolean;
+    default: (string | undefined);
+};
+type ModifierCallback = (macroInt: MacroInt, macroValue: any, parameters: string | undefined, args?: Array<any>) => any;
+/**
+ * Description of a modifier returned by `.listModifiers()`. `names`
+ * contains all aliases of the modifier. The other properties are the
+ * metadata given to `.registerModifier()`: The parameter-signature
+ * (e.g. "[:<default>]"), the accepted `input`- and the `output`-type of the
+ * macro-value and examples.
+ */
+type ModifierInfo = {
+    names: string[];
+    description: (string | undefined);
+    params: (string | undefined);
+    input: (string | undefined);
+    output: (string | undefined);
+    examples: string[];
+};
+/**
+ * Text-node of the [syntax-tree](#syntax-tree).
+ */
+type TextNode = {
+    type: "text";
+    value: string;
+    start: number;
+    end: number;
+};
+/**
+ * Macro-node of the [syntax-tree](#syntax-tree).
+ */
+type MacroNode = {
+    type: "macro";
+    start: number;
+    end: number;
+    key: Array<TextNode | MacroNode>;
+    modifiers: ModifierNode[];
+};
+/**
+ * Modifier-node of the [syntax-tree](#syntax-tree).
+ */
+type ModifierNode = {
+    type: "modifier";
+    start: number;
+    end: number;
+    name: Array<TextNode | MacroNode>;
+    params: Array<TextNode | MacroNode> | undefined;
+    args: Array<Array<TextNode | MacroNode>>;
+    operator: (string | undefined);
+};
+/**
+ * Location of the current macro in the complete expression (see
+ * `._getErrorLocation()`). All properties are missing if there's no current
+ * macro and the `snippet` is only built for multi-line expressions.
+ */
+type ErrorLocation = {
+    /**
+     * - The offset of the macro.
+     */
+    offset?: number;
+    /**
+     * - The line of the macro (starting with 1).
+     */
+    line?: number;
+    /**
+     * - The column of the macro (starting with 1).
+     */
+    column?: number;
+    /**
+     * - The line of the macro with carets under the macro.
+     */
+    snippet?: string;
 };
@@ -27,8 +27,23 @@
  * 2. A String enclosed in string-delimiters (one of the three " ' \` ). The
  *    content of the string is returned as the result of the macro. This
  *    string-constants are useful to define default-values in the `default`-modifier.
+ *    Inside of a string-constant the modifier-separator, the
+ *    modifier-param-separator and the macro-end are normal characters
+ *    (`${x | default: 'a|b'}`, `${x | -d:"{json}"}`). A quote only starts a
+ *    string-constant at the begin of the macroKey or of a parameter (after
+ *    the modifier-param-separator, a "," or a whitespace). Quotes inside of the
+ *    string must be escaped with the escape-character (a backslash by
+ *    default, `${x | -d:'it\'s'}`). Macros
+ *    inside of string-constants are still resolved.
  *
- * 3. A ^-symbol followed by a number. This is used to access the name of a
+ * 3. A literal constant: A number (`${port | default: 8080}`), `true`,
+ *    `false`, `null` or a JSON-array/-object (`${hosts | -d:["a", "b"]}`).
+ *    The value is returned with its type if the whole expression is one macro
+ *    (see `.isOneMacro()`). Like in string-constants separators and the
+ *    macro-end inside of JSON-literals are normal characters. Note: Keys like
+ *    `123`, `true` or `[0]` are no longer searched in the repositories.
+ *
+ * 4. A ^-symbol followed by a number. This is used to access the name of a
  *    property in the path to the current property. This feature is only useful
  *    if an object/array is to be resolved. Normally this feature is especially
  *    useful together with the [siblings-templates](#siblings-templates).\
@@ -38,6 +53,28 @@
  *    `parent.child.key = "\${^0}"` --> "parent"\
  *    `parent.child.key = "\${^1}"` --> "child"\
  *    `parent.child.key = "\${^2}"` --> "key"\
+ *
+ * 5. An expression with operators: `${workers * 2}`, `${port + 1}`,
+ *    `${(a + b) / 2}`, `${level >= 3 and not quiet}`. The operands are
+ *    macroKeys themselves (keys, constants or literals). Supported are the
+ *    arithmetic operators `+ - * / %`, the comparisons `== != < > <= >=`,
+ *    the boolean operators `and` / `&&`, `or` and `not` / `!` and parentheses.
+ *    Numeric strings (e.g. from environment-variables) are used as numbers.
+ *    The result is a number or boolean if the whole expression is one macro
+ *    (see `.isOneMacro()`). If an operand of an arithmetic operator or of
+ *    `< > <= >=` is `undefined` the result is `undefined` (e.g. for the
+ *    `default`-modifier). Notes: The binary operators need a whitespace (or a
+ *    parenthesis) before them. Operator-characters inside of a key are part
+ *    of the key (`${my-key - 1}`, `${secret/db}`). `||` can't be used because
+ *    the "|" is the modifier-separator. A macroKey that isn't a valid
+ *    expression (e.g. a key with spaces) is used as a key.
+ *
+ * 6. A fallback-chain with the operator `??`: `${primary ?? secondary ?? 'none'}`.
+ *    The operands are tried in order and the first value that isn't missing
+ *    is the result. The remaining operands aren't retrieved. Missing means
+ *    `undefined` or - with the option `emptyIsMissing` (see
+ *    [Constructor](#constructor)) - `null` and "", too. `??` has the lowest
+ *    precedence of all operators (`${a ?? b + 1}` = `${a ?? (b + 1)}`).
  */
 
 /**
@@ -50,8 +87,19 @@
  * can be applied to every macro. One modifier can be used multiple times in one
  * macro (e.g. the "default"-modifier).\
  * \
+ * Modifiers can have parameters after the modifier-param-separator. Multiple
+ * parameters are separated by "," (e.g. `${name | pad: 10, '-'}`). See
+ * [modifierCallback](#modifiercallback) for the handling of the parameters.\
+ * \
  * Custom additional modifiers can be added via the static `MacroInt.registerModifier()`
- * and removed with `MacroInt.unregisterModifier()`.\
+ * and removed with `MacroInt.unregisterModifier()`. These global modifiers are
+ * available in all instances. Modifiers that are registered on an instance
+ * (`.registerModifier()` or `options.modifiers`) shadow the global modifiers
+ * and don't affect other instances. `options.allowedModifiers` restricts the
+ * global modifiers an instance can use (see [Constructor](#constructor)).
+ * `MacroInt.listModifiers()` lists all modifiers with their aliases and
+ * metadata (description, parameters,...) and `MacroInt.formatModifiers()`
+ * formats the list as a help-text.\
  * \
  * There are a couple of modifiers predefined. All predefined modifiers have at
  * least one full-name and one short alias with a leading "-" plus one or two
@@ -64,16 +112,23 @@
  * ### _default:\<macroKey> / -d:\<macroKey>_
  * This modifier defines a default in case the result of the macro is still
  * `undefined`. The default-value after the `:` can be any <[macroKey](#macrokey)>.
+ * The default-value is only retrieved if the macro-result is `undefined`.
  *
- * ### _mandatory / -m_
+ * ### _mandatory[:\<message>] / -m[:\<message>]_
  * This modifier defines that the macro-result can't be `undefined`. It it is
- * an error is added to the errors-array. Depending of the throwErrors-flag
+ * an error is added to the errors-array. The optional <[macroKey](#macrokey)>
+ * \<message> is added to the error-message (`${token | -m:'Set the TOKEN'}`). Depending of the throwErrors-flag
  * (see [Constructor](#constructor)) of the constructor flag a error is thrown
  * at the end of the resolve-process.
  * If the allowUndefined-flag == false (see [Constructor](#constructor)) this
  * modifier has no real function because an error is added for every undefined
  * result.
  *
+ * ### _alternative:\<macroKey> / -alt:\<macroKey>_
+ * Returns the value of the <[macroKey](#macrokey)> if the macro-result is set
+ * (not `undefined`, `null` or ""). Otherwise the result is an empty string.
+ * (Like `${VAR:+alternative}` in shells.)
+ *
  * ### _upper / -u_
  * This modifier converts the result-string of the macro into an uppercase-string.
  *
@@ -93,6 +148,81 @@
  * Converts the macro-result to a boolean value. The strings "false" and "0"
  * return `false`. All other values are converted using the Boolean(result) function.\
  *
+ * ### _if:\<condition> ? \<macroKey> [: \<macroKey>] / -if:..._
+ * Checks the macro-result with the \<condition> and returns the value of the
+ * first <[macroKey](#macrokey)> if the condition is true or the value of the
+ * second (optional) macroKey otherwise (`undefined` if there is no second
+ * macroKey). Only the chosen macroKey is retrieved. The condition can be:
+ * - `<value>` or `== <value>`: The result is equal to the value (constant or key).
+ * - `!= <value>`: The result isn't equal to the value.
+ * - `exists` / `!exists`: The result is (not) `undefined`.
+ * - `~ <regex>` / `!~ <regex>`: The result (as a string) matches (doesn't match)
+ *   the regular expression (`/<pattern>/<flags>` or a string-constant).
+ *
+ * Values that aren't found in the repositories are used as strings
+ * (`${env | if: prod ? db.prod : db.dev}`). Note: A regex that contains a `|`
+ * must be a string-constant (`~ 'dev|test'`) and backslashes must be escaped
+ * (`~ /\\d+/`).
+ *
+ * ### String-Modifiers
+ * The following modifiers convert the macro-result to a string first (plain
+ * objects to JSON). They return `undefined` and `null` unchanged and are applied to every element
+ * of an array. Numeric parameters must be integers. Otherwise an
+ * `invalid-param`-error is added and the value is returned unchanged.
+ * - _trim / -t_: Removes the whitespace at the begin and the end.
+ * - _replace:\<search>[, \<replacement>] / -re_: Replaces all occurrences of
+ *   the \<search>-text (e.g. `${p | replace: '/tmp/', '/var/'}`).
+ * - _replaceRegex:\<pattern>[, \<replacement>[, \<flags>]] / -rx_: Replaces
+ *   the matches of the regular expression \<pattern> (without "/"). `$1`,...
+ *   in the replacement insert the groups. The \<flags> are "g" (= all
+ *   matches) by default. Given \<flags> replace the default, so they need
+ *   the "g" to replace all matches (e.g. `${x | replaceRegex: 'a', 'b', 'gi'}`).
+ * - _substring:\<start>[, \<end>] / -ss_: Returns the part from \<start> up to
+ *   (excluding) \<end>. Negative values count from the end.
+ * - _padStart:\<length>[, \<fill>] / -ps_ and _padEnd / -pe_: Adds the \<fill>-string
+ *   (default: space) until the result has the \<length>.
+ * - _prefix:\<text> / -pf_ and _suffix:\<text> / -sf_: Adds the \<text> if the
+ *   result isn't empty (`${host}${port | prefix: ':'}`).
+ * - _split[:\<separator>] / -sp_: Splits the result into an array (default: ",").
+ * - _join[:\<separator>] / -j_: Joins the elements of an array (default: ",").
+ * - _capitalize / -cap_: Converts the first character to upper-case.
+ * - _camelCase / -cc_, _kebabCase / -kc_ and _snakeCase / -sc_: Converts the
+ *   words of the result ("myHTTPServer" => "myHttpServer", "my-http-server", "my_http_server").
+ * - _truncate:\<length>[, \<ellipsis>] / -tr_: Shortens the result to the
+ *   \<length> including the \<ellipsis> (default: "...").
+ * - _repeat:\<count>[, \<separator>] / -rp_: Repeats the result \<count> times.
+ *
+ * ```js
+ * mi = new MacroInt({ hosts: "a, b ,c", title: "Hello World" })
+ * console.log(mi.resolve("${hosts | split | trim | join: ' '}")) // => a b c
+ * console.log(mi.resolve("${title | truncate: 8}")) // => Hello...
+ * ```
+ *
+ * ### Encoding-Modifiers
+ * Escape or encode the macro-result for the output-context. Like the
+ * string-modifiers they convert the macro-result to a string (plain objects
+ * to JSON), return `undefined` and `null` unchanged and are applied to every
+ * element of an array. Values that can't be decoded return `undefined` and add
+ * an `invalid-encoding`-error.
+ * - _urlEncode / -ue_ and _urlDecode / -ud_: URL-component (`encodeURIComponent()`).
+ * - _htmlEscape / -he_: Escapes the characters `& < > " '`.
+ * - _jsonEscape / -je_: Escapes the result for the use inside of a JSON-string.
+ * - _toJSON[:\<indent>] / -json_: `JSON.stringify()` of the whole result (also
+ *   objects, arrays and `null`).
+ * - _parseJSON / fromJSON / -pj_: `JSON.parse()` of a string-result.
+ * - _base64 / -b64_ and _base64Decode / -b64d_: Base64 (the text as UTF-8).
+ * - _base64url / -b64u_ and _base64urlDecode / -b64ud_: URL-safe base64 without padding.
+ * - _hex / -hex_ and _hexDecode / -hexd_: The UTF-8-bytes as hex-string.
+ * - _shellQuote / -sq_: Quotes the result with single-quotes for a POSIX-shell.
+ * - _raw / -rw_: Excludes the macro from the escaping of `options.autoEscape`
+ *   (see [Auto-Escaping](#auto-escaping)). The result isn't changed.
+ *
+ * ```js
+ * mi = new MacroInt({ q: "a&b", files: ["my file", "it's"] })
+ * console.log(mi.resolve("/search?q=${q | urlEncode}")) // => /search?q=a%26b
+ * console.log(mi.resolve("rm ${files | shellQuote | join: ' '}")) // => rm 'my file' 'it'\''s'
+ * ```
+ *
  * ### Examples
  *
  * ```js
@@ -133,10 +263,35 @@
  * To get a better idea of the implementation of a modifier see the implementation
  * of the default-modifiers.
  *
+ * During `.resolveAsync()` the callback can return a Promise that is awaited.
+ * `macroInt.getValue()` returns a Promise in that case.
+ *
+ * Besides the raw parameter-string the callback can get the parsed parameters
+ * as its 4th argument `args`: The parameters are split at every "," (outside
+ * of string-constants, JSON-literals and nested macros) and every parameter
+ * is converted to a typed value: A nested macro keeps the type of its result
+ * (`${x | m: ${y}}`). All other parameters are handled like a
+ * [macroKey](#macrokey): String-constants (`'a'`), literals (`0`, `true`,
+ * `[1, 2]`), property-path-indexes (`^-1`) and keys of the repositories. If a
+ * key isn't found the key itself is used as a string (`oneOf: dev, test`). The
+ * `args` are only provided if the modifier is registered with the metadata
+ * `args: true` (see `MacroInt.registerModifier()`). Keys are evaluated
+ * lazily when an element of `args` is read the first time (during
+ * `.resolveAsync()` the element is a Promise). Raw parameters can be
+ * evaluated with `macroInt.evaluateParam()`. So the repositories are only
+ * accessed if the modifier actually needs the value.
+ *
+ * Nested macros in the parameters (`${x | -d:${y}}`) are evaluated before
+ * the callback is called. A modifier that's registered with the metadata
+ * `lazyParams: true` gets the parameters as they're written instead. Their
+ * nested macros are evaluated when the callback passes the parameters to
+ * `macroInt.getValue()` or `macroInt.evaluateParam()`.
+ *
  * @callback ModifierCallback
  * @param {MacroInt} macroInt - The current macroInt-object. Provides some useful functions like .getValue or addError
  * @param {*} macroValue - The interpolated current result value of the macro (=result)
  * @param {String|undefined} parameters - String that contains the parameter(s) that were given to the modifier if any.
+ * @param {Array.<*>} [args] - The parameters split at every "," and converted to typed values (see below). Only provided if the modifier is registered with `args: true`.
  * @return {*}
  * @see Modifier
  * @see MacroInt.registerModifier
@@ -150,6 +305,18 @@
  * )
  * const macroInt = new MacroInt({ macro: "Hello" })
  * console.log(macroInt.resolve("${macro | -r}")) // expected: olleH
+ *
+ * // A modifier with multiple parameters
+ * MacroInt.registerModifier(
+ *     "oneOf",
+ *     (macroInt, macroValue, params, args) => {
+ *         if (!args.includes(macroValue))
+ *             macroInt.addErrorWithCode("one-of", `Must be one of ${params}.`)
+ *         return macroValue
+ *     },
+ *     { args: true }
+ * )
+ * console.log(macroInt.resolve("${env | oneOf: dev, test, prod}"))
  * ```
  */
 
@@ -168,6 +335,49 @@
  * array is never cleared and all new errors are added to the existing entries.
  * (The array can be cleared manually via `<instance>.errors.length = 0`.)
  *
+ * The entries of the .errors-array are [MacroIntErrors](#macrointerror). Besides
+ * the message every entry has a `code`, the `macro` and the complete
+ * `expression` that caused the error, the property-`path`, the character-
+ * `offset` and the `line` and `column` of the macro in the expression.
+ *
+ * The messages of errors in multi-line expressions (e.g. a template-file) don't
+ * contain the complete expression but the line and column of the macro and
+ * a snippet of the line with carets under the macro and the modifier at fault:
+ * ```
+ * Unknown modifier "toNumbr". Did you mean "toNumber"? <== ${port | toNumbr}  (@property: config) at line 3, column 7:
+ *   3 | port: ${port | toNumbr}
+ *     |       ~~~~~~~~~^^^^^^^~
+ * ```
+ *
+ * The error thrown at the end of the
+ * resolve-function is a [MacroIntAggregateError](#macrointaggregateerror) that
+ * contains all errors in it's `errors`-array.
+ *
+ * The following error-codes are used:
+ * - `unknown-modifier`: The modifier isn't registered. The message contains the most similar modifier-name (if there is one).
+ * - `undefined-mandatory`: The result of a macro with the `mandatory`-modifier is `undefined`.
+ * - `undefined-default`: The value of a `default`-modifier is `undefined`.
+ * - `undefined-value`: The result of a macro is `undefined` and `options.allowUndefined=false` or `options.onUndefined="error"`.
+ * - `unused-constant`: A value follows a constant value (e.g. `${x | -d:'a' | -d:b}`).
+ * - `invalid-path-index`: The index of a property-path-macro (e.g. `${^-9}`) is invalid.
+ * - `bad-number`: The `toNumber`-modifier or an arithmetic operator of an expression couldn't convert the value.
+ * - `invalid-usage`: A modifier is used where it's not allowed.
+ * - `invalid-condition`: The parameters of the `if`-modifier are invalid.
+ * - `invalid-param`: A parameter of a string-modifier is invalid (e.g. `${x | padStart: abc}`) or the result would be longer than `options.maxLength`.
+ * - `invalid-encoding`: An encoding-modifier can't convert the value (e.g. `${x | base64Decode}` with an invalid string).
+ * - `cyclic-reference`: A macro-value references itself (e.g. `a -> b -> a`).
+ * - `max-depth`: The macro-values are nested deeper than `options.maxDepth`.
+ * - `invalid-option`: Invalid options are provided (thrown immediately).
+ * - `duplicate-modifier`: The name of a new modifier is already registered (thrown immediately).
+ * - `custom`: Errors added by `.addError()`.
+ *
+ * ```js
+ * mi = new MacroInt({}, { throwErrors: false })
+ * mi.resolve({ db: { url: "${dbUrl | mandatory}" } })
+ * console.log(mi.errors[0].code) // => undefined-mandatory
+ * console.log(mi.errors[0].path) // => ["db", "url"]
+ * ```
+ *
  * @see constructor
  * @see options.throwErrors
  * @see options.allowUndefined
@@ -192,6 +402,72 @@
  * @property {String} [modifierParamSeparator=:] - String that's used as a separator between one modifier and it's optional parameters. Must be a non-empty string.
  * @property {String} [propertyPathIndicator=^] - String to identify expressions that will be interpolated with the name of one of the parent-nodes of the current entry. (By default only used if `.resolve` is called with an object-parameter.)
  * @property {String} [siblingsTemplateKey=$template] - String that identifies a property in an object that is used as an template for all siblings [siblings-templates](#siblings-templates) of that entry.
+ * @property {String} [escapeChar=\\] - Character that escapes the next character (e.g. `\${x}` isn't a macro). An empty string (or "none") disables escaping, so backslashes (e.g. in Windows-paths) don't need to be doubled.
+ * @property {String} [verbatimBegin=$[[] - Indicates the begin of a verbatim-block. The text up to the `verbatimEnd` is used as it is: Macros and escape-characters inside of the block aren't interpreted (e.g. `$[[echo ${HOME}]]$`). An empty string disables verbatim-blocks.
+ * @property {String} [verbatimEnd=]]$] - String that indicates the end of a verbatim-block. A verbatim-begin without a verbatim-end is normal text.
+ * @property {String} [shortMacroBegin=] - Indicates the begin of a macro without macro-end that consists of a name only (e.g. "$" for `$HOME`). The name starts with a letter or "_" and contains letters, digits and "_". An empty string disables short macros.
+ * @property {Object.<string, string>} [modifierOperators={}] - Maps operators to modifier-names (e.g. `{ ":-": "default" }` for `${VAR:-value}`). An operator inside of a macro starts the modifier and everything after the operator are the parameters of the modifier.
+ * @property {Boolean} [operatorParamsAsText=false] - If `true` the parameters of the `modifierOperators` are text (like a string-constant, e.g. `${HOST:-localhost}`). Only macros and the macro-end are recognized inside of the text (not the `modifierSeparator`).
+ */
+
+/**
+ * @name Syntax-Presets
+ * @private  // don't add automatically to the readme
+ * @description
+ * The static `MacroInt.syntaxPresets` contain [MacroSymbols](#macrosymbols)
+ * for placeholders of other tools. A preset is selected with the
+ * constructor-option `syntax`. Additional `options.symbols` override the
+ * symbols of the preset.
+ *
+ * - **shell**: POSIX-shell style `$VAR` and `${VAR}` with the operators
+ *   `${VAR:-default}` (`default`-modifier), `${VAR:?message}`
+ *   (`mandatory`-modifier with a message) and `${VAR:+alternative}`
+ *   (`alternative`-modifier). The values after the operators are text up to
+ *   the macro-end that can contain macros (`${URL:-http://$HOST}`). So a
+ *   modifier-separator is part of the text (`${CMD:-a|b}`). Note: In
+ *   contrast to shells only `undefined` values are missing (not empty
+ *   strings).
+ * - **mustache**: `{{ key }}`.
+ * - **ci**: `${{ key }}` like in CI workflow-files incl. the default-operator
+ *   `${{ key || 'default' }}`. The values after `||` are macroKeys. Like
+ *   chained `default`-modifiers an undefined value in the middle of a chain
+ *   is an error. Use the fallback-operator for chains (`${{ a ?? b ?? 'c' }}`).
+ *
+ * The modifiers (e.g. `${VAR | upper}`) can be used with all presets.
+ *
+ * ```js
+ * mi = new MacroInt({ USER: "tom" }, { syntax: "shell" })
+ * console.log(mi.resolve("$USER@${HOST:-localhost}")) // => tom@localhost
+ * ```
+ */
+
+/**
+ * @name Auto-Escaping
+ * @private  // don't add automatically to the readme
+ * @description
+ * The constructor-option `autoEscape` declares the output-context of the
+ * resolved strings. The results of all macros that are embedded in a larger
+ * string (not `.isOneMacro()`) are converted to strings and escaped for the
+ * context with the functions of the static `MacroInt.escapeContexts`:
+ *
+ * - **html**: Escapes `& < > " '` (like the `htmlEscape`-modifier).
+ * - **url**: Encodes the result as URL-component (like the `urlEncode`-modifier).
+ * - **shell**: Quotes the result for a POSIX-shell (like the `shellQuote`-modifier).
+ * - **json-string**: Escapes the result for a JSON-string (like the `jsonEscape`-modifier).
+ * - **none**: Nothing is escaped (default).
+ *
+ * The `raw`-modifier (`-rw`) excludes a macro from the escaping. The results of
+ * the escaping-modifier of the same context (e.g. `${user | htmlEscape}` with
+ * `autoEscape: "html"`) aren't escaped again. The results of
+ * macros in macro-values and in modifier-parameters are only escaped once as
+ * part of the outer macro. Undefined results (and the replacements of
+ * `options.onUndefined`) aren't escaped.
+ *
+ * ```js
+ * mi = new MacroInt({ user: "<b>Tom</b>" }, { autoEscape: "html" })
+ * console.log(mi.resolve("<p>${user}</p>")) // => <p>&lt;b&gt;Tom&lt;/b&gt;</p>
+ * console.log(mi.resolve("<p>${user | raw}</p>")) // => <p><b>Tom</b></p>
+ * ```
  */
 
 /**
@@ -207,15 +483,21 @@
  * That's the most common use-case. The object can have properties
  *   with any depth. To access elements below the root level the key must have
  *   the full path to the property encoded like "${parent1.parent2.key}".
+ *   Array-elements are accessed with brackets "${servers[0].host}" (negative
+ *   indexes count from the end "${servers[-1]}") and property-names with
+ *   special characters are quoted in brackets "${flags['com.example.flag']}".
+ *   See `MacroInt.parseKeyPath()` for details.
  * ### RepositoryCallback
  * A repository-callback is called to resolve the macroKey.
  * If a Repository is a callback-function that function is called instead of
  * retrieving property-values from an object-repository.\
  * The callback returns either the resolved value or `undefined` if the value
- * could not be resolved.
+ * could not be resolved. If the repository is used by `.resolveAsync()` the
+ * callback can also return a Promise (e.g. to read a file or a key-store).
  *
  * @param {String} macroKey - The keyword that will be searched.
  * @param {MacroInt} macroInt - The MacroInt-object that provides information and helper functions.
+ * @param {Array.<String|Number>} keyPath - The macroKey split into its segments (see `MacroInt.parseKeyPath()`).
  * @return {*|undefined}
  */
 
@@ -229,18 +511,230 @@
  */
 
 /**
- * FoundModifier-Object is the object-format of the elements of the array of modifiers found in a macro.
+ * @name Syntax-Tree
+ * @private  // don't add automatically to the readme
+ * @description
+ * `.parse()` returns the syntax-tree of an expression without resolving it.
+ * The tree can be used to inspect the macros of an expression (e.g. by
+ * linters or editors). Every node has a `type` and the `start`- and
+ * `end`-offsets of the according part in the parsed expression.
+ *
+ * - **template**: The root-node. `nodes` contains the text- and macro-nodes of
+ *   the expression.
+ * - **text**: A text-part. `value` contains the text without the
+ *   escape-characters.
+ * - **macro**: A macro incl. it's macro-begin and -end. `key` contains the
+ *   text- and macro-nodes that build the [macroKey](#macrokey). `modifiers`
+ *   contains the modifier-nodes.
+ * - **modifier**: A [modifier](#modifier) (without the modifier-separator).
+ *   `name` contains the text- and macro-nodes that build the modifier-name.
+ *   `params` contains the nodes after the modifier-param-separator or is
+ *   `undefined` if the modifier has no parameters. The parameters are split
+ *   at every "," (outside of string-constants, JSON-literals and nested
+ *   macros) into `args` (an array of node-arrays). The ","-text-nodes are
+ *   part of `params` but not of `args`. Modifiers that were started by one
+ *   of the `modifierOperators` (see [MacroSymbols](#macrosymbols)) have the
+ *   `operator` and a `name` with the mapped modifier-name.
+ *
+ * ```js
+ * mi = new MacroInt()
+ * tree = mi.parse("${name | -d:'x'}")
+ * console.log(tree.nodes[0].modifiers[0].params[0].value) // => 'x'
+ * ```
+ */
+
+/**
+ * Text-node of the [syntax-tree](#syntax-tree).
+ *
+ * @typedef {{type: "text", value: String, start: Number, end: Number}} TextNode
+ */
+
+/**
+ * Macro-node of the [syntax-tree](#syntax-tree).
+ *
+ * @typedef {{type: "macro", start: Number, end: Number, key: Array.<TextNode|MacroNode>, modifiers: ModifierNode[]}} MacroNode
+ */
+
+/**
+ * Modifier-node of the [syntax-tree](#syntax-tree).
+ *
+ * @typedef {{type: "modifier", start: Number, end: Number, name: Array.<TextNode|MacroNode>, params: Array.<TextNode|MacroNode>|undefined, args: Array.<Array.<TextNode|MacroNode>>, operator: (String|undefined)}} ModifierNode
+ */
+
+/**
+ * Root-node of the [syntax-tree](#syntax-tree).
+ *
+ * @typedef {{type: "template", expression: String, start: Number, end: Number, nodes: Array.<TextNode|MacroNode>}} TemplateNode
+ */
+
+/**
+ * Result of `.validate()`. `valid` is `true` if no errors were found.
+ * Every error contains the `code` and the property-`path` of the problem.
+ *
+ * @typedef {{valid: Boolean, errors: MacroIntError[]}} ValidationReport
+ */
+
+/**
+ * Description of a modifier returned by `.listModifiers()`. `names`
+ * contains all aliases of the modifier. The other properties are the
+ * metadata given to `.registerModifier()`: The parameter-signature
+ * (e.g. "[:<default>]"), the accepted `input`- and the `output`-type of the
+ * macro-value and examples.
+ *
+ * @typedef {{names: String[], description: (String|undefined), params: (String|undefined), input: (String|undefined), output: (String|undefined), examples: String[]}} ModifierInfo
+ */
+
+/**
+ * A macroKey that's referenced in an expression (see `.listReferences()`).
+ * - `key`: The macroKey (the source-text if the key contains macros).
+ * - `path`: The property-path of the expression.
+ * - `dynamic`: `true` if the key is built from other macros (e.g. `${db_${env}}`).
+ * - `modifiers`: The modifiers of the macro (name and parameters).
+ * - `mandatory`: `true` if the `mandatory`-modifier is used.
+ * - `default`: The parameter of the first `default`-modifier.
+ *
+ * @typedef {{key: String, path: String[], dynamic: Boolean, modifiers: Array.<{name: String, params: (String|undefined)}>, mandatory: Boolean, default: (String|undefined)}} MacroReference
+ */
+
+/**
+ * Location of the current macro in the complete expression (see
+ * `._getErrorLocation()`). All properties are missing if there's no current
+ * macro and the `snippet` is only built for multi-line expressions.
  *
  * @private
- * @typedef {{key: String, params: String|undefined}} FoundModifier
+ * @typedef {Object} ErrorLocation
+ * @property {Number} [offset] - The offset of the macro.
+ * @property {Number} [line] - The line of the macro (starting with 1).
+ * @property {Number} [column] - The column of the macro (starting with 1).
+ * @property {String} [snippet] - The line of the macro with carets under the macro.
+ */
+
+/**
+ * @class
+ * @classdesc
+ * Error that's added to the `.errors`-array of MacroInt (or thrown immediately).
+ * Besides the message it contains the error-code and the location of the
+ * macro that caused the error. See [Error-Handling](#error-handling).
  */
+class MacroIntError extends Error {
+    /**
+     * Name of the error-class.
+     * @type {String}
+     */
+    name = "MacroIntError"
+
+    /**
+     * The error-code (e.g. "unknown-modifier"). See [Error-Handling](#error-handling).
+     * @type {String}
+     */
+    code
+
+    /**
+     * The macro that caused the error.
+     * @type {String|undefined}
+     */
+    macro
+
+    /**
+     * The complete expression that contains the macro.
+     * @type {String|undefined}
+     */
+    expression
+
+    /**
+     * The path to the property (only if an object is resolved).
+     * @type {String[]}
+     */
+    path = []
+
+    /**
+     * The character-offset of the macro in the expression.
+     * @type {Number|undefined}
+     */
+    offset
+
+    /**
+     * The line (1-based) of the macro in the expression.
+     * @type {Number|undefined}
+     */
+    line
+
+    /**
+     * The column (1-based) of the macro in the line.
+     * @type {Number|undefined}
+     */
+    column
+
+    /**
+     * @constructor
+     * @param {String} code - The error-code.
+     * @param {String} message - The error-message.
+     * @param {Object} [details=undefined] - The location of the error.
+     *      @param {String} [details.macro] - The macro that caused the error.
+     *      @param {String} [details.expression] - The complete expression.
+     *      @param {String[]} [details.path] - The path to the property.
+     *      @param {Number} [details.offset] - The character-offset of the macro in the expression.
+     *      @param {Number} [details.line] - The line (1-based) of the macro in the expression.
+     *      @param {Number} [details.column] - The column (1-based) of the macro in the line.
+     */
+    constructor(code, message, details = undefined) {
+        super(message)
+        this.code = code
+        if (details) {
+            this.macro = details.macro
+            this.expression = details.expression
+            if (details.path) this.path = details.path
+            this.offset = details.offset
+            this.line = details.line
+            this.column = details.column
+        }
+    }
+
+    /**
+     * Returns the message (to be able to use the errors like strings).
+     * @return {String}
+     */
+    toString() {
+        return this.message
+    }
+}
 
 /**
+ * @class
+ * @classdesc
+ * Error that's thrown at the end of `.resolve()` if errors were found. The
+ * message contains all messages, the `errors`-array all
+ * [MacroIntErrors](#macrointerror).
+ */
+class MacroIntAggregateError extends Error {
+    /**
+     * Name of the error-class.
+     * @type {String}
+     */
+    name = "MacroIntAggregateError"
+
+    /**
+     * All errors that were found.
+     * @type {MacroIntError[]}
+     */
+    errors
+
+    /**
+     * @constructor
+     * @param {MacroIntError[]} errors - The found errors.
+     * @param {String} message - The error-message.
+     */
+    constructor(errors, message) {
+        super(message)
+        this.errors = errors
+    }
+}
+
 /**
  * @class
- * @classdesc 
- * Class to interpolate macros inclusive modifiers in strings, object-properties 
- * and array-elements. 
+ * @classdesc
+ * Class to interpolate macros inclusive modifiers in strings, object-properties
+ * and array-elements.
  */
 class MacroInt {
     /**
@@ -255,6 +749,64 @@ class MacroInt {
      */
     static _modifiers = {}
 
+    /**
+     * The metadata and the (case-sensitive) names given to
+     * `.registerModifier()`. The key is the callback of the modifier.
+     *
+     * @private
+     * @type {WeakMap<Function, Object>}
+     */
+    static _modifierInfos = new WeakMap()
+
+    /**
+     * Cache for the syntax-trees of parsed expressions. The key is the
+     * expression itself (hashing a string that's built for every lookup would
+     * cost nearly as much as parsing it). Every entry maps the symbols that
+     * were used to parse the expression to the syntax-tree. The least recently
+     * used expressions are removed if `templateCacheSize` is reached.
+     *
+     * @private
+     * @type {Map<String, Map<String, TemplateNode>>}
+     * @see MacroInt.templateCacheSize
+     */
+    static _templateCache = new Map()
+
+    /**
+     * Thrown by `._call()` to interrupt an asynchronous evaluation until the
+     * Promise of a callback is settled (see `._run()`).
+     *
+     * @private
+     * @type {Object}
+     */
+    static _interruption = Object.freeze({ interruption: true })
+
+    /**
+     * Maximum number of parsed expressions that are kept in the global
+     * template-cache (shared by all instances). The least recently used
+     * expressions are removed first. The size should be larger than the number
+     * of distinct expressions that are resolved repeatedly (e.g. all
+     * properties of a config). Setting it to `0` disables the cache.
+     *
+     * @type {Number}
+     */
+    static templateCacheSize = 1000
+
+    /**
+     * The class of the entries of the `.errors`-array.
+     *
+     * @type {Function}
+     * @see Error-Handling
+     */
+    static MacroIntError = MacroIntError
+
+    /**
+     * The class of the error that's thrown if errors were found.
+     *
+     * @type {Function}
+     * @see Error-Handling
+     */
+    static MacroIntAggregateError = MacroIntAggregateError
+
     /**
      * Static variable with the defaults for all symbols that are used to identify the various parts of the macro-interpolation.
      * This object can be used to change identifier(s) globally for all future instances of MacroInt.
@@ -268,6 +820,59 @@ class MacroInt {
         modifierParamSeparator: ":",
         propertyPathIndicator: "^",
         siblingsTemplateKey: "$template",
+        escapeChar: "\\",
+        verbatimBegin: "$[[",
+        verbatimEnd: "]]$",
+        shortMacroBegin: "",
+        modifierOperators: {},
+        operatorParamsAsText: false,
+    }
+
+    /**
+     * Static variable with the [MacroSymbols](#macrosymbols) of the
+     * [Syntax-Presets](#syntax-presets) that can be selected with the
+     * constructor-option `syntax`.
+     *
+     * @type {Object.<string, Object>}
+     * @see Syntax-Presets
+     */
+    static syntaxPresets = {
+        shell: {
+            macroBegin: "${",
+            macroEnd: "}",
+            shortMacroBegin: "$",
+            modifierOperators: {
+                ":-": "default",
+                ":?": "mandatory",
+                ":+": "alternative",
+            },
+            operatorParamsAsText: true,
+        },
+        mustache: {
+            macroBegin: "{{",
+            macroEnd: "}}",
+        },
+        ci: {
+            macroBegin: "${{",
+            macroEnd: "}}",
+            modifierOperators: { "||": "default" },
+        },
+    }
+
+    /**
+     * Static variable with the escape-functions of the output-contexts that
+     * can be selected with the constructor-option `autoEscape` (see
+     * [Auto-Escaping](#auto-escaping)). Every function gets the macro-result
+     * as string and returns the escaped string.
+     *
+     * @type {Object.<string, function(String): String>}
+     * @see Auto-Escaping
+     */
+    static escapeContexts = {
+        html: escapeHtml,
+        url: encodeURIComponent,
+        shell: quoteShell,
+        "json-string": escapeJsonString,
     }
 
     /**
@@ -279,6 +884,16 @@ class MacroInt {
      */
     _usedSymbols
 
+    /**
+     * The key of the template-cache-entries that's built from the
+     * `_usedSymbols` (see `._getTemplate()`). Built when the first expression
+     * is parsed.
+     *
+     * @private
+     * @type {String|undefined}
+     */
+    _symbolsKey = undefined
+
     /**
      * Array with the registered repositories.
      * @private
@@ -302,6 +917,22 @@ class MacroInt {
      */
     _currentExpression
 
+    /**
+     * The node of the current macro in the syntax-tree of the complete
+     * expression. Used for the location (offset, line, column) in errors.
+     * @private
+     * @type {MacroNode|undefined}
+     */
+    _currentMacroNode
+
+    /**
+     * The node of the currently executed modifier of `_currentMacroNode`.
+     * Used for the location in errors.
+     * @private
+     * @type {ModifierNode|undefined}
+     */
+    _currentModifierNode
+
     /**
      * Defines if the current expression is exactly one macro
      * @private
@@ -345,10 +976,123 @@ class MacroInt {
      */
     _throwErrors = true
 
+    /**
+     * Flag that indicates that the callbacks are awaited. Only `true` in the
+     * scope-objects created by `.resolveAsync()`.
+     * @private
+     * @type {Boolean}
+     * @see resolveAsync
+     */
+    _async = false
+
+    /**
+     * The recorded callback-results of the current asynchronous evaluation
+     * (see `._run()` and `._call()`).
+     * @private
+     * @type {Array.<Object>|undefined}
+     */
+    _steps = undefined
+
+    /**
+     * The index of the next callback-result in `_steps`.
+     * @private
+     * @type {Number}
+     */
+    _stepIndex = 0
+
+    /**
+     * The unevaluated parameters of the modifier that's currently called
+     * (only for modifiers registered with `lazyParams`, see
+     * `._evaluateLazyParams()`).
+     * @private
+     * @type {{text: String, parts: Array.<TextNode|MacroNode>, expression: String, asText: Boolean}|undefined}
+     */
+    _lazyParams = undefined
+
+    /**
+     * Maximum depth of macro-values that contain macros themselves
+     * (e.g. `${a}` --> "${b}" --> "${c}" = depth 2).
+     * @private
+     * @type {Number}
+     */
+    _maxDepth = 100
+
+    /**
+     * Maximum length of the strings created by modifiers like `repeat` and
+     * `padStart` (read by the string-modifiers, so it's not `@private`).
+     * @ignore
+     * @type {Number}
+     */
+    _maxLength = 1000000
+
+    /**
+     * The modifiers registered on this instance (see `.registerModifier()`).
+     * They shadow the global modifiers. Only created if it's needed.
+     * @private
+     * @type {Object.<string, ModifierCallback>|undefined}
+     */
+    _modifiers = undefined
+
+    /**
+     * The metadata of the modifiers registered on this instance (like the
+     * static `MacroInt._modifierInfos`). Only created if it's needed.
+     * @private
+     * @type {WeakMap<Function, Object>|undefined}
+     */
+    _modifierInfos = undefined
+
+    /**
+     * The callbacks of the global modifiers that can be used by this instance
+     * (see `options.allowedModifiers`). `undefined` = all global modifiers.
+     * @private
+     * @type {ModifierCallback[]|undefined}
+     */
+    _allowedModifiers = undefined
+
+    /**
+     * If this flag is `true` the fallback-operator `??` treats `null` and ""
+     * like `undefined`.
+     * @private
+     * @type {Boolean}
+     */
+    _emptyIsMissing = false
+
+    /**
+     * Defines what happens with a macro which's result is `undefined`. One
+     * of "undefined", "keep", "empty", "delete" and "error".
+     * @private
+     * @type {String}
+     */
+    _onUndefined = "undefined"
+
+    /**
+     * The escape-function of `options.autoEscape` (`undefined` if the
+     * macro-results aren't escaped).
+     * @private
+     * @type {function(String): String|undefined}
+     */
+    _autoEscape = undefined
+
+    /**
+     * The macro-node that contains the `raw`-modifier (see `._markRaw()`).
+     * @private
+     * @type {MacroNode|undefined}
+     */
+    _rawNode = undefined
+
+    /**
+     * The macroKeys of the macro-values that are currently resolved
+     * (e.g. `${a}` --> "${b}" --> "${c}" = ["a", "b"]). Used to detect
+     * cyclic references.
+     * @private
+     * @type {String[]}
+     */
+    _macroKeyChain = []
+
     /**
      * Array that contains errors that occured during the last call of .resolve().\
      * See the chapter about the [Error-Handling](#error-handling) for details.
-     * @type {String[]}
+     * @type {MacroIntError[]}
      * @see Error-Handling
      */
     errors = []
@@ -360,324 +1104,1231 @@ class MacroInt {
      * @param {Object} [options=undefined] - Additional options for the new instance.
      *      @param {Boolean} [options.throwErrors=true] - Flag that indicates wether errors are thrown at the end of an interpolation-process. If this flag is `false` the caller should check the .errors-arrays.
      *      @param {Boolean} [options.allowUndefined=true] - If this flag is `false` an error is added if the result of a macro is `undefined`. If `._throwErrors == true` an error is thrown after all macros are resolved. Defaults to `true`
-     *      @param {MacroSymbols} [options.symbols] - An optional object that contains all or some of the [MacroSymbols](#macrosymbols).properties to override the defaultSymbols.
+     *      @param {Number} [options.maxDepth=100] - Maximum depth of macro-values that contain macros themselves (e.g. `${a}` --> "${b}" --> "${c}" = depth 2). An error is added if a value is nested deeper. Must be a positive integer.
+     *      @param {Number} [options.maxLength=1000000] - Maximum length of the strings created by the modifiers `repeat`, `padStart` and `padEnd`. An "invalid-param"-error is added if a result would be longer. Must be a positive integer.
+     *      @param {Boolean} [options.emptyIsMissing=false] - If this flag is `true` the fallback-operator `??` (`${a ?? b}`) skips `null` and "" values, too. Otherwise only `undefined` values are skipped.
+     *      @param {String} [options.onUndefined="undefined"] - Defines what happens with a macro which's result is `undefined`:
+     *          - "undefined": The result is `undefined` (inside of a string the text "undefined" is inserted).
+     *          - "keep": The macro-text (e.g. "${key}") is kept. Allows resolving the expression in multiple stages with different instances.
+     *          - "empty": An empty string is inserted (the result of a single macro is "").
+     *          - "delete": The result of the whole expression is `undefined`. During `.resolve()` of an object the property is deleted (array-elements are set to `undefined`).
+     *          - "error": An "undefined-value"-error is added (like with `allowUndefined=false`) and the macro-text is kept.
+     *      @param {String} [options.autoEscape="none"] - The output-context ("html", "url", "shell", "json-string" or "none"). The results of macros that are embedded in a larger string are escaped for the context (see [Auto-Escaping](#auto-escaping)).
+     *      @param {Object.<string, ModifierCallback>} [options.modifiers] - Modifiers that are registered on the new instance (name -> callback, see `.registerModifier()`). They shadow the global modifiers with the same name.
+     *      @param {String[]} [options.allowedModifiers] - Names of the global modifiers the instance can use. All aliases of an allowed modifier can be used. An empty array allows no global modifier at all (only the modifiers of `options.modifiers`). By default all global modifiers are allowed.
+     *      @param {String} [options.syntax] - The name of one of the [Syntax-Presets](#syntax-presets) ("shell", "mustache", "ci") whose symbols override the defaultSymbols.
+     *      @param {MacroSymbols} [options.symbols] - An optional object that contains all or some of the [MacroSymbols](#macrosymbols).properties to override the defaultSymbols (and the symbols of the syntax-preset).
      */
     constructor(repositories = undefined, options = undefined) {
         if (repositories) this.registerRepository(repositories)
 
+        const syntax = options && options.syntax
+        if (
+            syntax !== undefined &&
+            !MacroInt.syntaxPresets.hasOwnProperty(syntax)
+        )
+            throw new MacroIntError(
+                "invalid-option",
+                `options.syntax: unknown syntax-preset "${syntax}". Expected one of ${Object.keys(
+                    MacroInt.syntaxPresets
+                ).join(", ")}.`
+            )
+
         // Make a copy of the static object to be able to change
         //  only the values of this instance.
         this._usedSymbols = Object.assign(
             {},
             // copy the defaults
             MacroInt.defaultSymbols,
+            syntax && MacroInt.syntaxPresets[syntax],
             // Override with options.symbols if options is defined (avoid using ?.)
             options && options.symbols
         )
+        const escapeChar = this._usedSymbols.escapeChar
+        if (escapeChar === "none" || escapeChar == undefined)
+            this._usedSymbols.escapeChar = ""
+        else if (typeof escapeChar !== "string" || escapeChar.length > 1)
+            throw new MacroIntError(
+                "invalid-option",
+                `options.symbols.escapeChar: "${escapeChar}" is no single character. Use "" or "none" to disable escaping.`
+            )
 
         if (options) {
             if (options.throwErrors !== undefined)
                 this._throwErrors = !!options.throwErrors
             if (options.allowUndefined !== undefined)
                 this._allowUndefined = !!options.allowUndefined
+            if (options.maxDepth !== undefined) {
+                const maxDepth = Number(options.maxDepth)
+                if (!Number.isInteger(maxDepth) || maxDepth < 1)
+                    throw new MacroIntError(
+                        "invalid-option",
+                        `options.maxDepth: "${options.maxDepth}" is no positive integer.`
+                    )
+                this._maxDepth = maxDepth
+            }
+            if (options.maxLength !== undefined) {
+                const maxLength = Number(options.maxLength)
+                if (!Number.isInteger(maxLength) || maxLength < 1)
+                    throw new MacroIntError(
+                        "invalid-option",
+                        `options.maxLength: "${options.maxLength}" is no positive integer.`
+                    )
+                this._maxLength = maxLength
+            }
+            if (options.allowedModifiers !== undefined) {
+                this._allowedModifiers = options.allowedModifiers.map(
+                    (keyWord) => {
+                        const callback =
+                            MacroInt._modifiers[keyWord.toLowerCase()]
+                        if (!callback)
+                            throw new MacroIntError(
+                                "invalid-option",
+                                `options.allowedModifiers: unknown modifier "${keyWord}".`
+                            )
+                        return callback
+                    }
+                )
+            }
+            if (options.modifiers)
+                Object.keys(options.modifiers).forEach((keyWord) =>
+                    this.registerModifier(keyWord, options.modifiers[keyWord])
+                )
+            if (options.emptyIsMissing !== undefined)
+                this._emptyIsMissing = !!options.emptyIsMissing
+            if (options.onUndefined !== undefined) {
+                const policies = [
+                    "undefined",
+                    "keep",
+                    "empty",
+                    "delete",
+                    "error",
+                ]
+                if (!policies.includes(options.onUndefined))
+                    throw new MacroIntError(
+                        "invalid-option",
+                        `options.onUndefined: unknown value "${
+                            options.onUndefined
+                        }". Expected one of ${policies.join(", ")}.`
+                    )
+                this._onUndefined = options.onUndefined
+            }
+            const context = options.autoEscape
+            if (context !== undefined && context !== "none") {
+                if (!MacroInt.escapeContexts.hasOwnProperty(context))
+                    throw new MacroIntError(
+                        "invalid-option",
+                        `options.autoEscape: unknown context "${context}". Expected one of ${Object.keys(
+                            MacroInt.escapeContexts
+                        )
+                            .concat("none")
+                            .join(", ")}.`
+                    )
+                this._autoEscape = MacroInt.escapeContexts[context]
+            }
         }
     }
 
     /**
-    * Internal function that resolves all macros in the provided expression-string.
-    *
-    * If the whole expression is one macro then the result can of be any type.
-    * Otherwise macros are converted to strings and inserted in the expression.
-    * 
-    * Plan:
-    *   "${'hello'}_${par${'ent'}${'1'}_${'macro'}}" =>> "hello_${parent1_macro}" =>> hello_Parent1_Macro
-    *   
-    *    ${ : macroResult += expression.substring(lastExpressionIndex, charIndex-1) = "" + ""
-    *       : push status to stack && reset status
-    *       : macroResult = ""
-    *             } : macroResult += expression.substring(lastExpressionIndex, charIndex-1) === ""
-    *               : resolve => macroResult += "hello" === "hello"
-    *               : pop stack 
-    *               : macroResult += stack.macroResult + macroResult  === "hello"
-    *              _ : skip
-    *               ${ : macroResult += expression.substring(lastExpressionIndex, charIndex-1) === "hello" + "_"
-    *                  : push status to stack && reset status
-    *                  : macroResult = ""
-    *                    ${ : add to macroPartsStack, lastExpressionIndex=charIndex, macroResult = ""
-    *                       : push status to stack && reset status
-    *                       : macroResult = ""
-    *                         macroResult += expression.substring(lastExpressionIndex, charIndex-1) = "" + "par"
-    *                           } : macroResult += expression.substring(lastExpressionIndex, charIndex-1) === ""
-    *                             : resolve => macroResult += "hello" === "hello"
-    *                             : pop stack 
-    *                             : macroResult += stack.macroResult + macroResult  === "hello"
-    *                           } : resolve, add to macroResult (="par" + "ent")
-    *                               pop from macroPartsStack
-    *                               ? What shall I do with the macroResult and poped-macroResult & macroKey
-    *                            ${ : add to macroPartsStack, lastExpressionIndex=charIndex, macroResult = ""
-    *                                 macroResult += expression.substring(lastExpressionIndex, charIndex-1) = "1"
-    *                                 } : resolve, add to macroResult (="par" + "ent")
-    *                                     pop from macroPartsStack
-    *                                     ? What shall I do with the macroResult and poped-macroResult & macroKey
-    *                                   ${ : add to macroPartsStack, lastExpressionIndex=charIndex, macroResult = ""
-    *                                        macroResult += expression.substring(lastExpressionIndex, charIndex-1) = "par1" + "par"
-    *                                            } : resolve, add to macroResult (="par" + "ent")
-    *                                                pop from macroPartsStack
-    *                                                ? What shall I do with the macroResult and poped-macroResult & macroKey
-    *                                             } : resolve, add to macroResult (="par" + "ent")
-    *                                                 pop from macroPartsStack
-    *                                                 ? What shall I do with the macroResult and poped-macroResult & macroKey
-    *                           
-    * 
-    * @private
-    * @param {String} expression - The string which's macros will be interpolated.
-    + @return {*} The interpolated expression.
-    */
-    _interpolate(expression) {
-        this._completeExpression = expression
-        this._currentExpression = undefined
-
-        const $this = this
+     * Parses the given expression into a [syntax-tree](#syntax-tree) without
+     * resolving any macro.
+     *
+     * The tree contains the text-parts and the macros of the expression. Every
+     * macro-node contains the parts of its macroKey (incl. nested macros) and
+     * the found modifiers with their name- and parameter-parts. All nodes have
+     * the `start`- and `end`-offsets of the according part of the expression.\
+     * The instance's [MacroSymbols](#macrosymbols) and escaped characters are
+     * honored. A macro without a macro-end is handled as text.
+     *
+     * @param {String} expression - The string which's macros will be parsed.
+     * @return {TemplateNode} The root-node of the syntax-tree.
+     * @see Syntax-Tree
+     * @example
+     * ```js
+     * mi = new MacroInt()
+     * tree = mi.parse("Hi ${name | -d:'you'}!")
+     * // tree.nodes => [
+     * //   { type: "text", value: "Hi ", start: 0, end: 3 },
+     * //   { type: "macro", start: 3, end: 21,
+     * //     key: [{ type: "text", value: "name ", start: 5, end: 10 }],
+     * //     modifiers: [{ type: "modifier", start: 11, end: 20,
+     * //         name: [{ type: "text", value: " -d", start: 11, end: 14 }],
+     * //         params: [{ type: "text", value: "'you'", start: 15, end: 20 }] }] },
+     * //   { type: "text", value: "!", start: 21, end: 22 } ]
+     * ```
+     */
+    parse(expression) {
         const symbols = this._usedSymbols
+        const expressionLength = expression.length
         // define constants for the character-codes of the symbols' first
         //  character to be able to make a fast-check before comparing the
         //  the whole symbol
-        const escapeCharCode = 92 // "\\".charCodeAt(0)
-        const modifierSeparatorCode = symbols.modifierSeparator.charCodeAt(0)
+        const escapeCharCode = symbols.escapeChar
+            ? symbols.escapeChar.charCodeAt(0)
+            : -1 // no escape-character
+        // Verbatim-blocks need both symbols
+        const verbatimBegin =
+            (symbols.verbatimEnd && symbols.verbatimBegin) || ""
+        const verbatimBeginCode = verbatimBegin
+            ? verbatimBegin.charCodeAt(0)
+            : -1
         const macroBeginCode = symbols.macroBegin.charCodeAt(0)
         const macroEndCode = symbols.macroEnd.charCodeAt(0)
+        const modifierSeparatorCode = symbols.modifierSeparator.charCodeAt(0)
+        const paramSeparatorCode = symbols.modifierParamSeparator.charCodeAt(0)
+        const shortMacroBegin = symbols.shortMacroBegin || ""
+        const shortMacroBeginCode = shortMacroBegin
+            ? shortMacroBegin.charCodeAt(0)
+            : -1
+        const modifierOperators = symbols.modifierOperators || {}
+        // The longest operators first (e.g. "::" before ":")
+        const operators = Object.keys(modifierOperators).sort(
+            (a, b) => b.length - a.length
+        )
+        const operatorCodes = operators.map((operator) =>
+            operator.charCodeAt(0)
+        )
+
+        /** @type {TemplateNode} */
+        const template = {
+            type: "template",
+            expression: expression,
+            start: 0,
+            end: expressionLength,
+            nodes: [],
+        }
+
+        // The enclosing macros (and their current modifier) of the current macro
+        const macroStack = []
+        /** @type {MacroNode|undefined} */
+        let macro = undefined
+        /** @type {ModifierNode|undefined} */
+        let modifier = undefined
+        // The array that receives the next text- or macro-node
+        let nodes = template.nodes
+
+        let loopIndex
+        let charCode
+        let text = "" // the (unescaped) text collected for the next text-node
+        let textStart = 0 // start of the next text-node
+        let lastExpressionIndex = 0 // start of the characters not added to `text` yet
+        // Quotes and brackets only start a string-constant or a JSON-literal
+        //  at the beginning of the macroKey or the modifier-parameters
+        let isTokenStart = false
+        let quoteCode = 0 // the character-code of the open quote (0 = none)
+        let bracketDepth = 0 // the nesting-depth inside of a JSON-literal
+        // The text-nodes of the "," that separate the modifier-parameters
+        const argSeparators = new Set()
+        let operator // the modifier-operator at the loopIndex
+
+        /**********************************************************************
+         * Checks if the current modifier was started by an operator which's
+         * parameters are text (see MacroSymbols.operatorParamsAsText).
+         * @note Uses variables of the enclosing function!
+         *
+         * @private
+         * @return {Boolean}
+         */
+        function __isTextParams() {
+            return !!(
+                modifier &&
+                modifier.operator !== undefined &&
+                symbols.operatorParamsAsText
+            )
+        }
+
+        /**********************************************************************
+         * Returns the modifier-operator at the `loopIndex`.
+         * @note Uses variables of the enclosing function!
+         *
+         * @private
+         * @return {String|undefined}
+         */
+        function __findOperator() {
+            if (!operatorCodes.includes(charCode)) return undefined
+            return operators.find((op) => expression.startsWith(op, loopIndex))
+        }
 
-        function __innerInterpolate(expression) {
-            const iOM = $this._isOneMacro
-            const cE = $this._currentExpression
-            const hC = $this._hasConstant
-
-            const macroPartsStack = []
-            const expressionLength = expression.length
-
-            let loopIndex, charCode, temp, macroValue
-            let macroParts = []
-            let expressionResult = ""
-            let macroStartIndex = -1
-            let lastExpressionIndex = 0
-
-            /**********************************************************************
-             * Adds everything between the `lastExpressionIndex` and the `loopIndex`.
-             * @note Uses variables of the enclosing function!
-             *
-             * @private
-             * @param {Number} symbolLength - Defines the number of characters to skip
-             */
-            function __appendTillLastExpressionIndex(symbolLength) {
-                if (lastExpressionIndex !== loopIndex) {
-                    temp = expression.substring(lastExpressionIndex, loopIndex)
-                    // Because it's always a string add without distinguishing the
-                    //  current content (unlike in resolve-macro)
-                    if (macroParts.length)
-                        macroParts[macroParts.length - 1] += temp
-                    else expressionResult += temp
+        /**********************************************************************
+         * Splits the parameters of the modifier at the ","-nodes into `args`.
+         * @note Uses variables of the enclosing function!
+         *
+         * @private
+         * @param {ModifierNode|undefined} finishedModifier
+         */
+        function __splitArgs(finishedModifier) {
+            if (!finishedModifier || !finishedModifier.params) return
+            let arg = []
+            finishedModifier.args = [arg]
+            for (const node of finishedModifier.params) {
+                if (argSeparators.has(node))
+                    finishedModifier.args.push((arg = []))
+                else arg.push(node)
+            }
+        }
+
+        /**********************************************************************
+         * Checks if the quote at the `loopIndex` has a closing quote.
+         * @note Uses variables of the enclosing function!
+         *
+         * @private
+         * @return {Boolean}
+         */
+        function __hasClosingQuote() {
+            for (let i = loopIndex + 1; i < expressionLength; i++) {
+                const code = expression.charCodeAt(i)
+                if (code === escapeCharCode) i++
+                else if (code === charCode) return true
+            }
+            return false
+        }
+
+        /**********************************************************************
+         * Checks if the bracket at the `loopIndex` has a matching closing
+         * bracket: "[" needs "]", "{" needs "}" and "(" needs ")" (e.g.
+         * `[1, {a: 2}]`). Brackets inside of strings are ignored.
+         * @note Uses variables of the enclosing function!
+         *
+         * @private
+         * @return {Boolean}
+         */
+        function __hasClosingBracket() {
+            const closingCodes = [] // the expected closing brackets
+            let quote = 0
+            for (let i = loopIndex; i < expressionLength; i++) {
+                const code = expression.charCodeAt(i)
+                if (code === escapeCharCode) i++
+                else if (quote) {
+                    if (code === quote) quote = 0
+                } else if (code === 34 || code === 39 || code === 96)
+                    quote = code
+                else if (code === 91 || code === 123)
+                    closingCodes.push(code + 2) // "]" or "}"
+                else if (code === 40) closingCodes.push(41) // ")"
+                else if (code === 93 || code === 125 || code === 41) {
+                    if (closingCodes.pop() !== code) return false
+                    if (closingCodes.length === 0) return true
                 }
-                lastExpressionIndex = loopIndex + symbolLength
-                loopIndex = lastExpressionIndex - 1 // -1 because it's incremented in the for-loop
             }
-            //---------------------------------------------------------------------
-
-            /**
-             * Internal function to iterate through all found modifiers of a macro and
-             * execute the according callback.
-             * (It's a separate function because it's used in the tests directly.)
-             * @private
-             * @param {FoundModifier[]} macroParts - the current value of the interpolated macro.
-             * @param {*} macroValue - the current value of the interpolated macro.
-             * @returns {*} the new MacroValue after executing all found modifiers.
-             */
-            function __handleFoundModifiers() {
-                let fModKey, fModParam, fModSeparatorIndex
-                const separator = symbols.modifierParamSeparator
-                for (let i = 1, len = macroParts.length; i < len; i++) {
-                    fModKey = macroParts[i]
-                    if (fModKey === "") continue
-
-                    // split the Parameters idf provided
-                    fModParam = undefined
-                    fModSeparatorIndex = fModKey.indexOf(separator)
-                    if (fModSeparatorIndex > -1) {
-                        fModParam = fModKey
-                            .substring(fModSeparatorIndex + separator.length)
-                            .trim()
-                        // reassign the part before the parameters
-                        fModKey = fModKey
-                            .substring(0, fModSeparatorIndex)
-                            .trim()
-                            .toLowerCase()
-                    } else {
-                        fModKey = fModKey.trim().toLowerCase()
-                    }
+            return false
+        }
 
-                    // Is the modifier registered?
-                    if (MacroInt._modifiers.hasOwnProperty(fModKey)) {
-                        // The value that's assigned to the modifier-searchKey is the callback
-                        macroValue = MacroInt._modifiers[fModKey](
-                            $this,
-                            macroValue,
-                            fModParam
-                        )
-                    } else
-                        $this.addError(
-                            `Unknown modifier "${macroParts[i].trim()}"`
-                        )
-                } // eval macroParts
+        /**********************************************************************
+         * Checks if the complete symbol is at the `loopIndex`.
+         * @note Uses variables of the enclosing function!
+         *
+         * @private
+         * @param {String} symbol
+         * @return {Boolean}
+         */
+        function __isSymbol(symbol) {
+            // The first character was already checked by the caller
+            return (
+                symbol.length === 1 || expression.startsWith(symbol, loopIndex)
+            )
+        }
+
+        /**********************************************************************
+         * Adds everything between the `textStart` and the `loopIndex` as a
+         * text-node and skips the symbol at the `loopIndex`.
+         * @note Uses variables of the enclosing function!
+         *
+         * @private
+         * @param {Number} symbolLength - Defines the number of characters to skip
+         */
+        function __addText(symbolLength) {
+            if (loopIndex > textStart) {
+                nodes.push({
+                    type: "text",
+                    value:
+                        text +
+                        expression.substring(lastExpressionIndex, loopIndex),
+                    start: textStart,
+                    end: loopIndex,
+                })
             }
-            //---------------------------------------------------------------------
-
-            /**
-             * Handle the evaluation of the macro-value and the handling of the modifiers
-             */
-            function __handleMacro() {
-                $this._isOneMacro =
-                    macroStartIndex === 0 &&
-                    lastExpressionIndex === expression.length
-                // Only for Error-reports
-                $this._currentExpression = $this._isOneMacro
-                    ? expression
-                    : expression.substring(macroStartIndex, lastExpressionIndex)
-                $this._hasConstant = false
-
-                // Resolve the macro itself
-                macroValue = $this.getValue(macroParts[0].trim(), false)
+            text = ""
+            textStart = lastExpressionIndex = loopIndex + symbolLength
+            loopIndex = lastExpressionIndex - 1 // -1 because it's incremented in the for-loop
+        }
+
+        // Use a for-loop over every single character(-code) instead of a regex-handler
+        //  because we want to be able to have _nested_ macros, escaped characters,...
+        for (loopIndex = 0; loopIndex < expressionLength; loopIndex++) {
+            charCode = expression.charCodeAt(loopIndex)
+
+            let verbatimEnd = -1
+            if (
+                charCode === verbatimBeginCode &&
+                __isSymbol(verbatimBegin) &&
+                (verbatimEnd = expression.indexOf(
+                    symbols.verbatimEnd,
+                    loopIndex + verbatimBegin.length
+                )) > -1
+            ) {
+                // A verbatim-block: The content is text without interpretation
+                text +=
+                    expression.substring(lastExpressionIndex, loopIndex) +
+                    expression.substring(
+                        loopIndex + verbatimBegin.length,
+                        verbatimEnd
+                    )
+                lastExpressionIndex = verbatimEnd + symbols.verbatimEnd.length
+                loopIndex = lastExpressionIndex - 1 // -1 because it's incremented in the for-loop
+                isTokenStart = false
+            } else if (
+                charCode === macroBeginCode &&
+                __isSymbol(symbols.macroBegin)
+            ) {
+                // Start a new macro expression
+                const startIndex = loopIndex
+                __addText(symbols.macroBegin.length)
+
+                // If we are already in a macro push that macro to the stack
+                if (macro)
+                    macroStack.push({
+                        macro,
+                        modifier,
+                        quoteCode,
+                        bracketDepth,
+                    })
+                isTokenStart = true
+                quoteCode = bracketDepth = 0
+                macro = {
+                    type: "macro",
+                    start: startIndex,
+                    end: startIndex,
+                    key: [],
+                    modifiers: [],
+                }
+                modifier = undefined
+                nodes = macro.key
+            } else if (
+                charCode === shortMacroBeginCode &&
+                __isSymbol(shortMacroBegin) &&
+                /[A-Za-z_]/.test(
+                    expression.charAt(loopIndex + shortMacroBegin.length)
+                )
+            ) {
+                // A short macro like "$HOME": The name is the macroKey
+                const startIndex = loopIndex
+                const nameStart = loopIndex + shortMacroBegin.length
+                let nameEnd = nameStart + 1
+                while (
+                    nameEnd < expressionLength &&
+                    /\w/.test(expression.charAt(nameEnd))
+                )
+                    nameEnd++
+                __addText(nameEnd - startIndex)
+                nodes.push({
+                    type: "macro",
+                    start: startIndex,
+                    end: nameEnd,
+                    key: [
+                        {
+                            type: "text",
+                            value: expression.substring(nameStart, nameEnd),
+                            start: nameStart,
+                            end: nameEnd,
+                        },
+                    ],
+                    modifiers: [],
+                })
+            } else if (charCode === escapeCharCode) {
+                // "\" -> Escape the next character: don't interpret it
+                text += expression.substring(lastExpressionIndex, loopIndex)
+                const nextChar = expression.charAt(loopIndex + 1)
                 if (
-                    typeof macroValue === "string" &&
-                    macroValue.indexOf(symbols.macroBegin) > -1
+                    macro &&
+                    !modifier &&
+                    !quoteCode &&
+                    !bracketDepth &&
+                    (nextChar === "." || nextChar === "[")
                 )
-                    macroValue = __innerInterpolate(macroValue)
-
-                // Apply/Exec all modifiers. Start at the second item because
-                // the first one is the macro itself.
-                if (macroParts.length > 1) {
-                    __handleFoundModifiers()
+                    // Keep the escape for parseKeyPath()
+                    text += symbols.escapeChar
+                lastExpressionIndex = loopIndex + 1
+                loopIndex++ // skip next char
+            } else if (!macro) {
+                // Outside of a macro all other characters are text
+            } else if (quoteCode) {
+                // Inside of a string-constant only the closing quote is special
+                if (charCode === quoteCode) quoteCode = 0
+            } else if (bracketDepth) {
+                // Inside of a JSON-literal only brackets and strings are special
+                if (charCode === 91 || charCode === 123) bracketDepth++
+                else if (charCode === 93 || charCode === 125) bracketDepth--
+                else if (charCode === 34 || charCode === 39 || charCode === 96)
+                    quoteCode = charCode
+            } else if (
+                isTokenStart &&
+                (charCode === 91 || charCode === 123) &&
+                __hasClosingBracket()
+            ) {
+                // '[' or '{' starts a JSON-literal
+                bracketDepth = 1
+                isTokenStart = false
+            } else if (
+                isTokenStart &&
+                (charCode === 34 || charCode === 39 || charCode === 96) &&
+                __hasClosingQuote()
+            ) {
+                // '"', "'" or '`' starts a string-constant
+                quoteCode = charCode
+                isTokenStart = false
+            } else if (
+                operators.length &&
+                !__isTextParams() &&
+                (operator = __findOperator())
+            ) {
+                // An operator like ":-" starts the modifier it's mapped to.
+                //  Everything after the operator are the parameters.
+                if (modifier) modifier.end = loopIndex
+                const startIndex = loopIndex
+                __addText(operator.length)
+                __splitArgs(modifier)
+                modifier = {
+                    type: "modifier",
+                    start: startIndex,
+                    end: startIndex,
+                    name: [
+                        {
+                            type: "text",
+                            value: modifierOperators[operator],
+                            start: startIndex,
+                            end: lastExpressionIndex,
+                        },
+                    ],
+                    params: [],
+                    args: [],
+                    operator,
                 }
-                macroParts.length = 0
-
-                if (macroValue === undefined && !$this._allowUndefined)
-                    // Add the error-message and don't replace the macro
-                    $this.addError("macro-value is undefined.")
-
-                if (macroPartsStack.length) {
-                    const macroStackItem = macroPartsStack.pop()
-                    macroStartIndex = macroStackItem.startIndex
-                    macroParts = macroStackItem.macroParts
-                    expressionResult = macroStackItem.expressionResult
-
-                    if (macroParts[macroParts.length - 1] !== "") {
-                        // force string because undefined+undefined == NaN
-                        macroParts[macroParts.length - 1] += "" + macroValue
-                    } else {
-                        macroParts[macroParts.length - 1] = macroValue
-                    }
-                } else if (expressionResult !== "") {
-                    // force string because undefined+undefined == NaN
-                    expressionResult += "" + macroValue
+                macro.modifiers.push(modifier)
+                nodes = modifier.params
+                isTokenStart = !__isTextParams()
+            } else if (
+                charCode === macroEndCode &&
+                __isSymbol(symbols.macroEnd)
+            ) {
+                if (modifier) modifier.end = loopIndex
+                __addText(symbols.macroEnd.length)
+                __splitArgs(modifier)
+                macro.end = lastExpressionIndex
+
+                // Continue with the enclosing macro (or the template)
+                const finishedMacro = macro
+                const macroStackItem = macroStack.pop()
+                isTokenStart = false
+                if (macroStackItem) {
+                    macro = macroStackItem.macro
+                    modifier = macroStackItem.modifier
+                    quoteCode = macroStackItem.quoteCode
+                    bracketDepth = macroStackItem.bracketDepth
+                    nodes = modifier
+                        ? modifier.params || modifier.name
+                        : macro.key
                 } else {
-                    expressionResult = macroValue
+                    macro = modifier = undefined
+                    nodes = template.nodes
                 }
+                nodes.push(finishedMacro)
+            } else if (
+                charCode === modifierSeparatorCode &&
+                !__isTextParams() &&
+                __isSymbol(symbols.modifierSeparator)
+            ) {
+                if (modifier) modifier.end = loopIndex
+                __addText(symbols.modifierSeparator.length)
+                __splitArgs(modifier)
+                // The operator is only set for modifier-operators
+                modifier = /** @type {ModifierNode} */ ({
+                    type: "modifier",
+                    start: lastExpressionIndex,
+                    end: lastExpressionIndex,
+                    name: [],
+                    params: undefined,
+                    args: [],
+                })
+                macro.modifiers.push(modifier)
+                nodes = modifier.name
+                isTokenStart = false
+            } else if (
+                charCode === paramSeparatorCode &&
+                modifier &&
+                !modifier.params &&
+                __isSymbol(symbols.modifierParamSeparator)
+            ) {
+                // The first separator divides the modifier-name and it's parameters
+                __addText(symbols.modifierParamSeparator.length)
+                modifier.params = nodes = []
+                isTokenStart = true
+            } else if (
+                charCode === 44 &&
+                modifier &&
+                modifier.params &&
+                !__isTextParams()
+            ) {
+                // "," separates the modifier-parameters. It's added as a
+                //  separate text-node to be able to split the parameters.
+                __addText(1)
+                /** @type {TextNode} */
+                const separator = {
+                    type: "text",
+                    value: ",",
+                    start: loopIndex,
+                    end: loopIndex + 1,
+                }
+                argSeparators.add(separator)
+                nodes.push(separator)
+                isTokenStart = true
+            } else if (charCode > 32) {
+                // Any non-whitespace character ends the start of the token
+                isTokenStart = false
+            } else if (modifier && modifier.params && !__isTextParams()) {
+                // Whitespace separates the tokens of the parameters
+                //  (e.g. "${env | if: ~ 'dev|test' ? a : b}")
+                isTokenStart = true
             }
+        } // for loopIndex...
 
-            //---------------------------------------------------------------------
-            //---------------------------------------------------------------------
-            //---------------------------------------------------------------------
+        if (macro) {
+            // expression ends with an unfinished macro "xxx${yyy": Only
+            // macros with a macro-end are handled. Add the outermost
+            // unfinished macro as it is.
+            const startIndex = macroStack.length
+                ? macroStack[0].macro.start
+                : macro.start
+            const lastNode = template.nodes[template.nodes.length - 1]
+            text = expression.substring(startIndex)
+            if (lastNode && lastNode.type === "text") {
+                lastNode.value += text
+                lastNode.end = expressionLength
+            } else {
+                template.nodes.push({
+                    type: "text",
+                    value: text,
+                    start: startIndex,
+                    end: expressionLength,
+                })
+            }
+        } else {
+            __addText(0)
+        }
 
-            // Use a for-loop over every single character(-code) instead of a regex-handler
-            //  because we want to be able to have _nested_ macros, escaped characters,...
-            for (loopIndex = 0; loopIndex < expressionLength; loopIndex++) {
-                charCode = expression.charCodeAt(loopIndex)
+        return template
+    }
 
-                if (charCode === macroBeginCode) {
-                    // After the quick first-character check compare the whole macroBegin-symbol
-                    //  That's slightly faster than an or-statement
-                    if (
-                        expression.substring(
-                            loopIndex,
-                            loopIndex + symbols.macroBegin.length
-                        ) === symbols.macroBegin
-                    ) {
-                        // Start a new macro expression
-                        let saveStartIndex = loopIndex
-
-                        // Handle everything before the <lastExpressionIndex>
-                        __appendTillLastExpressionIndex(
-                            symbols.macroBegin.length
-                        )
+    /**
+     * Internal function that resolves all macros in the provided expression-string.
+     *
+     * If the whole expression is one macro then the result can of be any type.
+     * Otherwise macros are converted to strings and inserted in the expression.
+     *
+     * @private
+     * @param {String} expression - The string which's macros will be interpolated.
+     * @return {*} The interpolated expression.
+     */
+    _interpolate(expression) {
+        this._completeExpression = expression
+        this._currentExpression = undefined
+        this._currentMacroNode = undefined
+        this._currentModifierNode = undefined
 
-                        // If we are already in a macro push that macro-information to the stack
-                        if (macroParts.length) {
-                            macroPartsStack.push({
-                                startIndex: macroStartIndex,
-                                macroParts: macroParts,
-                                expressionResult: expressionResult,
-                            })
-                            expressionResult = ""
-                        }
+        return this._run(() =>
+            this._evaluateTemplate(this._getTemplate(expression))
+        )
+    }
 
-                        macroParts = [""] // Create a new array!
-                        macroStartIndex = saveStartIndex // start of the macro-expression = start of ${
-                    }
-                } else if (charCode === macroEndCode) {
-                    if (
-                        macroParts.length &&
-                        (symbols.macroEnd.length === 1 ||
-                            expression.substring(
-                                // finally test the complete indicator
-                                loopIndex,
-                                loopIndex + symbols.macroEnd.length
-                            ) === symbols.macroEnd)
-                    ) {
-                        // Handle everything before the <lastExpressionIndex>
-                        __appendTillLastExpressionIndex(symbols.macroEnd.length)
-
-                        __handleMacro()
-                    }
-                } else if (charCode === modifierSeparatorCode) {
-                    if (
-                        macroParts.length &&
-                        (symbols.modifierSeparator.length === 1 ||
-                            expression.substring(
-                                loopIndex,
-                                loopIndex + symbols.modifierSeparator.length
-                            ) === symbols.modifierSeparator)
-                    ) {
-                        // Handle everything before the <lastExpressionIndex>
-                        __appendTillLastExpressionIndex(
-                            symbols.modifierSeparator.length
-                        )
-                        // We finished the previous value - whatever type it was and start a new one
-                        macroParts.push("")
+    /**
+     * Runs an evaluation (e.g. `._evaluateTemplate()`).
+     *
+     * Synchronously the evaluation is a plain function-call and the results
+     * of the callbacks are used as they are. In async-mode (see
+     * `.resolveAsync()`) a Promise is returned: If a callback returns a
+     * Promise the evaluation is interrupted (see `._call()`), the Promise is
+     * awaited and the evaluation is repeated from the start. The repetition
+     * gets the recorded results of the callbacks instead of calling them
+     * again.
+     *
+     * @private
+     * @param {function(): *} evaluate - The evaluation.
+     * @return {*|Promise<*>} The result of the evaluation.
+     */
+    _run(evaluate) {
+        if (!this._async) return evaluate()
+
+        const $this = this // needed to access the <this> inside the nested functions
+        const steps = []
+        const isOneMacro = this._isOneMacro
+        const currentExpression = this._currentExpression
+        const currentMacroNode = this._currentMacroNode
+        const currentModifierNode = this._currentModifierNode
+        const hasConstant = this._hasConstant
+        const rawNode = this._rawNode
+        let result
+
+        // Returns `false` if the evaluation was interrupted
+        function __evaluate() {
+            const outerSteps = $this._steps
+            const outerStepIndex = $this._stepIndex
+            const errorCount = $this.errors.length
+            $this._isOneMacro = isOneMacro
+            $this._currentExpression = currentExpression
+            $this._currentMacroNode = currentMacroNode
+            $this._currentModifierNode = currentModifierNode
+            $this._hasConstant = hasConstant
+            $this._rawNode = rawNode
+            $this._steps = steps
+            $this._stepIndex = 0
+            try {
+                result = evaluate()
+                return true
+            } catch (e) {
+                if (e !== MacroInt._interruption) throw e
+                // The repetition adds the errors again
+                $this.errors.length = errorCount
+                return false
+            } finally {
+                // Restore the steps of an outer evaluation (e.g. a modifier
+                //  that calls .getValue())
+                $this._steps = outerSteps
+                $this._stepIndex = outerStepIndex
+            }
+        }
+
+        return (async function () {
+            while (!__evaluate()) {
+                const step = steps[steps.length - 1]
+                try {
+                    step.result = await step.result
+                } catch (e) {
+                    step.result = e
+                    step.failed = true
+                }
+            }
+            return result
+        })()
+    }
+
+    /**
+     * Calls a repository- or modifier-callback.
+     *
+     * In async-mode the result of the callback, the errors it added and the
+     * state it changed (e.g. `._markRaw()`) are recorded. A repetition of the
+     * evaluation (see `._run()`) gets the recorded result instead of calling
+     * the callback again. If the callback returns a Promise the evaluation is
+     * interrupted until the Promise is settled.
+     *
+     * @private
+     * @param {Function} callback - The callback.
+     * @param {Array.<*>} args - The arguments of the callback.
+     * @return {*} The result of the callback.
+     */
+    _call(callback, args) {
+        if (!this._async) return callback(...args)
+
+        let step = this._steps[this._stepIndex++]
+        if (step === undefined) {
+            const errorCount = this.errors.length
+            step = { result: callback(...args), failed: false }
+            step.errors = this.errors.slice(errorCount)
+            step.hasConstant = this._hasConstant
+            step.rawNode = this._rawNode
+            this._steps.push(step)
+            if (step.result && typeof step.result.then === "function")
+                throw MacroInt._interruption
+        } else {
+            this.errors.push(...step.errors)
+            this._hasConstant = step.hasConstant
+            this._rawNode = step.rawNode
+        }
+        if (step.failed) throw step.result
+        return step.result
+    }
+
+    /**
+     * Fast check if the string may contain a macro (a macro-begin or a
+     * short-macro-begin) or a verbatim-block. Used to skip strings that are
+     * used as they are.
+     *
+     * @private
+     * @param {String} str
+     * @return {Boolean}
+     */
+    _mayContainMacro(str) {
+        const symbols = this._usedSymbols
+        return (
+            str.includes(symbols.macroBegin) ||
+            (!!symbols.shortMacroBegin &&
+                str.includes(symbols.shortMacroBegin)) ||
+            (!!symbols.verbatimBegin &&
+                !!symbols.verbatimEnd &&
+                str.includes(symbols.verbatimBegin))
+        )
+    }
+
+    /**
+     * Returns the syntax-tree of the expression from the template-cache. The
+     * expression is parsed and added to the cache if it isn't cached yet.
+     *
+     * @private
+     * @param {String} expression - The string which's syntax-tree is returned.
+     * @return {TemplateNode}
+     * @see MacroInt.templateCacheSize
+     */
+    _getTemplate(expression) {
+        const cacheSize = MacroInt.templateCacheSize
+        if (!(cacheSize > 0)) return this.parse(expression)
+
+        if (this._symbolsKey === undefined) {
+            const symbols = this._usedSymbols
+            // The syntax-tree depends on all symbols used by .parse()
+            this._symbolsKey = [
+                symbols.macroBegin,
+                symbols.macroEnd,
+                symbols.modifierSeparator,
+                symbols.modifierParamSeparator,
+                symbols.escapeChar,
+                symbols.verbatimBegin,
+                symbols.verbatimEnd,
+                symbols.shortMacroBegin,
+                JSON.stringify(symbols.modifierOperators),
+                !!symbols.operatorParamsAsText,
+            ].join("\u0000")
+        }
+
+        const cache = MacroInt._templateCache
+        let entry = cache.get(expression)
+        if (entry !== undefined) {
+            // Move the entry to the end (= most recently used)
+            cache.delete(expression)
+        } else {
+            entry = new Map()
+            // Remove the least recently used entries (= the first ones in the Map)
+            while (cache.size >= cacheSize)
+                cache.delete(cache.keys().next().value)
+        }
+        cache.set(expression, entry)
+
+        let template = entry.get(this._symbolsKey)
+        if (template === undefined) {
+            template = this.parse(expression)
+            entry.set(this._symbolsKey, template)
+        }
+        return template
+    }
+
+    /**
+     * Evaluates all nodes of the given syntax-tree.
+     *
+     * @private
+     * @param {TemplateNode} template - The syntax-tree built by .parse().
+     * @return {*} The result of the evaluation.
+     */
+    _evaluateTemplate(template) {
+        const iOM = this._isOneMacro
+        const cE = this._currentExpression
+        const hC = this._hasConstant
+
+        const nodes = template.nodes
+        const expression = template.expression
+        let result
+        if (nodes.length === 1 && nodes[0].type === "macro") {
+            // The whole expression is one macro => keep the result-type
+            result = this._evaluateMacro(nodes[0], expression, true)
+            if (result === undefined)
+                result = this._undefinedReplacement(nodes[0], expression)
+        } else if (
+            this._onUndefined === "undefined" &&
+            !(this._autoEscape && this._macroKeyChain.length === 0)
+        ) {
+            result = this._evaluateParts(nodes, expression, false)
+        } else {
+            // Undefined macro-results are replaced (see options.onUndefined)
+            //  and the macro-results are escaped (see options.autoEscape).
+            //  Only the results of the resolved expression are escaped and
+            //  not the ones of nested macro-values (no double escaping).
+            const escape =
+                this._macroKeyChain.length === 0 ? this._autoEscape : undefined
+            let isDeleted = false
+            result = ""
+            for (const node of nodes) {
+                if (node.type === "text") {
+                    result += node.value
+                    continue
+                }
+                this._rawNode = undefined
+                let value = this._evaluateMacro(node, expression, false)
+                if (escape && value !== undefined && this._rawNode !== node)
+                    value = escape("" + value)
+                if (value === undefined) {
+                    value = this._undefinedReplacement(node, expression)
+                    // "delete": The other macros are still evaluated (errors)
+                    if (this._onUndefined === "delete") isDeleted = true
+                }
+                result += value
+            }
+            if (isDeleted) result = undefined
+        }
+
+        // Must be reset because of recursive calls
+        this._isOneMacro = iOM
+        this._currentExpression = cE
+        this._hasConstant = hC
+
+        return result
+    }
+
+    /**
+     * Returns the replacement of a macro which's result is `undefined`
+     * depending on `options.onUndefined`.
+     *
+     * @private
+     * @param {MacroNode} macro - The node of the macro.
+     * @param {String} expression - The expression the node was parsed from.
+     * @return {String|undefined} The replacement or `undefined` if the macro isn't replaced.
+     */
+    _undefinedReplacement(macro, expression) {
+        switch (this._onUndefined) {
+            case "keep":
+            case "error":
+                return expression.substring(macro.start, macro.end)
+            case "empty":
+                return ""
+            default:
+                return undefined
+        }
+    }
+
+    /**
+     * Evaluates a list of text- and macro-nodes and concatenates the results.
+     *
+     * @private
+     * @param {Array.<TextNode|MacroNode>} parts - The nodes to evaluate.
+     * @param {String} expression - The expression the nodes were parsed from.
+     * @param {Boolean} keepType - If `true` and `parts` contains only one macro the macro-result is returned as it is.
+     * @return {*} The result of the evaluation.
+     */
+    _evaluateParts(parts, expression, keepType) {
+        if (keepType && parts.length === 1 && parts[0].type === "macro")
+            return this._evaluateMacro(parts[0], expression, false)
+
+        let result = ""
+        for (const part of parts) {
+            // force string because undefined+undefined == NaN
+            result +=
+                part.type === "text"
+                    ? part.value
+                    : "" + this._evaluateMacro(part, expression, false)
+        }
+        return result
+    }
+
+    /**
+     * Evaluates the nested macros of the parameters of a modifier (every
+     * parameter only once). A parameter that is just a macro keeps the type
+     * of the macro-result. All other parameters are returned as `key` that's
+     * converted by `._getArgValues()` when the modifier is executed.
+     *
+     * @private
+     * @param {Array.<Array.<TextNode|MacroNode>>} args - The `args` of the modifier-node.
+     * @param {String} expression - The expression the modifier was parsed from.
+     * @return {{params: String, args: Array.<Object>}} The raw `params`-string and the `args`.
+     */
+    _evaluateArgs(args, expression) {
+        const strings = []
+        const values = []
+        for (const parts of args) {
+            let text = ""
+            let macroCount = 0
+            let macroValue
+            for (const part of parts) {
+                if (part.type === "text") {
+                    text += part.value
+                    if (part.value.trim()) macroCount = 2 // not only a macro
+                } else {
+                    macroValue = this._evaluateMacro(part, expression, false)
+                    text += "" + macroValue
+                    macroCount++
+                }
+            }
+            strings.push(text)
+            values.push(
+                macroCount === 1
+                    ? { key: undefined, value: macroValue }
+                    : { key: text.trim(), value: undefined }
+            )
+        }
+        return {
+            params: strings.join(","),
+            // "${x | modifier:}" has no parameters
+            args: values.length === 1 && strings[0].trim() === "" ? [] : values,
+        }
+    }
+
+    /**
+     * Evaluates the nested macros of the parameters of a modifier that's
+     * registered with `lazyParams`: The callback gets the parameters as
+     * they're written and the nested macros are evaluated when the callback
+     * passes the parameters to `.getValue()` or `.evaluateParam()`. The state
+     * of the macro the modifier belongs to is kept.
+     *
+     * @private
+     * @param {{text: String, parts: Array.<TextNode|MacroNode>, expression: String, asText: Boolean}} lazyParams - The unevaluated parameters.
+     * @return {String} The evaluated parameters.
+     */
+    _evaluateLazyParams(lazyParams) {
+        const isOneMacro = this._isOneMacro
+        const currentExpression = this._currentExpression
+        const currentMacroNode = this._currentMacroNode
+        const currentModifierNode = this._currentModifierNode
+        const hasConstant = this._hasConstant
+        const rawNode = this._rawNode
+        this._lazyParams = undefined
+        try {
+            const text = this._evaluateParts(
+                lazyParams.parts,
+                lazyParams.expression,
+                false
+            )
+            return lazyParams.asText ? `'${text}'` : text.trim()
+        } finally {
+            this._isOneMacro = isOneMacro
+            this._currentExpression = currentExpression
+            this._currentMacroNode = currentMacroNode
+            this._currentModifierNode = currentModifierNode
+            this._hasConstant = hasConstant
+            this._rawNode = rawNode
+            this._lazyParams = lazyParams
+        }
+    }
+
+    /**
+     * Converts the parameters returned by `._evaluateArgs()` to typed values.
+     * The keys are evaluated lazily with `.evaluateParam()` when the element
+     * of the returned array is read the first time.
+     *
+     * @private
+     * @param {Array.<{key: (String|undefined), value: *}>} args - The evaluated parameters.
+     * @return {Array.<*>} The typed values.
+     */
+    _getArgValues(args) {
+        const $this = this // needed to access the <this> inside the getters
+        const values = []
+        args.forEach((arg, index) => {
+            if (arg.key === undefined) {
+                values[index] = arg.value
+                return
+            }
+            let value
+            let isEvaluated = false
+            Object.defineProperty(values, index, {
+                enumerable: true,
+                configurable: true,
+                get() {
+                    if (!isEvaluated) {
+                        value = $this.evaluateParam(arg.key, true)
+                        isEvaluated = true
                     }
-                } else if (charCode === escapeCharCode) {
-                    // "\" -> Escape the next character
-                    // Handle everything before the <lastExpressionIndex>
-                    __appendTillLastExpressionIndex(1)
-                    loopIndex++ // skip next char - don't interpret it
-                } // macro-end character found
-            } // for expressionIndex...
+                    return value
+                },
+            })
+        })
+        return values
+    }
+
+    /**
+     * Handle the evaluation of the macro-value and the handling of the modifiers.
+     *
+     * @private
+     * @param {MacroNode} macro - The macro-node to evaluate.
+     * @param {String} expression - The expression the macro was parsed from.
+     * @param {Boolean} isOneMacro - `true` if the macro is the whole expression.
+     * @return {*} The result of the evaluation.
+     */
+    _evaluateMacro(macro, expression, isOneMacro) {
+        // Nested macros are resolved before the macro itself
+        const macroKey = this._evaluateParts(macro.key, expression, true)
+        const modifiers = []
+        for (const modifier of macro.modifiers) {
+            const name = this._evaluateParts(modifier.name, expression, false)
+            const callback = this._getModifier(name.trim().toLowerCase())
+            const asText =
+                modifier.operator !== undefined &&
+                this._usedSymbols.operatorParamsAsText
+            if (
+                callback &&
+                modifier.params &&
+                modifier.params.some((part) => part.type === "macro") &&
+                this._getModifierInfo(callback).lazyParams
+            ) {
+                // The nested macros are evaluated only if the callback uses
+                //  the parameters (see ._evaluateLazyParams())
+                const parts = modifier.params
+                const source = expression
+                    .substring(parts[0].start, parts[parts.length - 1].end)
+                    .trim()
+                const text = asText ? `'${source}'` : source
+                modifiers.push({
+                    node: modifier,
+                    name,
+                    params: text,
+                    args: [],
+                    lazyParams: { text, parts, expression, asText },
+                })
+            } else if (asText) {
+                // The text after the operator is used as a string-constant
+                const text = this._evaluateParts(
+                    modifier.params,
+                    expression,
+                    false
+                )
+                modifiers.push({
+                    node: modifier,
+                    name,
+                    params: `'${text}'`,
+                    args: [],
+                })
+            } else if (
+                modifier.params &&
+                callback &&
+                this._getModifierInfo(callback).args
+            ) {
+                // The callback wants the parsed parameters
+                const evaluated = this._evaluateArgs(modifier.args, expression)
+                modifiers.push({ node: modifier, name, ...evaluated })
+            } else {
+                modifiers.push({
+                    node: modifier,
+                    name,
+                    params:
+                        modifier.params &&
+                        this._evaluateParts(modifier.params, expression, false),
+                    args: [],
+                })
+            }
+        }
 
-            // expression ends with an unfinished macro "xxx${yyy"
-            if (macroParts.length)
-                // move back to the beginning of the macro!
-                // Only include if the macro-end is found
-                lastExpressionIndex -= symbols.macroBegin.length
+        this._isOneMacro = isOneMacro
+        // Only for Error-reports
+        this._currentExpression = isOneMacro
+            ? expression
+            : expression.substring(macro.start, macro.end)
+        // Macros in macro-values keep the location of the outer macro
+        const isTopLevel = this._macroKeyChain.length === 0
+        if (isTopLevel) {
+            this._currentMacroNode = macro
+            this._currentModifierNode = undefined
+        }
+        this._hasConstant = false
+
+        // Resolve the macro itself
+        const trimmedKey =
+            typeof macroKey === "string" ? macroKey.trim() : macroKey
+        let macroValue = this._getValue(trimmedKey, false)
+        if (
+            typeof macroValue === "string" &&
+            this._mayContainMacro(macroValue)
+        ) {
+            // The value contains macros itself => resolve them but avoid
+            //  endless recursions like a -> b -> a
+            const keyChain = this._macroKeyChain
+            const chainKey = "" + trimmedKey
+            if (keyChain.includes(chainKey)) {
+                this.addErrorWithCode(
+                    "cyclic-reference",
+                    `Cyclic macro-reference "${keyChain
+                        .concat(chainKey)
+                        .join(" -> ")}".`
+                )
+                macroValue = undefined
+            } else if (keyChain.length >= this._maxDepth) {
+                this.addErrorWithCode(
+                    "max-depth",
+                    `Maximum nesting-depth (${
+                        this._maxDepth
+                    }) of macro-values exceeded "${keyChain
+                        .concat(chainKey)
+                        .join(" -> ")}".`
+                )
+                macroValue = undefined
+            } else {
+                keyChain.push(chainKey)
+                try {
+                    macroValue = this._evaluateTemplate(
+                        this._getTemplate(macroValue)
+                    )
+                } finally {
+                    keyChain.pop()
+                }
+            }
+        }
 
-            if (lastExpressionIndex < expressionLength)
-                expressionResult += expression.substring(lastExpressionIndex)
+        // Apply/Exec all modifiers.
+        const errorCount = this.errors.length
+        for (const modifier of modifiers) {
+            // Skip empty modifiers like in "${macro |}"
+            if (modifier.name === "" && modifier.params === undefined) continue
 
-            // Must be reset because of recursive calls
-            $this._isOneMacro = iOM
-            $this._currentExpression = cE
-            $this._hasConstant = hC
+            if (isTopLevel) this._currentModifierNode = modifier.node
+            const modifierKey = modifier.name.trim().toLowerCase()
+            // The value that's assigned to the modifier-searchKey is the callback
+            const callback = this._getModifier(modifierKey)
+            // Is the modifier registered?
+            if (callback) {
+                const params =
+                    modifier.params === undefined
+                        ? undefined
+                        : modifier.params.trim()
+                const lazyParams = this._lazyParams
+                this._lazyParams = modifier.lazyParams
+                try {
+                    // Only modifiers registered with `args` get the args
+                    macroValue = this._call(
+                        callback,
+                        this._getModifierInfo(callback).args
+                            ? [
+                                  this,
+                                  macroValue,
+                                  params,
+                                  this._getArgValues(modifier.args),
+                              ]
+                            : [this, macroValue, params]
+                    )
+                } finally {
+                    this._lazyParams = lazyParams
+                }
+            } else {
+                const suggestion = this._suggestModifier(modifierKey)
+                this.addErrorWithCode(
+                    "unknown-modifier",
+                    `Unknown modifier "${(modifier.params === undefined
+                        ? modifier.name
+                        : modifier.name +
+                          this._usedSymbols.modifierParamSeparator +
+                          modifier.params
+                    ).trim()}"` +
+                        (suggestion ? `. Did you mean "${suggestion}"?` : "")
+                )
+            }
+        }
+        if (isTopLevel) this._currentModifierNode = undefined
 
-            return expressionResult
-        } // __innerInterpolate()
+        if (
+            macroValue === undefined &&
+            (!this._allowUndefined || this._onUndefined === "error") &&
+            // A mandatory-modifier already reported the undefined value
+            !this.errors
+                .slice(errorCount)
+                .some((error) => error.code === "undefined-mandatory")
+        )
+            // Add the error-message and don't replace the macro
+            this.addErrorWithCode(
+                "undefined-value",
+                "macro-value is undefined."
+            )
 
-        return __innerInterpolate(expression)
+        return macroValue
     }
 
     /**
@@ -688,9 +2339,13 @@ class MacroInt {
      *    @param {String[]} [options.exclude] - Optional array of property-names that should not be handled (at any level).
      *    @param {Array.<{path: string, property: string}>} [options.include]    Optional array to define that only specified `property` in a `path` should be
      *                                      evaluated. All other elements not in the given path are still evaluated.
-     * @throws {Error} if either options are provided with a string-expression or the options contain unknown options.
-     * @throws {Error} with all the errors if _throwErrors==true and an error occured.
-     * @return {String|Object|Array} Returns the given `expression`-object or the resolved string (after resolving all macros)
+     *    @param {Boolean} [options.clone=false] - If `true` a deep copy of the expression-object is resolved and returned. The
+     *                                      expression-object isn't modified and if an error is thrown no (partially resolved)
+     *                                      copy is leaked. Only arrays and plain objects are copied and resolved, other objects
+     *                                      (e.g. class-instances) are used as they are.
+     * @throws {MacroIntError} if either options are provided with a string-expression or the options contain unknown options.
+     * @throws {MacroIntAggregateError} with all the errors if _throwErrors==true and an error occured.
+     * @return {String|Object|Array} Returns the given `expression`-object (or its copy if `options.clone=true`) or the resolved string (after resolving all macros)
      * @See macroKey
      * @see modifier
      * @example
@@ -715,170 +2370,660 @@ class MacroInt {
      * }
      * macroInt.resolve(config)
      * console.dir(config) // => {foo: 'FOO', child: {baz: 12345, num: 42, what: "Universe"}}
+     *
+     * // Resolve a copy and keep the original object
+     * defaults = { url: "${foo}" }
+     * result = macroInt.resolve(defaults, { clone: true })
+     * console.dir(defaults) // => {url: '${foo}'}
+     * console.dir(result) // => {url: 'FOO'}
      * ```
      */
     resolve(expression, options = undefined) {
-        // Note: The function is very huge but it was intended to be as fast as
-        // possible so splitting in multiple functions was avoided
-
         // Reset the errors if they were most likely thrown/shown already
         if (this._throwErrors) {
             this.errors.length = 0
         }
 
         if (typeof expression == "object") {
-            const knownOptions = ["exclude", "include"]
-            if (options) {
-                Object.keys(options).forEach((key) => {
-                    if (!knownOptions.includes(key))
-                        throw `resolve.options: unknown option "${key}")`
-                })
-            }
-            const optionsInclude = options ? options.include : undefined
-            const optionsExclude = options ? options.exclude : undefined
-
-            const $this = this // needed to access the <this> inside the nested functions
-            const handledObjects = []
-
-            /******************************************************************
-             * Because the initially used `structuredClone` isn't supported by
-             * all browsers yet this function was built.
-             * The function only copies supports arrays and std. objects.
-             */
-            function __copyObject(template, current) {
-                // Create a new array if the template is a array, an object otherwise
-                const result = Array.isArray(template)
-                    ? Object.assign([], template, current)
-                    : Object.assign({}, template, current)
-
-                // Need something compatible to array and object - avoid using
-                //  Object.entries because its introduced with ES 2016
-                for (let key in result) {
-                    // its unlikely so access property if necessary twice
-                    if (typeof result[key] === "object")
-                        result[key] = __copyObject(result[key])
-                }
-                return result
-            }
-
-            /******************************************************************
-             * Copy all missing properties from the template to the value-object
-             * @private
-             * @param {Object} template
-             * @param {Object} destination
-             */
-            function __processTemplate(template, destination) {
-                let templateValue, destinationValue
+            const shared = new Set()
+            if (options && options.clone)
+                expression = this._cloneDeep(expression, shared)
+            this._traverseProperties(
+                expression,
+                options,
+                (obj, key, value, traverse) => {
+                    // try to interpolate the value
+                    const result = this._interpolate(value)
+                    if (result === undefined && this._onUndefined === "delete")
+                        return this._deleteProperty(obj, key)
+                    obj[key] = result
+                    if (typeof result == "object") traverse(result)
+                },
+                shared
+            )
+        } else if (typeof expression == "string") {
+            if (options)
+                throw new MacroIntError(
+                    "invalid-option",
+                    "resolve: options are only valid with object-parameters."
+                )
 
-                // Works for array-elements and object-properties
-                for (const templateKey in template) {
-                    templateValue = template[templateKey]
-                    destinationValue = destination[templateKey]
+            expression = this._interpolate(expression)
+        }
 
-                    if (
-                        destinationValue === undefined ||
-                        typeof destinationValue === "object"
-                    ) {
-                        // property from the template doesn't exist in the result
-                        // Don't use complex objects directly.
-                        destination[templateKey] =
-                            typeof templateValue === "object"
-                                ? __copyObject(templateValue, destinationValue)
-                                : templateValue
-                    }
-                }
-            }
+        this._throwFoundErrors()
+        return expression
+    }
 
-            /******************************************************************
-             * Handle all properties of an object or all array-elements.
-             * (Need to check (typeof obj === 'object') _before_ calling this function!)
-             * @private
-             * @param {Object|Array} obj
-             */
-            function __traverseProperties(obj) {
-                // Avoid recursive handling of objects
-                if (handledObjects.includes(obj)) {
-                    return
-                }
-                handledObjects.push(obj)
-
-                // If there are Include-Keys defined search if there is one for
-                // the current path and store it in 'optionsIncludeKey'
-                let optionsIncludeKey = undefined
-                if (optionsInclude) {
-                    const searchPath = $this._propertyPath.join(".")
-                    for (let i = 0, len = optionsInclude.length; i < len; i++) {
-                        if (optionsInclude[i].path === searchPath) {
-                            optionsIncludeKey = optionsInclude[i].property
-                            break
-                        }
-                    }
-                }
+    /**
+     * Removes a property (`options.onUndefined="delete"`). Array-elements are
+     * set to `undefined` to keep the indexes of the other elements.
+     *
+     * @private
+     * @param {Object|Array} obj - The object/array that contains the property.
+     * @param {String} key - The name of the property.
+     * @return {void}
+     */
+    _deleteProperty(obj, key) {
+        if (Array.isArray(obj)) obj[key] = undefined
+        else delete obj[key]
+    }
 
-                // Get the template if there is one defined for the current path.
-                // Use a separate call because the template could be after one
-                // of the other siblings.
-                const siblingsTemplate =
-                    obj[$this._usedSymbols.siblingsTemplateKey]
-
-                let value, indexKey
-                // Works for array-elements and object-properties
-                for (indexKey in obj) {
-                    value = obj[indexKey]
-                    if (indexKey === $this._usedSymbols.siblingsTemplateKey) {
-                        // filter: we already stored it in siblingsTemplate before the for-loop
-                    } else if (
-                        optionsExclude &&
-                        optionsExclude.includes(indexKey)
-                    ) {
-                        // filter: Exclude defined and contains the key
-                    } else if (
-                        optionsIncludeKey &&
-                        optionsIncludeKey !== indexKey
-                    ) {
-                        // filter: include defined and it's not the include-key
-                    } else if (typeof value === "string") {
-                        // Fast check because we assume that not every string is a or contains a macro.
-                        if (value.includes($this._usedSymbols.macroBegin)) {
-                            $this._propertyPath.push(indexKey)
-
-                            // try to interpolate the value
-                            const result = $this._interpolate(value)
-                            obj[indexKey] = result
-                            if (typeof result == "object")
-                                __traverseProperties(result)
-
-                            $this._propertyPath.pop()
-                        }
-                    } else if (typeof value === "object") {
-                        // recursive call of traverse
-                        $this._propertyPath.push(indexKey)
+    /**
+     * Interpolate the macros in the given 'expression` asynchronously.
+     *
+     * Works like `.resolve()` but awaits the results of
+     * [RepositoryCallbacks](#repositorycallback) and
+     * [ModifierCallbacks](#modifiercallback) that return a Promise. If an
+     * object/array is resolved all its properties/elements are resolved
+     * concurrently. The errors are collected and thrown like in `.resolve()`.
+     *
+     * The callbacks don't get the MacroInt-instance itself but a scope-object
+     * that inherits from the instance. Inside of the callbacks `.getValue()`
+     * returns a Promise.
+     *
+     * @param {String|Object|Array} expression - String with macros or an object that may have properties that contain macros to interpolate.
+     * @param {Object} [options=undefined] - Options for the resolving-process (see `.resolve()`).
+     * @throws {MacroIntError} if either options are provided with a string-expression or the options contain unknown options.
+     * @throws {MacroIntAggregateError} with all the errors if _throwErrors==true and an error occured.
+     * @return {Promise<String|Object|Array>} Returns the given `expression`-object (or its copy if `options.clone=true`) or the resolved string (after resolving all macros)
+     * @see resolve
+     * @example
+     * ```js
+     * macroInt = new MacroInt([
+     *     async (macroKey) => (macroKey === "secret" ? readSecret() : undefined),
+     *     { user: "Tom" },
+     * ])
+     * config = await macroInt.resolveAsync({ user: "${user}", pwd: "${secret | -m}" })
+     * ```
+     */
+    async resolveAsync(expression, options = undefined) {
+        // Reset the errors if they were most likely thrown/shown already
+        if (this._throwErrors) {
+            this.errors.length = 0
+        }
 
-                        // Copy all missing properties from the $template-object
-                        // remark: This can't happen if config is an array!
-                        if (siblingsTemplate) {
-                            __processTemplate(siblingsTemplate, value)
+        if (typeof expression == "object") {
+            const shared = new Set()
+            if (options && options.clone)
+                expression = this._cloneDeep(expression, shared)
+            const tasks = []
+            this._traverseProperties(
+                expression,
+                options,
+                (obj, key, value, traverse) => {
+                    // Every property gets its own scope to be able to
+                    //  resolve all of them concurrently.
+                    const scope = this._createScope()
+                    const task = scope._interpolate(value).then((result) => {
+                        if (
+                            result === undefined &&
+                            this._onUndefined === "delete"
+                        )
+                            return this._deleteProperty(obj, key)
+                        obj[key] = result
+                        if (typeof result == "object") {
+                            // Continue with the path of the property
+                            const propertyPath = this._propertyPath
+                            this._propertyPath = scope._propertyPath
+                            try {
+                                traverse(result)
+                            } finally {
+                                this._propertyPath = propertyPath
+                            }
                         }
+                    })
+                    tasks.push(task)
+                },
+                shared
+            )
+            // Resolved objects can add new tasks while waiting
+            let taskCount
+            do {
+                taskCount = tasks.length
+                await Promise.all(tasks)
+            } while (taskCount < tasks.length)
+        } else if (typeof expression == "string") {
+            if (options)
+                throw new MacroIntError(
+                    "invalid-option",
+                    "resolve: options are only valid with object-parameters."
+                )
 
-                        __traverseProperties(value)
-                        $this._propertyPath.pop()
-                    }
+            expression = await this._createScope()._interpolate(expression)
+        }
+
+        this._throwFoundErrors()
+        return expression
+    }
+
+    /**
+     * Checks if the given expression can be resolved without errors (dry-run).
+     *
+     * The expression is resolved like in `.resolve()` but a given object/array
+     * isn't modified (a copy is resolved) and no error is thrown. All errors
+     * (unknown modifiers, undefined macro-values, mandatory-failures, invalid
+     * property-path-indexes, failed conversions,...) are returned in the
+     * report. Macros with an `undefined` result are always reported - no
+     * matter how `options.allowUndefined` is set. A macro with a failed
+     * `mandatory`-modifier is only reported as "undefined-mandatory". The
+     * `.errors` of the instance aren't changed.
+     *
+     * @param {String|Object|Array} expression - String with macros or an object that may have properties that contain macros.
+     * @param {Object} [options=undefined] - Options for the resolving-process (see `.resolve()`).
+     * @throws {MacroIntError} if either options are provided with a string-expression or the options contain unknown options.
+     * @return {ValidationReport} The found errors.
+     * @see resolve
+     * @example
+     * ```js
+     * macroInt = new MacroInt({ host: "localhost" })
+     * report = macroInt.validate({ url: "${host}:${port | -m}" })
+     * console.log(report.valid) // => false
+     * console.log(report.errors[0].code, report.errors[0].path) // => undefined-mandatory [ 'url' ]
+     * ```
+     */
+    validate(expression, options = undefined) {
+        const restore = this._beginValidation()
+        try {
+            this.resolve(this._cloneDeep(expression), options)
+            return { valid: this.errors.length === 0, errors: this.errors }
+        } finally {
+            restore()
+        }
+    }
+
+    /**
+     * Checks asynchronously if the given expression can be resolved without
+     * errors (dry-run). Works like `.validate()` but awaits the callbacks
+     * like `.resolveAsync()`.
+     *
+     * @param {String|Object|Array} expression - String with macros or an object that may have properties that contain macros.
+     * @param {Object} [options=undefined] - Options for the resolving-process (see `.resolve()`).
+     * @throws {MacroIntError} if either options are provided with a string-expression or the options contain unknown options.
+     * @return {Promise<ValidationReport>} The found errors.
+     * @see validate
+     */
+    async validateAsync(expression, options = undefined) {
+        const restore = this._beginValidation()
+        try {
+            await this.resolveAsync(this._cloneDeep(expression), options)
+            return { valid: this.errors.length === 0, errors: this.errors }
+        } finally {
+            restore()
+        }
+    }
+
+    /**
+     * Lists all macroKeys that are referenced in the given expression without
+     * resolving them (no [Repository](#repository) is accessed).
+     *
+     * Objects/arrays are traversed like in `.resolve()` (including the
+     * [siblings-templates](#siblings-templates)) but not modified. Every
+     * macro is returned with the property-path it appears at and its
+     * modifiers. Keys in nested macros (e.g. `${db_${env}}`), keys used as
+     * values of the `default`-, `alternative`- and `if`-modifiers (not the
+     * values of the conditions) and the operands of expressions
+     * (`${port + 1}`) are listed as references, too. String-
+     * constants and property-path-indexes (`${^-1}`) aren't listed. Macros in
+     * macro-values can't be found because the values aren't resolved.
+     *
+     * @param {String|Object|Array} expression - String with macros or an object that may have properties that contain macros.
+     * @param {Object} [options=undefined] - Options for the traversal (see `.resolve()`).
+     * @throws {MacroIntError} if either options are provided with a string-expression or the options contain unknown options.
+     * @return {MacroReference[]} The references in the order of their evaluation.
+     * @example
+     * ```js
+     * macroInt = new MacroInt()
+     * refs = macroInt.listReferences({ db: { url: "${DB_HOST | -m}:${DB_PORT | -d:'5432'}" } })
+     * console.log(refs.map((ref) => `${ref.key}${ref.mandatory ? "!" : ""}`)) // => [ 'DB_HOST!', 'DB_PORT' ]
+     * console.log(refs[1].path, refs[1].default) // => [ 'db', 'url' ] '5432'
+     * ```
+     */
+    listReferences(expression, options = undefined) {
+        const $this = this // needed to access the <this> inside the nested functions
+        const references = []
+        const mandatoryCallback = MacroInt._modifiers["mandatory"]
+        const defaultCallback = MacroInt._modifiers["default"]
+        const alternativeCallback = MacroInt._modifiers["alternative"]
+        const ifCallback = MacroInt._modifiers["if"]
+
+        // Returns the source-text of the parts and if it contains macros
+        function __source(parts, text) {
+            if (parts.length === 0) return { text: "", dynamic: false }
+            return {
+                text: text
+                    .substring(parts[0].start, parts[parts.length - 1].end)
+                    .trim(),
+                dynamic: parts.some((part) => part.type === "macro"),
+            }
+        }
+
+        // Constants and property-path-indexes aren't repository-keys
+        function __isReference(key) {
+            return !(
+                key === "" ||
+                /^(["'`]).*\1$/s.test(key) ||
+                key.startsWith($this._usedSymbols.propertyPathIndicator) ||
+                MacroInt._parseLiteral(key)
+            )
+        }
+
+        function __addMacros(parts, text) {
+            for (const part of parts)
+                if (part.type === "macro") __addMacro(part, text)
+        }
+
+        function __addMacro(macro, text) {
+            // Nested macros are evaluated before the macro itself
+            __addMacros(macro.key, text)
+            for (const modifier of macro.modifiers) {
+                __addMacros(modifier.name, text)
+                if (modifier.params) __addMacros(modifier.params, text)
+            }
+
+            const key = __source(macro.key, text)
+            const reference = {
+                key: key.text,
+                path: $this._propertyPath.slice(),
+                dynamic: key.dynamic,
+                modifiers: [],
+                mandatory: false,
+                default: undefined,
+            }
+            // The keys of the default-, alternative- and if-modifiers
+            const paramKeys = []
+            for (const modifier of macro.modifiers) {
+                // Operators (e.g. ":-") are mapped to the modifier-names
+                const isOperator = modifier.operator !== undefined
+                const name = isOperator
+                    ? modifier.name[0].value
+                    : __source(modifier.name, text).text
+                const params = modifier.params
+                    ? __source(modifier.params, text).text
+                    : undefined
+                // Skip empty modifiers like in "${macro |}"
+                if (name === "" && params === undefined) continue
+                reference.modifiers.push({ name, params })
+
+                const callback = $this._getModifier(name.toLowerCase())
+                // The text-parameters of operators aren't keys
+                const isText =
+                    isOperator && $this._usedSymbols.operatorParamsAsText
+                if (callback === mandatoryCallback) reference.mandatory = true
+                else if (callback === defaultCallback && params !== undefined) {
+                    if (reference.default === undefined)
+                        reference.default = params
+                    if (!isText) paramKeys.push(params)
+                } else if (
+                    callback === alternativeCallback &&
+                    params !== undefined &&
+                    !isText
+                ) {
+                    paramKeys.push(params)
+                } else if (callback === ifCallback) {
+                    // Only the keys of the results. The values of the
+                    //  conditions are used as strings if they aren't found.
+                    paramKeys.push(...splitIfParams(params).slice(1))
                 }
-            } // __traverseProperties
-            //-----------------------------------------------------------------
+            }
+            const expression = key.dynamic
+                ? undefined
+                : MacroInt._parseExpression(reference.key)
+            if (expression) __addOperands(expression, reference.path)
+            else if (__isReference(reference.key)) references.push(reference)
+            for (const paramKey of paramKeys)
+                if (__isReference(paramKey)) __addKey(paramKey, reference.path)
+        }
+
+        function __addKey(key, path) {
+            references.push({
+                key,
+                path,
+                dynamic: false,
+                modifiers: [],
+                mandatory: false,
+                default: undefined,
+            })
+        }
+
+        // The operands of expressions like "${port + 1}" are the references
+        function __addOperands(node, path) {
+            if (node.key !== undefined) {
+                if (__isReference(node.key)) __addKey(node.key, path)
+            } else if (node.operand) __addOperands(node.operand, path)
+            else {
+                __addOperands(node.left, path)
+                __addOperands(node.right, path)
+            }
+        }
+
+        function __addReferences(text) {
+            __addMacros($this._getTemplate(text).nodes, text)
+        }
 
-            // Start recursive call
-            __traverseProperties(expression)
+        if (typeof expression == "object") {
+            this._traverseProperties(
+                this._cloneDeep(expression),
+                options,
+                (obj, key, value) => __addReferences(value)
+            )
         } else if (typeof expression == "string") {
             if (options)
-                throw `resolve: options are only valid with object-parameters.`
+                throw new MacroIntError(
+                    "invalid-option",
+                    "resolve: options are only valid with object-parameters."
+                )
+            __addReferences(expression)
+        }
+        return references
+    }
 
-            expression = this._interpolate(expression)
+    /**
+     * Prepares the instance for a validation: The errors are collected in a
+     * new array, they are not thrown and undefined macro-values are errors.
+     *
+     * @private
+     * @return {function(): void} Function that restores the previous state.
+     */
+    _beginValidation() {
+        const errors = this.errors
+        const throwErrors = this._throwErrors
+        const allowUndefined = this._allowUndefined
+        this.errors = []
+        this._throwErrors = false
+        this._allowUndefined = false
+        return () => {
+            this.errors = errors
+            this._throwErrors = throwErrors
+            this._allowUndefined = allowUndefined
         }
+    }
 
-        if (this._throwErrors && this.errors.length)
-            throw this._formatErrors("\n  ")
-        return expression
+    /**
+     * Returns a deep copy of the given value. Circular references are
+     * supported. If the `shared`-set is given only arrays and plain objects
+     * are copied. All other objects (e.g. Dates, class-instances) are used
+     * directly and added to the set (they must not be modified). Otherwise
+     * all objects are copied but the copies of other objects only get the own
+     * enumerable properties (the prototype is kept). That's only useful for
+     * copies that are dropped after a dry-run.
+     *
+     * @private
+     * @param {*} value - The value to copy.
+     * @param {Set<Object>} [shared] - Gets the objects that aren't copied.
+     * @return {*} The copy.
+     */
+    _cloneDeep(value, shared = undefined) {
+        const copies = new Map()
+
+        function __clone(value) {
+            if (typeof value !== "object" || value === null) return value
+            const proto = Object.getPrototypeOf(value)
+            if (
+                shared &&
+                !Array.isArray(value) &&
+                proto !== Object.prototype &&
+                proto !== null
+            ) {
+                shared.add(value)
+                return value
+            }
+            if (copies.has(value)) return copies.get(value)
+
+            const result = Array.isArray(value) ? [] : Object.create(proto)
+            copies.set(value, result)
+            for (const key of Object.keys(value))
+                result[key] = __clone(value[key])
+            return result
+        }
+
+        return __clone(value)
+    }
+
+    /**
+     * Handles all properties of an object or all array-elements recursively
+     * and calls `handleString` for every string-value that contains a macro.
+     * When `handleString` is called `._propertyPath` contains the path to the
+     * property.
+     *
+     * @private
+     * @param {Object|Array} root - The object/array to traverse.
+     * @param {Object|undefined} options - The options of `.resolve()`.
+     * @param {function(Object, String, String, function(Object): void): void} handleString - Called with the object, the property-name, the property-value and the function to traverse a (new) sub-object.
+     * @param {Set<Object>} [skip] - Objects that are neither traversed nor modified (see `._cloneDeep()`).
+     * @throws {MacroIntError} if the options contain unknown options.
+     */
+    _traverseProperties(root, options, handleString, skip = undefined) {
+        // Note: The function is very huge but it was intended to be as fast as
+        // possible so splitting in multiple functions was avoided
+        const knownOptions = ["exclude", "include", "clone"]
+        if (options) {
+            Object.keys(options).forEach((key) => {
+                if (!knownOptions.includes(key))
+                    throw new MacroIntError(
+                        "invalid-option",
+                        `resolve.options: unknown option "${key}"`
+                    )
+            })
+        }
+        const optionsInclude = options ? options.include : undefined
+        const optionsExclude = options ? options.exclude : undefined
+
+        const $this = this // needed to access the <this> inside the nested functions
+        const handledObjects = []
+
+        /******************************************************************
+         * Because the initially used `structuredClone` isn't supported by
+         * all browsers yet this function was built.
+         * The function only copies supports arrays and std. objects.
+         */
+        function __copyObject(template, current) {
+            // Create a new array if the template is a array, an object otherwise
+            const result = Array.isArray(template)
+                ? Object.assign([], template, current)
+                : Object.assign({}, template, current)
+
+            // Need something compatible to array and object - avoid using
+            //  Object.entries because its introduced with ES 2016
+            for (let key in result) {
+                // its unlikely so access property if necessary twice
+                if (typeof result[key] === "object")
+                    result[key] = __copyObject(result[key])
+            }
+            return result
+        }
+
+        /******************************************************************
+         * Copy all missing properties from the template to the value-object
+         * @private
+         * @param {Object} template
+         * @param {Object} destination
+         */
+        function __processTemplate(template, destination) {
+            let templateValue, destinationValue
+
+            // Works for array-elements and object-properties
+            for (const templateKey in template) {
+                templateValue = template[templateKey]
+                destinationValue = destination[templateKey]
+
+                if (
+                    destinationValue === undefined ||
+                    typeof destinationValue === "object"
+                ) {
+                    // property from the template doesn't exist in the result
+                    // Don't use complex objects directly.
+                    destination[templateKey] =
+                        typeof templateValue === "object"
+                            ? __copyObject(templateValue, destinationValue)
+                            : templateValue
+                }
+            }
+        }
+
+        /******************************************************************
+         * Handle all properties of an object or all array-elements.
+         * (Need to check (typeof obj === 'object') _before_ calling this function!)
+         * @private
+         * @param {Object|Array} obj
+         */
+        function __traverseProperties(obj) {
+            // Avoid recursive handling of objects (and don't modify the
+            //  objects that are shared with the original of a copy)
+            if (handledObjects.includes(obj) || (skip && skip.has(obj))) {
+                return
+            }
+            handledObjects.push(obj)
+
+            // If there are Include-Keys defined search if there is one for
+            // the current path and store it in 'optionsIncludeKey'
+            let optionsIncludeKey = undefined
+            if (optionsInclude) {
+                const searchPath = $this._propertyPath.join(".")
+                for (let i = 0, len = optionsInclude.length; i < len; i++) {
+                    if (optionsInclude[i].path === searchPath) {
+                        optionsIncludeKey = optionsInclude[i].property
+                        break
+                    }
+                }
+            }
+
+            // Get the template if there is one defined for the current path.
+            // Use a separate call because the template could be after one
+            // of the other siblings.
+            const siblingsTemplate = obj[$this._usedSymbols.siblingsTemplateKey]
+
+            let value, indexKey
+            // Works for array-elements and object-properties
+            for (indexKey in obj) {
+                value = obj[indexKey]
+                if (indexKey === $this._usedSymbols.siblingsTemplateKey) {
+                    // filter: we already stored it in siblingsTemplate before the for-loop
+                } else if (
+                    optionsExclude &&
+                    optionsExclude.includes(indexKey)
+                ) {
+                    // filter: Exclude defined and contains the key
+                } else if (
+                    optionsIncludeKey &&
+                    optionsIncludeKey !== indexKey
+                ) {
+                    // filter: include defined and it's not the include-key
+                } else if (typeof value === "string") {
+                    // Fast check because we assume that not every string is a or contains a macro.
+                    if ($this._mayContainMacro(value)) {
+                        $this._propertyPath.push(indexKey)
+                        handleString(obj, indexKey, value, __traverseProperties)
+                        $this._propertyPath.pop()
+                    }
+                } else if (typeof value === "object") {
+                    // recursive call of traverse
+                    $this._propertyPath.push(indexKey)
+
+                    // Copy all missing properties from the $template-object
+                    // remark: This can't happen if config is an array!
+                    if (siblingsTemplate && !(skip && skip.has(value))) {
+                        __processTemplate(siblingsTemplate, value)
+                    }
+
+                    __traverseProperties(value)
+                    $this._propertyPath.pop()
+                }
+            }
+        } // __traverseProperties
+        //-----------------------------------------------------------------
+
+        // Start recursive call
+        __traverseProperties(root)
+    }
+
+    /**
+     * Creates a scope-object for an evaluation. The scope inherits everything
+     * (repositories, symbols, errors,...) from this instance but has its own
+     * evaluation-state. That allows multiple evaluations to run concurrently
+     * (or nested, e.g. a compiled function called by a callback).
+     *
+     * @private
+     * @param {Boolean} [isAsync=true] - `true` if the callbacks are awaited (see `.resolveAsync()`).
+     * @return {MacroInt} The new scope-object.
+     */
+    _createScope(isAsync = true) {
+        const scope = Object.create(this)
+        scope._async = isAsync
+        scope._propertyPath = this._propertyPath.slice()
+        scope._macroKeyChain = []
+        scope._completeExpression = undefined
+        scope._currentExpression = undefined
+        scope._currentMacroNode = undefined
+        scope._currentModifierNode = undefined
+        scope._isOneMacro = false
+        scope._hasConstant = false
+        scope._rawNode = undefined
+        return scope
+    }
+
+    /**
+     * Compiles the given expression into a function that resolves the
+     * expression. The expression is parsed only once, no matter how often the
+     * function is called.
+     *
+     * The function uses the repositories of the instance or - if provided -
+     * the repositories given to the function (only for that call). Errors are
+     * handled like in `.resolve()`.
+     *
+     * @param {String} expression - String with macros.
+     * @return {function((Object|Function|Array)=): *} Function that returns the resolved expression. Its optional parameter is a single [repository](#repository) or an array of repositories.
+     * @throws {TypeError} if the expression is not a string.
+     * @see resolve
+     * @example
+     * ```js
+     * macroInt = new MacroInt({ name: "World" })
+     * greet = macroInt.compile("Hello ${name}!")
+     * console.log(greet()) // => Hello World!
+     * console.log(greet({ name: "Universe" })) // => Hello Universe!
+     * ```
+     */
+    compile(expression) {
+        if (typeof expression !== "string")
+            throw TypeError("Invalid expression-parameter. Must be a string.")
+
+        const $this = this // needed to access the <this> inside the function
+        const template = this.parse(expression)
+
+        return function (repositories = undefined) {
+            // Every call has its own scope: The instance isn't changed
+            const scope = $this._createScope(false)
+            if (repositories !== undefined) {
+                scope._repositories = []
+                scope.registerRepository(repositories)
+            }
+            // The errors of the call are thrown (like in .resolve())
+            if ($this._throwErrors) scope.errors = []
+            scope._completeExpression = expression
+            const result = scope._evaluateTemplate(template)
+            scope._throwFoundErrors()
+            return result
+        }
     }
 
     /**
@@ -889,7 +3034,9 @@ class MacroInt {
      * or a key-value that's searched the registered repositories.
      *
      * This function is internally used during the iteration, and it's used in
-     * the default-modifier. So it can be used in other modifiers as well.
+     * the default-modifier. So it can be used in other modifiers as well.\
+     * During `.resolveAsync()` the function returns a Promise because the
+     * repository-callbacks are awaited.
      *
      * @param {string|undefined} macroKey - A string which's replacement-value is to be retrieved.
      * @param {boolean} [assumeString=false] - Define whether the macroKey is returned as a it is if the value could not be found in the repositories
@@ -897,14 +3044,117 @@ class MacroInt {
      * @see macroKey
      */
     getValue(macroKey, assumeString = false) {
+        const lazyParams = this._lazyParams
+        if (lazyParams !== undefined && macroKey === lazyParams.text)
+            return this._run(() =>
+                this._getValue(
+                    this._evaluateLazyParams(lazyParams),
+                    assumeString
+                )
+            )
+        return this._run(() => this._getValue(macroKey, assumeString))
+    }
+
+    /**
+     * Evaluates a modifier-parameter like a [macroKey](#macrokey). In contrast
+     * to `.getValue()` the parameter isn't treated as a value of the macro:
+     * A constant parameter doesn't cause an "unused-constant"-error and
+     * doesn't affect the following modifiers.
+     *
+     * Modifiers should evaluate their parameters only if they actually need
+     * the value to avoid unnecessary accesses to the repositories.\
+     * During `.resolveAsync()` the function returns a Promise.
+     *
+     * @param {string|undefined} param - The parameter to evaluate.
+     * @param {boolean} [assumeString=false] - Define whether the param is returned as a it is if the value could not be found in the repositories
+     * @return {*} The value of the parameter.
+     * @see getValue
+     * @example
+     * ```js
+     * MacroInt.registerModifier("ifEmpty", (macroInt, macroValue, params) =>
+     *     macroValue === "" ? macroInt.evaluateParam(params) : macroValue
+     * )
+     * ```
+     */
+    evaluateParam(param, assumeString = false) {
+        const hasConstant = this._hasConstant
+        this._hasConstant = false
+        try {
+            return this.getValue(param, assumeString)
+        } finally {
+            this._hasConstant = hasConstant
+        }
+    }
+
+    /**
+     * Tells the MacroInt that a value (e.g. the value of a `default`-modifier)
+     * isn't needed, without retrieving it. Like `.getValue()` it recognizes
+     * values after a constant value (they can never be used) and adds an
+     * "unused-constant"-error in that case.
+     *
+     * @param {string|undefined} macroKey - The unused [macroKey](#macrokey).
+     * @return {void}
+     * @see getValue
+     */
+    skipValue(macroKey) {
+        if (typeof macroKey !== "string") return
+        if (this._hasConstant)
+            this.addErrorWithCode(
+                "unused-constant",
+                "Unused modifier-value after constant value.",
+                macroKey
+            )
+        if (this._isConstantKey(macroKey)) this._hasConstant = true
+    }
+
+    /**
+     * Checks if the macroKey is a constant: A string-constant, a literal
+     * constant or a property-path-index.
+     *
+     * @private
+     * @param {String} macroKey
+     * @return {Boolean}
+     */
+    _isConstantKey(macroKey) {
+        const charCode = macroKey.charCodeAt(0)
+        return (
+            ((charCode === 34 || charCode === 39 || charCode === 96) &&
+                macroKey.charCodeAt(macroKey.length - 1) === charCode) ||
+            macroKey.startsWith(this._usedSymbols.propertyPathIndicator) ||
+            MacroInt._parseLiteral(macroKey) !== undefined
+        )
+    }
+
+    /**
+     * Implementation of `.getValue()`. The repository-callbacks are called
+     * with `._call()`.
+     *
+     * @private
+     * @param {string|undefined} macroKey - A string which's replacement-value is to be retrieved.
+     * @param {boolean} assumeString - Define whether the macroKey is returned as a it is if the value could not be found in the repositories
+     * @return {*} The value.
+     */
+    _getValue(macroKey, assumeString) {
         if (typeof macroKey !== "string") return macroKey
 
         if (this._hasConstant)
-            this.addError(
+            this.addErrorWithCode(
+                "unused-constant",
                 "Unused modifier-value after constant value.",
                 macroKey
             )
 
+        // Expressions like "port + 1" or "a > b and c"
+        const expression = MacroInt._parseExpression(macroKey)
+        if (expression) {
+            const hasConstant = this._hasConstant
+            try {
+                return this._evaluateExpression(expression)
+            } finally {
+                this._hasConstant = hasConstant
+            }
+        }
+
         const charCode = macroKey.charCodeAt(0)
         // It's faster to have the 3 string separators tested individually
         if (charCode === 96) {
@@ -940,7 +3190,8 @@ class MacroInt {
                 )
                 const pathIndex = Number(completeStr)
                 if (isNaN(pathIndex)) {
-                    this.addError(
+                    this.addErrorWithCode(
+                        "invalid-path-index",
                         "Invalid property-path-index. The index must be a number.",
                         completeStr,
                         macroKey
@@ -957,7 +3208,8 @@ class MacroInt {
                         pathIndex < 0 ? pathLen + pathIndex : pathIndex
                     ]
                 if (result === undefined) {
-                    this.addError(
+                    this.addErrorWithCode(
+                        "invalid-path-index",
                         "Invalid property-path-index." +
                             (pathLen == 0 ? " Path is empty." : ""),
                         completeStr,
@@ -969,22 +3221,39 @@ class MacroInt {
             }
         } // propertyPath
 
+        // Literal constants like numbers, true, false, null and JSON
+        const literal = MacroInt._parseLiteral(macroKey)
+        if (literal) {
+            this._hasConstant = true
+            return literal.value
+        }
+
         // Evaluate with the help of the repositories
-        const splitMacroKey = macroKey.split(".")
+        const keyPath = MacroInt.parseKeyPath(
+            macroKey,
+            this._usedSymbols.escapeChar
+        )
         let result = undefined
         let repository
         for (let i = 0, len = this._repositories.length; i < len; i++) {
             repository = this._repositories[i]
             // Handle depending on the type of repository
             if (typeof repository === "function") {
-                result = repository(macroKey, this)
-            } else if (splitMacroKey.length == 1) {
+                result = this._call(repository, [macroKey, this, keyPath])
+            } else if (keyPath.length == 1 && typeof keyPath[0] === "string") {
                 // No path but only a simple key
-                result = repository[macroKey]
+                result = repository[keyPath[0]]
             } else {
                 // Iterate through the path (like a tree). Starting at the root of the repository
                 result = repository
-                for (const property of splitMacroKey) {
+                for (let property of keyPath) {
+                    // Negative indexes count from the end of arrays/strings
+                    if (
+                        typeof property === "number" &&
+                        property < 0 &&
+                        (Array.isArray(result) || typeof result === "string")
+                    )
+                        property += result.length
                     result = result[property]
                     // No sub-object with the partial pathname
                     if (result == undefined) break
@@ -996,6 +3265,112 @@ class MacroInt {
         return result
     }
 
+    /**
+     * Evaluates the tree of an expression-[macroKey](#macrokey) (see
+     * `._parseExpression()`). Arithmetic operators and "<", ">", "<=", ">="
+     * return `undefined` if an operand is `undefined`.
+     *
+     * @private
+     * @param {Object} node - The root-node of the (sub-)expression.
+     * @return {*} The value of the expression.
+     */
+    _evaluateExpression(node) {
+        const $this = this // needed to access the <this> inside the nested functions
+
+        function __isNumeric(value) {
+            return (
+                typeof value === "number" ||
+                (typeof value === "string" &&
+                    value.trim() !== "" &&
+                    !isNaN(Number(value)))
+            )
+        }
+
+        function __toNumber(value) {
+            if (__isNumeric(value)) return Number(value)
+            $this.addErrorWithCode(
+                "bad-number",
+                `Operand "${value}" of operator "${node.operator}" is no number.`
+            )
+            return undefined
+        }
+
+        if (node.key !== undefined) {
+            // The operands are no values of the macro
+            this._hasConstant = false
+            return this._getValue(node.key, false)
+        }
+
+        if (node.operand) {
+            const value = this._evaluateExpression(node.operand)
+            if (node.operator === "not") return !MacroInt._toBoolean(value)
+            if (value === undefined) return undefined
+            const num = __toNumber(value)
+            return num === undefined ? undefined : -num
+        }
+
+        const left = this._evaluateExpression(node.left)
+        if (node.operator === "??") {
+            // Fallback: The right side is only retrieved if the left is missing
+            const isMissing =
+                left === undefined ||
+                (this._emptyIsMissing && (left === null || left === ""))
+            return isMissing ? this._evaluateExpression(node.right) : left
+        }
+        if (node.operator === "and" || node.operator === "or") {
+            // Short-circuit: The right side is only retrieved if needed
+            const isTrue = MacroInt._toBoolean(left)
+            if (isTrue === (node.operator === "or")) return isTrue
+            return MacroInt._toBoolean(this._evaluateExpression(node.right))
+        }
+        const right = this._evaluateExpression(node.right)
+
+        if (node.operator === "==" || node.operator === "!=") {
+            // Numbers are compared as numbers, everything else as strings
+            const isEqual =
+                left === right ||
+                (__isNumeric(left) && __isNumeric(right)
+                    ? Number(left) === Number(right)
+                    : left != undefined &&
+                      right != undefined &&
+                      "" + left === "" + right)
+            return node.operator === "==" ? isEqual : !isEqual
+        }
+
+        if (left === undefined || right === undefined) return undefined
+        if (["<", ">", "<=", ">="].includes(node.operator)) {
+            const isNumeric = __isNumeric(left) && __isNumeric(right)
+            const a = isNumeric ? Number(left) : "" + left
+            const b = isNumeric ? Number(right) : "" + right
+            switch (node.operator) {
+                case "<":
+                    return a < b
+                case ">":
+                    return a > b
+                case "<=":
+                    return a <= b
+                default:
+                    return a >= b
+            }
+        }
+
+        const a = __toNumber(left)
+        const b = __toNumber(right)
+        if (a === undefined || b === undefined) return undefined
+        switch (node.operator) {
+            case "+":
+                return a + b
+            case "-":
+                return a - b
+            case "*":
+                return a * b
+            case "/":
+                return a / b
+            default:
+                return a % b
+        }
+    }
+
     /**
      * Register one or more (additional) repositories.
      *
@@ -1013,28 +3388,40 @@ class MacroInt {
     }
 
     /**
-     * Register a modifier.
+     * Register a global modifier that's available in all instances. Use
+     * the instance-function `.registerModifier()` or `options.modifiers` (see
+     * [Constructor](#constructor)) to avoid collisions with the modifiers of
+     * other modules.
      *
      * @param {String|String[]} keyWords - A single name or an array of names that can be used as a keyword for the modifier inside of a macro.
      * @param {ModifierCallback} callback - A function that's called if the modifier was found in the macro.
+     * @param {Object} [info=undefined] - Optional metadata of the modifier for `.listModifiers()`:
+     *    @param {String} [info.description] - What the modifier does.
+     *    @param {String} [info.params] - The signature of the parameters (e.g. "[:<default>]").
+     *    @param {String} [info.input] - The accepted type of the macro-value (e.g. "String" or "*").
+     *    @param {String} [info.output] - The type of the result.
+     *    @param {String[]} [info.examples] - Examples of the usage.
+     *    @param {Boolean} [info.args=false] - If `true` the callback gets the parsed parameters as its 4th argument (see ModifierCallback).
+     *    @param {Boolean} [info.lazyParams=false] - If `true` the nested macros in the parameters aren't evaluated before the callback is called (see ModifierCallback).
      * @chainable
      * @see ModifierCallback
      * @return {this} Reference to the MacroInt-class.
      * @throws {TypeError} if the callback is not a function.
-     * @throws {Error} if another modifier has already one of the new keywords registered.
+     * @throws {MacroIntError} if another modifier has already one of the new keywords registered.
      * @example
      * ```js
      * MacroInt.registerModifier(
      *     ["reverse", "-r"],
      *     (macroInt, macroValue, params) => {
      *         return ("" + macroValue).split("").reverse().join("")
-     *     }
+     *     },
+     *     { description: "Reverses the result.", output: "String", examples: ["${name | -r}"] }
      * )
      * const macroInt = new MacroInt({ macro: "Hello" })
      * console.log(macroInt.resolve("${macro | -r}")) // expected: olleH
      * ```
      */
-    static registerModifier(keyWords, callback) {
+    static registerModifier(keyWords, callback, info = undefined) {
         // Force array (use a new variable because parameter-type-definition doesn't fit to the actual usage as a array)
         const words = typeof keyWords == "string" ? [keyWords] : keyWords
 
@@ -1043,15 +3430,34 @@ class MacroInt {
                 "Invalid callback-parameter. Callback must be a function."
             )
 
-        // Test wether one of the new keyWords is already in the registered items
-        words.forEach((keyWord) => {
-            keyWord = keyWord.toLowerCase()
-            if (this._modifiers.hasOwnProperty(keyWord))
-                throw `Error in Modifiers.register("${words.join()}"). The name "${keyWord}" is already registered.`
-
-            // finally register
-            this._modifiers[keyWord] = callback
+        // Test wether one of the new keyWords is already in the registered
+        //  items (or twice in the keyWords) before anything is changed
+        const keys = words.map((keyWord) => keyWord.toLowerCase())
+        keys.forEach((keyWord, index) => {
+            if (
+                this._modifiers.hasOwnProperty(keyWord) ||
+                keys.indexOf(keyWord) !== index
+            )
+                throw new MacroIntError(
+                    "duplicate-modifier",
+                    `Error in Modifiers.register("${words.join()}"). The name "${keyWord}" is already registered.`
+                )
         })
+
+        // Keep the names (with their case) and the metadata for
+        //  .listModifiers(). The instances have their own metadata that
+        //  extends the global metadata of the callback.
+        const infos = this._modifierInfos
+        const modifierInfo = Object.assign(
+            { names: [] },
+            infos.get(callback) || MacroInt._modifierInfos.get(callback),
+            info
+        )
+        modifierInfo.names = modifierInfo.names.concat(words)
+        infos.set(callback, modifierInfo)
+
+        // finally register
+        keys.forEach((keyWord) => (this._modifiers[keyWord] = callback))
         return this
     }
 
@@ -1089,28 +3495,582 @@ class MacroInt {
     }
 
     /**
-     * Checks if the current macro is exactly equal to the complete (last) initial expression.
-     *
-     * Used to determine wether a macro-result can be something other than a string.
+     * Register a modifier only for this instance. The modifier shadows a
+     * global modifier (see `MacroInt.registerModifier()`) with the same name.
+     * Other instances aren't affected.
      *
-     * @return {Boolean} `true' if it's one macro; false otherwise
-     */
-    isOneMacro() {
-        return this._isOneMacro
-    }
-
-    /**
-     * Adds an error to the `errors`-array.
+     * @param {String|String[]} keyWords - A single name or an array of names that can be used as a keyword for the modifier inside of a macro.
+     * @param {ModifierCallback} callback - A function that's called if the modifier was found in the macro.
+     * @param {Object} [info=undefined] - Optional metadata of the modifier (see `MacroInt.registerModifier()`).
+     * @chainable
+     * @see ModifierCallback
+     * @return {this} Reference to the current MacroInt-instance.
+     * @throws {TypeError} if the callback is not a function.
+     * @throws {MacroIntError} if another modifier of this instance has already one of the new keywords registered.
+     * @example
+     * ```js
+     * const macroInt = new MacroInt({ macro: "Hello" })
+     * macroInt.registerModifier("-r", (_, value) => [...value].reverse().join(""))
+     * console.log(macroInt.resolve("${macro | -r}")) // expected: olleH
+     * ```
+     */
+    registerModifier(keyWords, callback, info = undefined) {
+        // The instance-registries are only created if they're needed
+        if (!this._modifiers) {
+            this._modifiers = {}
+            this._modifierInfos = new WeakMap()
+        }
+        // The static function registers in `this._modifiers` and
+        //  `this._modifierInfos`
+        MacroInt.registerModifier.call(this, keyWords, callback, info)
+        return this
+    }
+
+    /**
+     * Remove a modifier that was registered on this instance. Global
+     * modifiers with the same name can be used again.
+     *
+     * @param {String|String[]} keyWords - A keyword or an array of keyWords that was used to register the modifier.
+     * @return {Boolean} `true` if at least one of the keyWords was found and deleted. `false` otherwise.
+     */
+    unregisterModifier(keyWords) {
+        const words = typeof keyWords == "string" ? [keyWords] : keyWords
+        let result = false
+        words.forEach((keyWord) => {
+            keyWord = keyWord.toLowerCase()
+            if (this._modifiers && this._modifiers.hasOwnProperty(keyWord)) {
+                delete this._modifiers[keyWord]
+                result = true
+            }
+        })
+        return result
+    }
+
+    /**
+     * Lists all global modifiers with their aliases and metadata.
+     *
+     * @return {ModifierInfo[]} One entry per modifier in the order of the registration.
+     * @see registerModifier
+     * @example
+     * ```js
+     * info = MacroInt.listModifiers().find((info) => info.names.includes("-tn"))
+     * console.log(info.names, info.params) // => [ 'toNumber', 'toNum', '-tn' ] [:<default>]
+     * console.log(MacroInt.formatModifiers([info]))
+     * ```
+     */
+    static listModifiers() {
+        const modifiers = MacroInt._modifiers
+        return MacroInt._groupModifiers(
+            Object.keys(modifiers).map((key) => [key, modifiers[key]])
+        )
+    }
+
+    /**
+     * Lists the modifiers that can be used by this instance: The modifiers
+     * of the instance and the (allowed) global modifiers that aren't shadowed.
+     *
+     * @return {ModifierInfo[]} One entry per modifier.
+     * @see MacroInt.listModifiers
+     */
+    listModifiers() {
+        return MacroInt._groupModifiers(
+            this._availableModifiers(),
+            (callback) => this._getModifierInfo(callback)
+        )
+    }
+
+    /**
+     * Formats the given modifiers as a help-text: One paragraph per modifier
+     * with its names, parameters, description, types and examples.
+     *
+     * @param {ModifierInfo[]} [modifiers=MacroInt.listModifiers()] - The modifiers to describe.
+     * @return {String} The help-text.
+     */
+    static formatModifiers(modifiers = MacroInt.listModifiers()) {
+        return modifiers
+            .map((info) => {
+                const lines = [info.names.join(" / ") + (info.params || "")]
+                if (info.description) lines.push("    " + info.description)
+                if (info.input || info.output)
+                    lines.push(
+                        `    input: ${info.input || "*"}, output: ${
+                            info.output || "*"
+                        }`
+                    )
+                info.examples.forEach((example) =>
+                    lines.push("    example: " + example)
+                )
+                return lines.join("\n")
+            })
+            .join("\n\n")
+    }
+
+    /**
+     * Groups the registered names by their callbacks.
+     *
+     * @private
+     * @param {Array.<Array>} entries - The [name, callback]-pairs of the registries.
+     * @param {function(ModifierCallback): (Object|undefined)} [getInfo] - Returns the metadata of a callback (the global metadata by default).
+     * @return {ModifierInfo[]}
+     */
+    static _groupModifiers(
+        entries,
+        getInfo = (callback) => MacroInt._modifierInfos.get(callback)
+    ) {
+        const groups = new Map()
+        for (const [key, callback] of entries) {
+            const info = getInfo(callback) || { names: [] }
+            let group = groups.get(callback)
+            if (!group) {
+                group = {
+                    names: [],
+                    description: info.description,
+                    params: info.params,
+                    input: info.input,
+                    output: info.output,
+                    examples: info.examples || [],
+                }
+                groups.set(callback, group)
+            }
+            // Use the name with the case given at the registration
+            group.names.push(
+                info.names.find((name) => name.toLowerCase() === key) || key
+            )
+        }
+        return Array.from(groups.values())
+    }
+
+    /**
+     * Returns the [name, callback]-pairs of all modifiers that can be used by
+     * this instance (see `._getModifier()`).
+     *
+     * @private
+     * @return {Array.<Array>}
+     */
+    _availableModifiers() {
+        const entries = []
+        const modifiers = this._modifiers || {}
+        Object.keys(modifiers).forEach((key) =>
+            entries.push([key, modifiers[key]])
+        )
+        Object.keys(MacroInt._modifiers).forEach((key) => {
+            const callback = MacroInt._modifiers[key]
+            if (this._getModifier(key) === callback)
+                entries.push([key, callback])
+        })
+        return entries
+    }
+
+    /**
+     * Returns the name of the available modifier that's most similar to the
+     * given (unknown) name.
+     *
+     * @private
+     * @param {String} name - The unknown modifier-name.
+     * @return {String|undefined} The most similar name or `undefined` if no name is similar enough.
+     */
+    _suggestModifier(name) {
+        const searchName = name.toLowerCase()
+        // Allow one typo per 3 characters
+        let bestDistance = Math.max(1, Math.floor(searchName.length / 3)) + 1
+        let suggestion
+        for (const info of this.listModifiers()) {
+            for (const candidate of info.names) {
+                const distance = MacroInt._editDistance(
+                    searchName,
+                    candidate.toLowerCase()
+                )
+                if (distance < bestDistance) {
+                    bestDistance = distance
+                    suggestion = candidate
+                }
+            }
+        }
+        return suggestion
+    }
+
+    /**
+     * Calculates the Levenshtein-distance (the number of inserted, deleted or
+     * replaced characters) between two strings.
+     *
+     * @private
+     * @param {String} a
+     * @param {String} b
+     * @return {Number}
+     */
+    static _editDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i)
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i]
+            for (let j = 1; j <= b.length; j++)
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                )
+            previous = current
+        }
+        return previous[b.length]
+    }
+
+    /**
+     * Returns the metadata of a modifier (see `MacroInt.registerModifier()`).
+     * The metadata of the instance is preferred over the global metadata.
+     *
+     * @private
+     * @param {ModifierCallback} callback - The callback of the modifier.
+     * @return {Object} The metadata.
+     */
+    _getModifierInfo(callback) {
+        return (
+            (this._modifierInfos && this._modifierInfos.get(callback)) ||
+            MacroInt._modifierInfos.get(callback) || { names: [] }
+        )
+    }
+
+    /**
+     * Returns the callback of a modifier: The modifiers of the instance
+     * shadow the (allowed) global modifiers.
+     *
+     * @private
+     * @param {String} modifierKey - The lower-case name of the modifier.
+     * @return {ModifierCallback|undefined} The callback or `undefined` if the modifier isn't available.
+     */
+    _getModifier(modifierKey) {
+        const modifiers = this._modifiers
+        if (modifiers && modifiers.hasOwnProperty(modifierKey))
+            return modifiers[modifierKey]
+        if (!MacroInt._modifiers.hasOwnProperty(modifierKey)) return undefined
+        const callback = MacroInt._modifiers[modifierKey]
+        return !this._allowedModifiers ||
+            this._allowedModifiers.includes(callback)
+            ? callback
+            : undefined
+    }
+
+    /**
+     * Splits a key-path (the [macroKey](#macrokey) of a repository-value)
+     * into its segments.
+     *
+     * - Segments are separated by dots: `parent.child.key`
+     * - Brackets contain array-indexes: `servers[0].host`. Negative indexes
+     *   count from the end of arrays/strings: `list[-1]`
+     * - Brackets with a quoted string (" ' \`) contain segments with special
+     *   characters: `flags["com.example.flag"]`
+     * - The `escapeChar` (a backslash by default) escapes the next character:
+     *   `flags.com\.example\.flag`. The instances use their
+     *   [escapeChar](#macrosymbols) (`${flags.com\.example}`). An empty
+     *   `escapeChar` disables escaping.
+     *
+     * Keys that don't match the grammar (e.g. `a[b]`) are split at every dot
+     * like in the previous versions.
+     *
+     * @param {String} macroKey - The key-path to split.
+     * @param {String} [escapeChar] - The character that escapes the next character (a backslash by default).
+     * @return {Array.<String|Number>} The segments: Strings for property-names and Numbers for indexes.
+     * @example
+     * ```js
+     * MacroInt.parseKeyPath('servers[0].tags["a.b"]') // => [ 'servers', 0, 'tags', 'a.b' ]
+     * ```
+     */
+    static parseKeyPath(macroKey, escapeChar = "\\") {
+        // Fast path for simple keys
+        if (
+            !/[.[]/.test(macroKey) &&
+            !(escapeChar && macroKey.includes(escapeChar))
+        )
+            return [macroKey]
+
+        const keyLength = macroKey.length
+        const path = []
+        let segment = ""
+        let afterBracket = false // directly after a "]"
+        for (let i = 0; i < keyLength; i++) {
+            let char = macroKey[i]
+            if (afterBracket && char !== "." && char !== "[")
+                return macroKey.split(".")
+
+            if (char === escapeChar && i + 1 < keyLength) {
+                segment += macroKey[++i]
+            } else if (char === ".") {
+                if (!afterBracket) path.push(segment)
+                segment = ""
+                afterBracket = false
+            } else if (char === "[") {
+                if (segment !== "") path.push(segment)
+                segment = ""
+                const quote = macroKey[i + 1]
+                if (quote === '"' || quote === "'" || quote === "`") {
+                    // Quoted segment: everything up to the closing quote
+                    let quoted = ""
+                    for (i += 2; i < keyLength; i++) {
+                        char = macroKey[i]
+                        if (char === escapeChar && i + 1 < keyLength)
+                            quoted += macroKey[++i]
+                        else if (char === quote) break
+                        else quoted += char
+                    }
+                    if (macroKey[i + 1] !== "]") return macroKey.split(".")
+                    path.push(quoted)
+                    i++
+                } else {
+                    // Index: an integer
+                    const end = macroKey.indexOf("]", i)
+                    const index = macroKey.substring(i + 1, end)
+                    if (end === -1 || !/^-?\d+$/.test(index))
+                        return macroKey.split(".")
+                    path.push(Number(index))
+                    i = end
+                }
+                afterBracket = true
+            } else {
+                segment += char
+            }
+        }
+        if (!afterBracket) path.push(segment)
+        return path
+    }
+
+    /**
+     * Converts a literal [macroKey](#macrokey) into its value: Numbers,
+     * `true`, `false`, `null` and JSON-arrays/-objects.
+     *
+     * @private
+     * @param {String} macroKey - The (trimmed) macroKey.
+     * @return {{value: *}|undefined} The value of the literal or `undefined` if the key isn't a literal.
+     */
+    static _parseLiteral(macroKey) {
+        const charCode = macroKey.charCodeAt(0)
+        if (
+            (charCode >= 48 && charCode <= 57) ||
+            charCode === 45 ||
+            charCode === 46
+        ) {
+            // "0".."9", "-", "."
+            if (/^-?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(macroKey))
+                return { value: Number(macroKey) }
+        } else if (charCode === 91 || charCode === 123) {
+            // "[", "{"
+            try {
+                return { value: JSON.parse(macroKey) }
+            } catch (e) {
+                // no valid JSON => no literal
+            }
+        } else if (macroKey === "true") return { value: true }
+        else if (macroKey === "false") return { value: false }
+        else if (macroKey === "null") return { value: null }
+        return undefined
+    }
+
+    /**
+     * Converts a value into a boolean: The strings "false" and "0" are
+     * `false`. All other values are converted with `Boolean()`. Used by the
+     * `toBoolean`-modifier, too (so it's not `@private`).
+     *
+     * @ignore
+     * @param {*} value
+     * @return {Boolean}
+     */
+    static _toBoolean(value) {
+        if (typeof value === "string")
+            return (
+                value.toLowerCase() !== "false" &&
+                value !== "0" &&
+                Boolean(value)
+            )
+        return Boolean(value)
+    }
+
+    /**
+     * Parses an expression-[macroKey](#macrokey) like `port + 1`,
+     * `a > 1 and not b` or `a ?? b` into a tree. The operands are macroKeys
+     * themselves. Operators are only found at the begin of a token (after a
+     * whitespace, a parenthesis or another operator). Operator-characters
+     * inside of an operand are part of the key (`my-key - 1`, `secret/db`).
+     *
+     * @private
+     * @param {String} macroKey - The (trimmed) macroKey.
+     * @return {Object|undefined} The root-node of the expression or `undefined` if the key isn't an expression.
+     */
+    static _parseExpression(macroKey) {
+        const operatorChars = /[\s()+*/%<>=!&?]/
+        if (!operatorChars.test(macroKey) || MacroInt._parseLiteral(macroKey))
+            return undefined
+
+        // Split into operators, parentheses and operands
+        const tokens = []
+        const keyLength = macroKey.length
+        for (let i = 0; i < keyLength; ) {
+            const char = macroKey[i]
+            if (/\s/.test(char)) {
+                i++
+                continue
+            }
+            const operator = /^(\?\?|==|!=|<=|>=|&&|[()<>+\-*/%!])/.exec(
+                macroKey.substring(i, i + 2)
+            )
+            if (operator) {
+                tokens.push({ operator: operator[1] })
+                i += operator[1].length
+                continue
+            }
+            // An operand directly followed by another operand (e.g. "a(b")
+            const lastToken = tokens[tokens.length - 1]
+            if (lastToken && lastToken.operator === ")") return undefined
+            let end = i
+            if (char === '"' || char === "'" || char === "`") {
+                // string-constant
+                for (end++; end < keyLength && macroKey[end] !== char; end++)
+                    if (macroKey[end] === "\\") end++
+                if (++end > keyLength) return undefined
+            } else {
+                // key: up to the next whitespace or parenthesis. Everything
+                //  inside of brackets belongs to the key.
+                let depth = 0
+                for (; end < keyLength; end++) {
+                    const keyChar = macroKey[end]
+                    if (keyChar === "[" || keyChar === "{") depth++
+                    else if ((keyChar === "]" || keyChar === "}") && depth)
+                        depth--
+                    else if (!depth && /[\s()]/.test(keyChar)) break
+                }
+                if (end === i) return undefined // e.g. a single "="
+            }
+            const key = macroKey.substring(i, end)
+            tokens.push(
+                key === "and" || key === "or" || key === "not"
+                    ? { operator: key }
+                    : { key }
+            )
+            i = end
+        }
+
+        // Binary operators ordered by precedence (lowest first)
+        const levels = [
+            ["??"],
+            ["or"],
+            ["and", "&&"],
+            ["==", "!="],
+            ["<", ">", "<=", ">="],
+            ["+", "-"],
+            ["*", "/", "%"],
+        ]
+        let pos = 0
+
+        function __binary(level) {
+            if (level === levels.length) return __unary()
+            let left = __binary(level + 1)
+            while (
+                left &&
+                pos < tokens.length &&
+                levels[level].includes(tokens[pos].operator)
+            ) {
+                const operator = tokens[pos++].operator
+                const right = __binary(level + 1)
+                if (!right) return undefined
+                left = {
+                    operator: operator === "&&" ? "and" : operator,
+                    left,
+                    right,
+                }
+            }
+            return left
+        }
+
+        function __unary() {
+            const token = tokens[pos++]
+            if (!token) return undefined
+            if (token.key !== undefined) return { key: token.key }
+            if (token.operator === "(") {
+                const node = __binary(0)
+                const closing = tokens[pos++]
+                return node && closing && closing.operator === ")"
+                    ? node
+                    : undefined
+            }
+            if (["-", "!", "not"].includes(token.operator)) {
+                const operand = __unary()
+                return (
+                    operand && {
+                        operator: token.operator === "-" ? "-" : "not",
+                        operand,
+                    }
+                )
+            }
+            return undefined
+        }
+
+        const root = __binary(0)
+        // A single operand (e.g. "my key") isn't an expression
+        if (!root || pos < tokens.length || root.key !== undefined)
+            return undefined
+        return root
+    }
+
+    /**
+     * Excludes the current macro from the escaping of `options.autoEscape`
+     * (used by the `raw`- and the escaping-modifiers, so it's not
+     * `@private`). Only macros of the resolved expression are marked (not
+     * the ones in nested macro-values).
+     *
+     * @ignore
+     * @param {function(String): String} [escape] - The escape-function of an escaping-modifier: The macro is only marked if it's the function of `options.autoEscape` (already escaped for the context).
+     * @return {void}
+     */
+    _markRaw(escape = undefined) {
+        if (
+            this._macroKeyChain.length === 0 &&
+            (escape === undefined || escape === this._autoEscape)
+        )
+            this._rawNode = this._currentMacroNode
+    }
+
+    /**
+     * Checks if the current macro is exactly equal to the complete (last) initial expression.
+     *
+     * Used to determine wether a macro-result can be something other than a string.
+     *
+     * @return {Boolean} `true' if it's one macro; false otherwise
+     */
+    isOneMacro() {
+        return this._isOneMacro
+    }
+
+    /**
+     * Adds an error with the code "custom" to the `errors`-array.
      *
      * @param  {...string} msgs - All parameters are added as a formatted string to the errors-array.
      * @return {void}
+     * @see addErrorWithCode
      */
     addError(...msgs) {
+        this.addErrorWithCode("custom", ...msgs)
+    }
+
+    /**
+     * Adds a [MacroIntError](#macrointerror) with the given code to the
+     * `errors`-array. The location of the current macro is added to the error.
+     *
+     * @param {String} code - The error-code (see [Error-Handling](#error-handling)).
+     * @param  {...string} msgs - All parameters are added as a formatted string to the message of the error.
+     * @return {void}
+     * @example
+     * ```js
+     * MacroInt.registerModifier("port", (macroInt, macroValue) => {
+     *     if (!(macroValue > 0 && macroValue < 65536))
+     *         macroInt.addErrorWithCode("bad-port", `Invalid port ${macroValue}.`)
+     *     return macroValue
+     * })
+     * ```
+     */
+    addErrorWithCode(code, ...msgs) {
+        const location = this._getErrorLocation()
         // Automatically adds the currently executed macro-expression and the complete
-        // initial expression.
+        // initial expression. Multi-line expressions are replaced by a snippet
+        // of the line that contains the macro.
         if (this._currentExpression !== undefined)
             msgs.push(this._currentExpression)
-        if (this._completeExpression !== undefined)
+        if (this._completeExpression !== undefined && !location.snippet)
             msgs.push(this._completeExpression)
 
         const filtered = []
@@ -1121,7 +4081,89 @@ class MacroInt {
         // Add the property-path if it's not empty
         if (this._propertyPath.length)
             result += `  (@property: ${this._propertyPath.join(".")})`
-        this.errors.push(result)
+        if (location.snippet)
+            result += ` at line ${location.line}, column ${location.column}:\n${location.snippet}`
+        this.errors.push(
+            new MacroIntError(code, result, {
+                macro: this._currentExpression,
+                expression: this._completeExpression,
+                path: this._propertyPath.slice(),
+                offset: location.offset,
+                line: location.line,
+                column: location.column,
+            })
+        )
+    }
+
+    /**
+     * Calculates the location of the current macro (and modifier) in the
+     * complete expression.
+     *
+     * The snippet is only built for multi-line expressions. It contains the
+     * line of the macro and a line with carets under the macro (`~`) and the
+     * current modifier (`^`):
+     * ```
+     *    3 | port: ${port | toNumber}
+     *      |       ~~~~~~~~~^^^^^^^^~
+     * ```
+     *
+     * @private
+     * @return {ErrorLocation}
+     */
+    _getErrorLocation() {
+        const macro = this._currentMacroNode
+        const expression = this._completeExpression
+        if (!macro || typeof expression !== "string") return {}
+
+        const lineStart = expression.lastIndexOf("\n", macro.start - 1) + 1
+        const line = expression.substring(0, lineStart).split("\n").length
+        const column = macro.start - lineStart + 1
+        /** @type {ErrorLocation} */
+        const result = { offset: macro.start, line, column }
+        if (expression.indexOf("\n") === -1) return result
+
+        let lineEnd = expression.indexOf("\n", lineStart)
+        if (lineEnd === -1) lineEnd = expression.length
+        const lineText = expression.substring(lineStart, lineEnd)
+
+        // Build the caret-line (only the part of the macro in this line)
+        const carets = lineText
+            .substring(0, macro.start - lineStart)
+            .replace(/[^\t]/g, " ")
+            .split("")
+        for (let i = macro.start; i < Math.min(macro.end, lineEnd); i++)
+            carets.push("~")
+        const modifier = this._currentModifierNode
+        if (modifier) {
+            // Mark the modifier without the surrounding spaces
+            const text = expression.substring(modifier.start, modifier.end)
+            const start = modifier.start + text.length - text.trimStart().length
+            const end = modifier.start + text.trimEnd().length
+            for (let i = start; i < Math.min(end, lineEnd); i++)
+                carets[i - lineStart] = "^"
+        }
+
+        const gutter = String(line)
+        result.snippet =
+            `  ${gutter} | ${lineText}\n` +
+            `  ${" ".repeat(gutter.length)} | ${carets.join("")}`
+        return result
+    }
+
+    /**
+     * Throws a [MacroIntAggregateError](#macrointaggregateerror) with all
+     * found errors if there are errors and `._throwErrors` is `true`.
+     *
+     * @private
+     * @throws {MacroIntAggregateError}
+     * @return {void}
+     */
+    _throwFoundErrors() {
+        if (this._throwErrors && this.errors.length)
+            throw new MacroIntAggregateError(
+                this.errors.slice(),
+                this._formatErrors("\n  ")
+            )
     }
 
     /**
@@ -1140,7 +4182,14 @@ class MacroInt {
             : (this.errors.length === 1
                   ? "Error: "
                   : `Errors (${this.errors.length}):` + lineOffset + "  ") +
-                  this.errors.join(lineOffset + "  ")
+                  this.errors
+                      .map((error) =>
+                          // Indent the lines of multi-line messages (snippets)
+                          String(error)
+                              .split("\n")
+                              .join(lineOffset + "    ")
+                      )
+                      .join(lineOffset + "  ")
     }
 
     /**
@@ -1166,49 +4215,154 @@ class MacroInt {
 // ----------------------------------------------------------------------------
 // ----------------------------------------------------------------------------
 // register the default-modifiers available for all macroInt-instances
-MacroInt.registerModifier(["mandatory", "-m"], (macroInt, macroValue) => {
-    // The `mandatory-modifier` checks wether the macro-result is `undefined`.
-    //  If it is `undefined` an error is added to the `macroInt.errors`.
-    if (macroValue === undefined)
-        macroInt.addError(
-            "The result of the mandatory expression is undefined."
-        )
-    return macroValue
-})
-
-MacroInt.registerModifier(["default", "-d"], (macroInt, macroValue, params) => {
-    // Allows to define a default-value if the macro-result is undefined.
+MacroInt.registerModifier(
+    ["mandatory", "-m"],
+    (macroInt, macroValue, params) => {
+        // The `mandatory-modifier` checks wether the macro-result is `undefined`.
+        //  If it is `undefined` an error is added to the `macroInt.errors`.
+        function __addError(message) {
+            macroInt.addErrorWithCode(
+                "undefined-mandatory",
+                "The result of the mandatory expression is undefined" +
+                    (message ? `: ${message}` : ".")
+            )
+            return macroValue
+        }
 
-    // Call "getValue" in any case to recognize multiple constant values/defaults
-    const defValue = macroInt.getValue(params, false)
-    if (defValue === undefined)
-        macroInt.addError(`The default-value "${params}" is undefined.`)
-    if (macroValue === undefined) macroValue = defValue
-    return macroValue
-})
+        if (macroValue !== undefined) return macroValue
+        // The optional message is only retrieved if it's needed
+        const message = params ? macroInt.evaluateParam(params, true) : ""
+        return message instanceof Promise
+            ? message.then(__addError)
+            : __addError(message)
+    },
+    {
+        description:
+            "Adds an error if the macro-result is `undefined`. The optional message is added to the error.",
+        params: "[:<message>]",
+        input: "*",
+        output: "*",
+        examples: [
+            "${token | mandatory}",
+            "${token | -m:'Please set the TOKEN'}",
+        ],
+        lazyParams: true,
+    }
+)
 
-MacroInt.registerModifier(["upper", "-u"], (_, macroValue) => {
-    // "Converts the macro-result to upper-case if it's a string."
-    if (typeof macroValue === "string") macroValue = macroValue.toUpperCase()
-    return macroValue
-})
+MacroInt.registerModifier(
+    ["default", "-d"],
+    (macroInt, macroValue, params) => {
+        // Allows to define a default-value if the macro-result is undefined.
+        function __useDefault(defValue) {
+            if (defValue === undefined)
+                macroInt.addErrorWithCode(
+                    "undefined-default",
+                    `The default-value "${params}" is undefined.`
+                )
+            return defValue
+        }
 
-MacroInt.registerModifier(["lower", "-l"], (_, macroValue) => {
-    // Converts the macro-result to lower-case if it's a string.
-    if (typeof macroValue === "string") macroValue = macroValue.toLowerCase()
-    return macroValue
-})
+        // The default-value is only retrieved if it's needed. Otherwise it's
+        //  skipped but multiple constant values/defaults are still recognized.
+        if (macroValue !== undefined) {
+            macroInt.skipValue(params)
+            return macroValue
+        }
+        const defValue = macroInt.getValue(params, false)
+        // getValue returns a Promise during resolveAsync()
+        return defValue instanceof Promise
+            ? defValue.then(__useDefault)
+            : __useDefault(defValue)
+    },
+    {
+        description:
+            "Uses the value of the <macroKey> if the macro-result is `undefined`.",
+        params: ":<macroKey>",
+        input: "*",
+        output: "*",
+        examples: ["${port | default: 8080}", "${name | -d:'unknown'}"],
+        lazyParams: true,
+    }
+)
 
-MacroInt.registerModifier(["emptyArray", "-ea"], (macroInt, macroValue) => {
-    // Returns an empty array if the macro-result is undefined. Otherwise it returns an array with the macro-result as it's only entry.
-    if (macroInt.isOneMacro())
-        return macroValue === undefined ? [] : [macroValue]
-    else
-        macroInt.addError(
-            "'emptyArray'-Modifier can only be used if the whole expression is a macro."
+MacroInt.registerModifier(
+    ["alternative", "-alt"],
+    (macroInt, macroValue, params) => {
+        // Like "${VAR:+alternative}" in shells: The alternative-value is only
+        //  used if the macro-result is set.
+        if (
+            macroValue === undefined ||
+            macroValue === null ||
+            macroValue === ""
         )
-    return macroValue
-})
+            return ""
+        return macroInt.evaluateParam(params)
+    },
+    {
+        description:
+            'Returns the value of the <macroKey> if the macro-result is set (not `undefined`, `null` or ""). Otherwise an empty string.',
+        params: ":<macroKey>",
+        input: "*",
+        output: "*",
+        examples: ["${debug | alternative: '--verbose'}"],
+        lazyParams: true,
+    }
+)
+
+MacroInt.registerModifier(
+    ["upper", "-u"],
+    (_, macroValue) => {
+        // "Converts the macro-result to upper-case if it's a string."
+        if (typeof macroValue === "string")
+            macroValue = macroValue.toUpperCase()
+        return macroValue
+    },
+    {
+        description: "Converts a string-result to upper-case.",
+        input: "String",
+        output: "String",
+        examples: ["${name | upper}"],
+    }
+)
+
+MacroInt.registerModifier(
+    ["lower", "-l"],
+    (_, macroValue) => {
+        // Converts the macro-result to lower-case if it's a string.
+        if (typeof macroValue === "string")
+            macroValue = macroValue.toLowerCase()
+        return macroValue
+    },
+    {
+        description: "Converts a string-result to lower-case.",
+        input: "String",
+        output: "String",
+        examples: ["${name | lower}"],
+    }
+)
+
+MacroInt.registerModifier(
+    ["emptyArray", "-ea"],
+    (macroInt, macroValue) => {
+        // Returns an empty array if the macro-result is undefined. Otherwise it returns an array with the macro-result as it's only entry.
+        if (macroInt.isOneMacro())
+            return macroValue === undefined ? [] : [macroValue]
+        else
+            macroInt.addErrorWithCode(
+                "invalid-usage",
+                "'emptyArray'-Modifier can only be used if the whole expression is a macro."
+            )
+        return macroValue
+    },
+    {
+        description:
+            "Returns an empty array if the macro-result is `undefined`. Otherwise an array with the macro-result as its only entry. Only valid if the expression is one macro.",
+        input: "*",
+        output: "Array",
+        examples: ["${hosts | emptyArray}"],
+    }
+)
 
 MacroInt.registerModifier(
     ["toNumber", "toNum", "-tn"],
@@ -1224,25 +4378,788 @@ MacroInt.registerModifier(
                 }
 
                 if (isNaN(num)) {
-                    macroInt.addError(errText + " to a number.")
+                    macroInt.addErrorWithCode(
+                        "bad-number",
+                        errText + " to a number."
+                    )
                     return 0
                 }
             }
             return num
         }
         return macroValue
+    },
+    {
+        description:
+            "Converts the macro-result to a number. The <default> is used if the result is no number.",
+        params: "[:<default>]",
+        input: "*",
+        output: "Number",
+        examples: ["${port | toNumber}", "${port | -tn:8080}"],
+    }
+)
+
+MacroInt.registerModifier(
+    ["toBoolean", "toBool", "-tb"],
+    (_, macroValue) => {
+        // Converts the macro-result to a boolean.
+        return MacroInt._toBoolean(macroValue)
+    },
+    {
+        description:
+            'Converts the macro-result to a boolean. The strings "false" and "0" are `false`.',
+        input: "*",
+        output: "Boolean",
+        examples: ["${debug | toBool}"],
+    }
+)
+
+/**
+ * Splits the parameters of the `if`-modifier into the condition, the then-
+ * and the else-key (all trimmed). "?" and ":" inside of strings and regular
+ * expressions are ignored.
+ *
+ * @private
+ * @param {String|undefined} params - The parameters of the modifier.
+ * @return {String[]} The condition and the (optional) keys.
+ */
+function splitIfParams(params) {
+    const parts = [""]
+    let quote = ""
+    let lastChar = ""
+    for (const char of params || "") {
+        if (quote) {
+            if (char === quote && lastChar !== "\\") quote = ""
+        } else if (char === '"' || char === "'" || char === "`") {
+            quote = char
+        } else if (
+            char === "/" &&
+            parts.length === 1 &&
+            /~\s*$/.test(parts[0])
+        ) {
+            quote = char // begin of a regular expression
+        } else if (
+            (char === "?" && parts.length === 1) ||
+            (char === ":" && parts.length === 2)
+        ) {
+            parts.push("")
+            lastChar = char
+            continue
+        }
+        parts[parts.length - 1] += char
+        lastChar = char
+    }
+    return parts.map((part) => part.trim())
+}
+
+MacroInt.registerModifier(
+    ["if", "-if"],
+    (macroInt, macroValue, params) => {
+        // Returns the value of one of two macroKeys depending on a condition:
+        //  "<condition> ? <macroKey> [: <macroKey>]"
+
+        // Calls `fn` with the value or - during resolveAsync() - the awaited value
+        function __then(value, fn) {
+            return value instanceof Promise ? value.then(fn) : fn(value)
+        }
+
+        function __error(message) {
+            macroInt.addErrorWithCode("invalid-condition", message)
+            return macroValue
+        }
+
+        const parts = splitIfParams(params)
+        const [condition, thenKey, elseKey] = parts
+        if (parts.length < 2 || !condition || !thenKey)
+            return __error(
+                `Invalid if-modifier "${params}". Expected "<condition> ? <macroKey> [: <macroKey>]".`
+            )
+
+        function __pick(isTrue) {
+            if (isTrue) return macroInt.evaluateParam(thenKey)
+            return elseKey ? macroInt.evaluateParam(elseKey) : undefined
+        }
+
+        function __equals(a, b) {
+            return (
+                a === b ||
+                (a != undefined && b != undefined && "" + a === "" + b)
+            )
+        }
+
+        if (condition === "exists") return __pick(macroValue !== undefined)
+        if (condition === "!exists") return __pick(macroValue === undefined)
+
+        const operator = /^(==|!=|=~|!~|~)?\s*(.*)$/s.exec(condition)
+        const operand = operator[2]
+        switch (operator[1]) {
+            case "~":
+            case "=~":
+            case "!~": {
+                const isMatch = operator[1] !== "!~"
+                const regex = /^\/(.*)\/([a-z]*)$/s.exec(operand)
+                return __then(
+                    regex ? regex[1] : macroInt.evaluateParam(operand, true),
+                    (pattern) => {
+                        try {
+                            const matches =
+                                macroValue !== undefined &&
+                                new RegExp(pattern, regex ? regex[2] : "").test(
+                                    "" + macroValue
+                                )
+                            return __pick(matches === isMatch)
+                        } catch (e) {
+                            return __error(
+                                `Invalid regular expression "${operand}" in if-modifier.`
+                            )
+                        }
+                    }
+                )
+            }
+            case "!=":
+                return __then(macroInt.evaluateParam(operand, true), (value) =>
+                    __pick(!__equals(macroValue, value))
+                )
+            default:
+                return __then(macroInt.evaluateParam(operand, true), (value) =>
+                    __pick(__equals(macroValue, value))
+                )
+        }
+    },
+    {
+        description:
+            "Returns the value of the first <macroKey> if the macro-result matches the <condition>. Otherwise the value of the optional second <macroKey>.",
+        params: ":<condition> ? <macroKey> [: <macroKey>]",
+        input: "*",
+        output: "*",
+        examples: [
+            "${env | if: prod ? db.prod : db.dev}",
+            "${env | if: ~ /^dev/ ? 'debug' : 'info'}",
+        ],
+    }
+)
+
+/******************************************************************************
+ * String-modifiers
+ *****************************************************************************/
+
+/**
+ * Registers a modifier of the string- and encoding-modifier packs. The callback
+ * gets the macro-value converted to a string (plain objects as JSON) and the
+ * parameters as typed values (during `.resolveAsync()` they are awaited).
+ * `undefined` and `null` are returned unchanged. The callback is called for
+ * every element of an array.
+ *
+ * @private
+ * @param {String[]} keyWords - The names of the modifier.
+ * @param {function(*, Array.<*>, MacroInt): *} callback - Converts the string.
+ * @param {Object} info - The metadata of the modifier.
+ * @param {Boolean} [rawValue=false] - If `true` the macro-value (except `undefined`) is passed to the callback as it is.
+ * @return {void}
+ */
+function registerStringModifier(keyWords, callback, info, rawValue = false) {
+    function __convert(macroInt, value, args) {
+        if (value === undefined) return value
+        if (rawValue) return callback(value, args, macroInt)
+        if (value === null) return value
+        if (Array.isArray(value))
+            return value.map((item) => __convert(macroInt, item, args))
+        return callback(toText(value), args, macroInt)
+    }
+
+    MacroInt.registerModifier(
+        keyWords,
+        (macroInt, macroValue, params, args) => {
+            // The keys of the parameters are Promises during resolveAsync()
+            const values = Array.from(args)
+            return values.some((value) => value instanceof Promise)
+                ? Promise.all(values).then((resolved) =>
+                      __convert(macroInt, macroValue, resolved)
+                  )
+                : __convert(macroInt, macroValue, values)
+        },
+        Object.assign({ input: "String", output: "String" }, info, {
+            args: true,
+        })
+    )
+}
+
+/**
+ * Registers a string-modifier that escapes the macro-result with the
+ * `escape`-function. The result isn't escaped again by `options.autoEscape`
+ * if it uses the same function (see `._markRaw()`).
+ *
+ * @private
+ * @param {String[]} keyWords - The names of the modifier.
+ * @param {function(String): String} escape - The escape-function.
+ * @param {Object} info - The metadata of the modifier.
+ * @return {void}
+ */
+function registerEscapeModifier(keyWords, escape, info) {
+    registerStringModifier(
+        keyWords,
+        (value, params, macroInt) => {
+            macroInt._markRaw(escape)
+            return escape(value)
+        },
+        info
+    )
+}
+
+/**
+ * Converts a macro-value to a string. Plain objects are converted to JSON,
+ * all other values with `String()`.
+ *
+ * @private
+ * @param {*} value
+ * @return {String}
+ */
+function toText(value) {
+    if (typeof value !== "object" || value === null) return "" + value
+    const proto = Object.getPrototypeOf(value)
+    return proto === Object.prototype || proto === null
+        ? JSON.stringify(value)
+        : "" + value
+}
+
+/**
+ * Checks a numeric parameter of a string-modifier. Adds an "invalid-param"-error
+ * if the parameter isn't an integer (or a negative one if `allowNegative` is
+ * `false`).
+ *
+ * @private
+ * @param {MacroInt} macroInt - The current MacroInt.
+ * @param {String} modifier - The name of the modifier (for the error-message).
+ * @param {String} name - The name of the parameter (for the error-message).
+ * @param {*} value - The parameter.
+ * @param {Boolean} [allowNegative=false] - Defines if negative values are valid.
+ * @return {Number|undefined} The number or `undefined` if the parameter is invalid.
+ */
+function integerParam(macroInt, modifier, name, value, allowNegative = false) {
+    const num =
+        typeof value === "string" && value.trim() ? Number(value) : value
+    if (Number.isInteger(num) && (allowNegative || num >= 0)) return num
+    macroInt.addErrorWithCode(
+        "invalid-param",
+        `modifier ${modifier}: The ${name} "${value}" must be a${
+            allowNegative ? "n" : " non-negative"
+        } integer.`
+    )
+    return undefined
+}
+
+/**
+ * Checks that the result of a string-modifier isn't longer than
+ * `options.maxLength`. Adds an "invalid-param"-error otherwise.
+ *
+ * @private
+ * @param {MacroInt} macroInt - The current MacroInt.
+ * @param {String} modifier - The name of the modifier (for the error-message).
+ * @param {Number} length - The length of the result.
+ * @return {Boolean} `true` if the length is valid.
+ */
+function isValidLength(macroInt, modifier, length) {
+    if (length <= macroInt._maxLength) return true
+    macroInt.addErrorWithCode(
+        "invalid-param",
+        `modifier ${modifier}: The result would have ${length} characters. The maximum is ${macroInt._maxLength} (see options.maxLength).`
+    )
+    return false
+}
+
+/**
+ * Splits a string into words for the case-conversions: At every character
+ * that's no letter or digit and between a lower- and an upper-case letter
+ * ("myHTTPServer" => ["my", "HTTP", "Server"]). Non-ASCII letters (e.g.
+ * "ä", "é") are letters, too.
+ *
+ * @private
+ * @param {String} value
+ * @return {String[]}
+ */
+function splitWords(value) {
+    return value
+        .replace(/([\p{Ll}\p{N}])(\p{Lu})/gu, "$1 $2")
+        .replace(/(\p{Lu}+)(\p{Lu}\p{Ll})/gu, "$1 $2")
+        .split(/[^\p{L}\p{M}\p{N}]+/u)
+        .filter((word) => word !== "")
+}
+
+registerStringModifier(["trim", "-t"], (value) => value.trim(), {
+    description: "Removes the whitespace at the begin and the end.",
+    examples: ["${name | trim}"],
+})
+
+registerStringModifier(
+    ["replace", "-re"],
+    (value, [search, replacement = ""], macroInt) => {
+        if (search === undefined || search === "") {
+            macroInt.addErrorWithCode(
+                "invalid-param",
+                "modifier replace: The search-value is missing."
+            )
+            return value
+        }
+        return value.split("" + search).join("" + replacement)
+    },
+    {
+        description: "Replaces all occurrences of the <search>-text.",
+        params: ":<search>[, <replacement>]",
+        examples: ["${path | replace: '\\\\', '/'}"],
+    }
+)
+
+registerStringModifier(
+    ["replaceRegex", "-rx"],
+    (value, [pattern, replacement = "", flags = "g"], macroInt) => {
+        if (pattern === undefined || pattern === "") {
+            macroInt.addErrorWithCode(
+                "invalid-param",
+                "modifier replaceRegex: The pattern is missing."
+            )
+            return value
+        }
+        let regex
+        try {
+            regex = new RegExp("" + pattern, "" + flags)
+        } catch (e) {
+            macroInt.addErrorWithCode(
+                "invalid-param",
+                `modifier replaceRegex: Invalid regular expression "/${pattern}/${flags}".`
+            )
+            return value
+        }
+        return value.replace(regex, "" + replacement)
+    },
+    {
+        description:
+            'Replaces the matches of the regular expression <pattern> (`$1`,... insert the groups). The <flags> are "g" (= all matches) by default.',
+        params: ":<pattern>[, <replacement>[, <flags>]]",
+        examples: [
+            "${version | -rx:'(\\\\d+)\\\\.(\\\\d+)', '$2.$1'}",
+            "${name | replaceRegex: '[^a-z]', '_', 'gi'}",
+        ],
+    }
+)
+
+registerStringModifier(
+    ["substring", "-ss"],
+    (value, [start, end], macroInt) => {
+        start = integerParam(macroInt, "substring", "start", start, true)
+        end =
+            end === undefined
+                ? value.length
+                : integerParam(macroInt, "substring", "end", end, true)
+        if (start === undefined || end === undefined) return value
+        return value.slice(start, end)
+    },
+    {
+        description:
+            "Returns the part from <start> up to (excluding) <end>. Negative values count from the end.",
+        params: ":<start>[, <end>]",
+        examples: ["${sha | substring: 0, 7}", "${file | -ss:-3}"],
+    }
+)
+
+registerStringModifier(
+    ["padStart", "-ps"],
+    (value, [length, fill = " "], macroInt) => {
+        length = integerParam(macroInt, "padStart", "length", length)
+        return length === undefined ||
+            !isValidLength(macroInt, "padStart", length)
+            ? value
+            : value.padStart(length, "" + fill)
+    },
+    {
+        description:
+            "Adds the <fill>-string (default: space) at the begin until the result has the <length>.",
+        params: ":<length>[, <fill>]",
+        examples: ["${id | padStart: 6, 0}"],
+    }
+)
+
+registerStringModifier(
+    ["padEnd", "-pe"],
+    (value, [length, fill = " "], macroInt) => {
+        length = integerParam(macroInt, "padEnd", "length", length)
+        return length === undefined ||
+            !isValidLength(macroInt, "padEnd", length)
+            ? value
+            : value.padEnd(length, "" + fill)
+    },
+    {
+        description:
+            "Adds the <fill>-string (default: space) at the end until the result has the <length>.",
+        params: ":<length>[, <fill>]",
+        examples: ["${name | padEnd: 20, '.'}"],
+    }
+)
+
+registerStringModifier(
+    ["prefix", "-pf"],
+    (value, [text = ""]) => (value === "" ? value : text + value),
+    {
+        description:
+            "Adds the <text> at the begin if the macro-result isn't empty.",
+        params: ":<text>",
+        examples: ["${host}${port | prefix: ':'}"],
+    }
+)
+
+registerStringModifier(
+    ["suffix", "-sf"],
+    (value, [text = ""]) => (value === "" ? value : value + text),
+    {
+        description:
+            "Adds the <text> at the end if the macro-result isn't empty.",
+        params: ":<text>",
+        examples: ["${dir | suffix: '/'}file"],
+    }
+)
+
+registerStringModifier(
+    ["split", "-sp"],
+    (value, [separator = ","]) => value.split("" + separator),
+    {
+        description:
+            'Splits the macro-result at every <separator> (default: ",") into an array.',
+        params: "[:<separator>]",
+        output: "Array",
+        examples: ["${HOSTS | split | trim}"],
+    }
+)
+
+registerStringModifier(
+    ["join", "-j"],
+    (value, [separator = ","]) =>
+        Array.isArray(value) ? value.join("" + separator) : value,
+    {
+        description:
+            'Joins the elements of an array with the <separator> (default: ","). Other values are returned unchanged.',
+        params: "[:<separator>]",
+        input: "Array",
+        examples: ["${hosts | join: ' '}"],
+    },
+    true
+)
+
+registerStringModifier(
+    ["capitalize", "-cap"],
+    (value) => value.charAt(0).toUpperCase() + value.slice(1),
+    {
+        description: "Converts the first character to upper-case.",
+        examples: ["${name | capitalize}"],
+    }
+)
+
+registerStringModifier(
+    ["camelCase", "-cc"],
+    (value) =>
+        splitWords(value)
+            .map((word, index) =>
+                index === 0
+                    ? word.toLowerCase()
+                    : word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()
+            )
+            .join(""),
+    {
+        description: 'Converts the words to camel-case ("my-app" => "myApp").',
+        examples: ["${name | camelCase}"],
+    }
+)
+
+registerStringModifier(
+    ["kebabCase", "-kc"],
+    (value) => splitWords(value).join("-").toLowerCase(),
+    {
+        description: 'Converts the words to kebab-case ("myApp" => "my-app").',
+        examples: ["${name | kebabCase}"],
     }
 )
 
-MacroInt.registerModifier(["toBoolean", "toBool", "-tb"], (_, macroValue) => {
-    // Converts the macro-result to a boolean.
-    if (typeof macroValue === "string")
+registerStringModifier(
+    ["snakeCase", "-sc"],
+    (value) => splitWords(value).join("_").toLowerCase(),
+    {
+        description: 'Converts the words to snake-case ("myApp" => "my_app").',
+        examples: ["${name | snakeCase | upper}"],
+    }
+)
+
+registerStringModifier(
+    ["truncate", "-tr"],
+    (value, [length, ellipsis = "..."], macroInt) => {
+        length = integerParam(macroInt, "truncate", "length", length)
+        if (length === undefined || value.length <= length) return value
+        ellipsis = "" + ellipsis
         return (
-            macroValue.toLowerCase() !== "false" &&
-            macroValue !== "0" &&
-            Boolean(macroValue)
+            value.slice(0, Math.max(0, length - ellipsis.length)) +
+            ellipsis.slice(0, length)
         )
-    else return Boolean(macroValue)
+    },
+    {
+        description:
+            'Shortens the macro-result to the <length> (incl. the <ellipsis>, default: "...").',
+        params: ":<length>[, <ellipsis>]",
+        examples: ["${title | truncate: 20}", "${title | -tr:20, ''}"],
+    }
+)
+
+registerStringModifier(
+    ["repeat", "-rp"],
+    (value, [count, separator = ""], macroInt) => {
+        count = integerParam(macroInt, "repeat", "count", count)
+        if (count === undefined) return value
+        separator = "" + separator
+        const length =
+            count * value.length + Math.max(count - 1, 0) * separator.length
+        if (!isValidLength(macroInt, "repeat", length)) return value
+        // Empty strings aren't repeated (the count may be large)
+        if (length === 0) return ""
+        return Array.from({ length: count }, () => value).join(separator)
+    },
+    {
+        description:
+            "Repeats the macro-result <count> times (separated by the optional <separator>).",
+        params: ":<count>[, <separator>]",
+        examples: ["${char | repeat: 10}"],
+    }
+)
+
+/******************************************************************************
+ * Encoding-modifiers
+ *****************************************************************************/
+
+/**
+ * Adds an "invalid-encoding"-error for a value that can't be converted by an
+ * encoding-modifier.
+ *
+ * @private
+ * @param {MacroInt} macroInt - The current MacroInt.
+ * @param {String} modifier - The name of the modifier (for the error-message).
+ * @param {String} message - Describes the problem.
+ * @return {undefined}
+ */
+function encodingError(macroInt, modifier, message) {
+    macroInt.addErrorWithCode(
+        "invalid-encoding",
+        `modifier ${modifier}: ${message}`
+    )
+    return undefined
+}
+
+/**
+ * Escapes the HTML-characters `& < > " '`.
+ *
+ * @private
+ * @param {String} value
+ * @return {String}
+ */
+function escapeHtml(value) {
+    return value.replace(
+        /[&<>"']/g,
+        (char) =>
+            ({
+                "&": "&amp;",
+                "<": "&lt;",
+                ">": "&gt;",
+                '"': "&quot;",
+                "'": "&#39;",
+            }[char])
+    )
+}
+
+/**
+ * Escapes a string for the use inside of a JSON-string (without the quotes).
+ *
+ * @private
+ * @param {String} value
+ * @return {String}
+ */
+function escapeJsonString(value) {
+    return JSON.stringify(value).slice(1, -1)
+}
+
+/**
+ * Quotes a string with single-quotes for a POSIX-shell.
+ *
+ * @private
+ * @param {String} value
+ * @return {String}
+ */
+function quoteShell(value) {
+    return "'" + value.replace(/'/g, "'\\''") + "'"
+}
+
+/**
+ * Registers a pair of modifiers that encode/decode a string with one of the
+ * encodings of `Buffer` (UTF-8 for the text).
+ *
+ * @private
+ * @param {String[]} encodeKeys - The names of the encode-modifier.
+ * @param {String[]} decodeKeys - The names of the decode-modifier.
+ * @param {BufferEncoding} encoding - The Buffer-encoding.
+ * @param {RegExp} validChars - Matches the valid encoded strings.
+ * @param {String} description - The name of the encoding in the descriptions.
+ * @return {void}
+ */
+function registerBufferModifiers(
+    encodeKeys,
+    decodeKeys,
+    encoding,
+    validChars,
+    description
+) {
+    registerStringModifier(
+        encodeKeys,
+        (value) => Buffer.from(value, "utf8").toString(encoding),
+        {
+            description: `Encodes the macro-result (UTF-8) as ${description}.`,
+            examples: [`\${token | ${encodeKeys[0]}}`],
+        }
+    )
+    registerStringModifier(
+        decodeKeys,
+        (value, params, macroInt) =>
+            validChars.test(value)
+                ? Buffer.from(value, encoding).toString("utf8")
+                : encodingError(
+                      macroInt,
+                      decodeKeys[0],
+                      `"${value}" is no valid ${description}-string.`
+                  ),
+        {
+            description: `Decodes a ${description}-string (UTF-8). Invalid strings return \`undefined\` and add an error.`,
+            examples: [`\${token | ${decodeKeys[0]}}`],
+        }
+    )
+}
+
+registerEscapeModifier(["urlEncode", "-ue"], encodeURIComponent, {
+    description:
+        "Encodes the macro-result as URL-component (`encodeURIComponent()`).",
+    examples: ["https://example.com/search?q=${query | urlEncode}"],
+})
+
+registerStringModifier(
+    ["urlDecode", "-ud"],
+    (value, params, macroInt) => {
+        try {
+            return decodeURIComponent(value)
+        } catch (e) {
+            return encodingError(
+                macroInt,
+                "urlDecode",
+                `"${value}" is no valid URL-component.`
+            )
+        }
+    },
+    {
+        description:
+            "Decodes an URL-component (`decodeURIComponent()`). Invalid strings return `undefined` and add an error.",
+        examples: ["${param | urlDecode}"],
+    }
+)
+
+registerEscapeModifier(["htmlEscape", "-he"], escapeHtml, {
+    description:
+        "Escapes the HTML-characters `& < > \" '` of the macro-result.",
+    examples: ['<p title="${title | htmlEscape}">'],
+})
+
+registerEscapeModifier(["jsonEscape", "-je"], escapeJsonString, {
+    description:
+        "Escapes the macro-result for the use inside of a JSON-string (without the quotes).",
+    examples: ['{ "name": "${name | jsonEscape}" }'],
+})
+
+registerStringModifier(
+    ["toJSON", "-json"],
+    (value, [indent], macroInt) => {
+        if (indent !== undefined) {
+            indent = integerParam(macroInt, "toJSON", "indent", indent)
+            if (indent === undefined) return undefined
+        }
+        try {
+            return JSON.stringify(value, null, indent)
+        } catch (e) {
+            return encodingError(macroInt, "toJSON", e.message)
+        }
+    },
+    {
+        description:
+            "Converts the macro-result (also objects and arrays) to JSON (`JSON.stringify()`) with the optional <indent>.",
+        params: "[:<indent>]",
+        input: "*",
+        examples: ['{ "tags": ${tags | toJSON} }', "${config | toJSON: 2}"],
+    },
+    true
+)
+
+registerStringModifier(
+    ["parseJSON", "fromJSON", "-pj"],
+    (value, params, macroInt) => {
+        if (typeof value !== "string") return value
+        try {
+            return JSON.parse(value)
+        } catch (e) {
+            return encodingError(macroInt, "parseJSON", e.message)
+        }
+    },
+    {
+        description:
+            "Parses a JSON-string (`JSON.parse()`). Other values are returned unchanged. Invalid JSON returns `undefined` and adds an error.",
+        output: "*",
+        examples: ["${SETTINGS | parseJSON}"],
+    },
+    true
+)
+
+registerBufferModifiers(
+    ["base64", "-b64"],
+    ["base64Decode", "-b64d"],
+    "base64",
+    /^(?:[A-Za-z\d+/]{4})*(?:[A-Za-z\d+/]{2}==|[A-Za-z\d+/]{3}=)?$/,
+    "base64"
+)
+
+registerBufferModifiers(
+    ["base64url", "-b64u"],
+    ["base64urlDecode", "-b64ud"],
+    "base64url",
+    // The padding is optional but a length of 4n+1 is incomplete
+    /^(?:[A-Za-z\d_-]{4})*(?:[A-Za-z\d_-]{2,3})?$/,
+    "base64url"
+)
+
+registerBufferModifiers(
+    ["hex", "-hex"],
+    ["hexDecode", "-hexd"],
+    "hex",
+    /^(?:[\da-fA-F]{2})*$/,
+    "hex"
+)
+
+registerEscapeModifier(["shellQuote", "-sq"], quoteShell, {
+    description:
+        "Quotes the macro-result with single-quotes for a POSIX-shell (`it's` => `'it'\\''s'`).",
+    examples: ["ls ${dir | shellQuote}", "rm ${files | -sq | join: ' '}"],
 })
 
+registerStringModifier(
+    ["raw", "-rw"],
+    (value, params, macroInt) => {
+        macroInt._markRaw()
+        return value
+    },
+    {
+        description:
+            "Excludes the macro-result from the escaping of `options.autoEscape`. The value isn't changed.",
+        input: "*",
+        output: "*",
+        examples: ["<div>${trustedHtml | raw}</div>"],
+    },
+    true
+)
+
 module.exports = MacroInt
@@ -28,7 +28,7 @@ describe("MacroInt module", function () {
             )
             for (let index = 0; index < expected.length; index++) {
                 expectedEntry = expected[index]
-                miErrorsEntry = miErrors[index]
+                miErrorsEntry = miErrors[index] && miErrors[index].message
                 if (Array.isArray(expectedEntry)) {
                     for (let expectedSubEntry of expectedEntry) {
                         assert.include(
@@ -106,6 +106,138 @@ describe("MacroInt module", function () {
                 MacroInt.registerModifier("new", "not a function")
             }).to.throw(/Invalid callback-parameter.*/)
         })
+        it("instance-modifiers shadow the global modifiers", function () {
+            const reverse = (_, value) => [...value].reverse().join("")
+            const macroInt1 = new MacroInt({ x: "abc" })
+            const macroInt2 = new MacroInt({ x: "abc" }, { throwErrors: false })
+            macroInt1.registerModifier(["-r", "upper"], reverse)
+            assert.equal(macroInt1.resolve("${x | -r}"), "cba")
+            assert.equal(macroInt1.resolve("${x | UPPER}"), "cba")
+            assert.equal(MacroInt._modifiers["-r"], undefined)
+            // other instances aren't affected
+            assert.equal(macroInt2.resolve("${x | upper}"), "ABC")
+            macroInt2.resolve("${x | -r}")
+            assert.equal(macroInt2.errors[0].code, "unknown-modifier")
+            expect(() => macroInt1.registerModifier("-R", reverse)).to.throw(
+                MacroInt.MacroIntError
+            )
+            assert.isTrue(macroInt1.unregisterModifier("upper"))
+            assert.isFalse(macroInt2.unregisterModifier("upper"))
+            assert.equal(macroInt1.resolve("${x | upper}"), "ABC")
+        })
+        it(".listModifiers & metadata", function () {
+            const toNumber = MacroInt.listModifiers().find((info) =>
+                info.names.includes("-tn")
+            )
+            assert.deepEqual(toNumber.names, ["toNumber", "toNum", "-tn"])
+            assert.equal(toNumber.params, "[:<default>]")
+            assert.equal(toNumber.output, "Number")
+            assert.include(
+                MacroInt.formatModifiers([toNumber]),
+                "toNumber / toNum / -tn[:<default>]\n    Converts"
+            )
+
+            const macroInt = new MacroInt({}, { allowedModifiers: ["-u"] })
+            macroInt.registerModifier(["Mask", "-mk"], () => "***", {
+                description: "Masks the value.",
+                examples: ["${pwd | mask}"],
+            })
+            assert.deepEqual(
+                macroInt.listModifiers().map((info) => info.names),
+                [
+                    ["Mask", "-mk"],
+                    ["upper", "-u"],
+                ]
+            )
+            assert.equal(
+                macroInt.listModifiers()[0].description,
+                "Masks the value."
+            )
+        })
+        it(".registerModifier - metadata", function () {
+            const info = () =>
+                MacroInt.listModifiers().find((info) =>
+                    info.names.includes("upper")
+                )
+            const upper = MacroInt._modifiers.upper
+            const description = info().description
+            // a failed registration doesn't change the metadata
+            expect(() =>
+                MacroInt.registerModifier(["shout", "upper"], upper, {
+                    description: "changed",
+                })
+            ).to.throw(MacroInt.MacroIntError, 'The name "upper"')
+            expect(() =>
+                MacroInt.registerModifier(["twice", "Twice"], upper)
+            ).to.throw(MacroInt.MacroIntError, 'The name "twice"')
+            assert.equal(MacroInt._modifiers.shout, undefined)
+            assert.equal(MacroInt._modifiers.twice, undefined)
+            assert.equal(info().description, description)
+            assert.deepEqual(info().names, ["upper", "-u"])
+
+            // the metadata of an instance doesn't change the global metadata
+            const macroInt = new MacroInt({ x: "abc" })
+            macroInt.registerModifier("Shout", upper, {
+                description: "changed",
+            })
+            assert.equal(macroInt.resolve("${x | shout}"), "ABC")
+            assert.equal(
+                macroInt
+                    .listModifiers()
+                    .find((info) => info.names.includes("Shout")).description,
+                "changed"
+            )
+            assert.equal(info().description, description)
+            assert.deepEqual(info().names, ["upper", "-u"])
+            // instance-modifiers keep the global metadata of their callback
+            macroInt.registerModifier("pad", MacroInt._modifiers.padstart)
+            assert.equal(macroInt.resolve("${x | pad: 5, '-'}"), "--abc")
+        })
+        it("unknown modifiers - suggestions", function () {
+            const macroInt = new MacroInt({ x: "x" }, { throwErrors: false })
+            macroInt.resolve("${x | uper}${x | toNumbr:1}${x | xyz}")
+            assert.deepEqual(
+                macroInt.errors.map((error) => error.message.split(" <== ")[0]),
+                [
+                    'Unknown modifier "uper". Did you mean "upper"?',
+                    'Unknown modifier "toNumbr:1". Did you mean "toNumber"?',
+                    'Unknown modifier "xyz"',
+                ]
+            )
+        })
+        it("options.modifiers & options.allowedModifiers", function () {
+            const registry = { mask: (_, value) => "*".repeat(value.length) }
+            let macroInt = new MacroInt(
+                { x: "abc" },
+                { modifiers: registry, throwErrors: false }
+            )
+            assert.equal(macroInt.resolve("${x | mask | -d:'y'}"), "***")
+
+            // only the modifiers of the registry
+            macroInt = new MacroInt(
+                { x: "abc" },
+                {
+                    modifiers: registry,
+                    allowedModifiers: [],
+                    throwErrors: false,
+                }
+            )
+            assert.equal(macroInt.resolve("${x | Mask}"), "***")
+            macroInt.resolve("${x | upper}")
+            assert.equal(macroInt.errors[0].code, "unknown-modifier")
+
+            // allow-list: all aliases of the allowed modifiers
+            macroInt = new MacroInt(
+                { x: "abc" },
+                { allowedModifiers: ["default", "UPPER"], throwErrors: false }
+            )
+            assert.equal(macroInt.resolve("${y | -d:x | -u}"), "ABC")
+            macroInt.resolve("${x | lower}")
+            assert.equal(macroInt.errors.length, 1)
+            expect(
+                () => new MacroInt({}, { allowedModifiers: ["unknown"] })
+            ).to.throw(MacroInt.MacroIntError, 'unknown modifier "unknown"')
+        })
     })
 
     describe("MacroInt class", function () {
@@ -195,6 +327,229 @@ describe("MacroInt module", function () {
             })
         })
 
+        describe("Escape-character & verbatim-blocks", function () {
+            beforeEach(() => {
+                macroInt = new MacroInt({ x: "X" })
+            })
+            it("escapeChar", function () {
+                assert.equal(macroInt.resolve("\\${x}\\\\"), "${x}\\")
+                macroInt = new MacroInt(
+                    { x: "X" },
+                    { symbols: { escapeChar: "" } }
+                )
+                assert.equal(macroInt.resolve("C:\\dir\\${x}"), "C:\\dir\\X")
+                macroInt = new MacroInt(
+                    { x: "X" },
+                    { symbols: { escapeChar: "none" } }
+                )
+                assert.equal(macroInt.resolve("n${x}\\${x}"), "nX\\X")
+                expect(
+                    () => new MacroInt({}, { symbols: { escapeChar: "\\\\" } })
+                ).to.throw(MacroInt.MacroIntError, "is no single character")
+                macroInt = new MacroInt(
+                    { x: "X" },
+                    { symbols: { escapeChar: "~" } }
+                )
+                assert.equal(macroInt.resolve("~${x} \\${x}"), "${x} \\X")
+                assert.equal(macroInt.resolve("${y | -d:'it~'s'}"), "it's")
+            })
+            it("verbatim-blocks", function () {
+                assert.equal(
+                    macroInt.resolve("${x} $[[echo ${HOME} | \\d]]$!"),
+                    "X echo ${HOME} | \\d!"
+                )
+                assert.equal(macroInt.resolve("$[[${x}]]$"), "${x}")
+                assert.equal(macroInt.resolve("${y | -d:'$[[${x}]]$'}"), "${x}")
+                // without verbatim-end the text is interpreted
+                assert.equal(macroInt.resolve("$[[${x}"), "$[[X")
+                assert.deepEqual(macroInt.parse("a$[[${x}]]$b").nodes, [
+                    { type: "text", value: "a${x}b", start: 0, end: 12 },
+                ])
+                macroInt = new MacroInt(
+                    { x: "X" },
+                    {
+                        symbols: {
+                            verbatimBegin: "<%raw%>",
+                            verbatimEnd: "<%end%>",
+                        },
+                    }
+                )
+                assert.equal(
+                    macroInt.resolve("<%raw%>${x}<%end%> $[[${x}]]$"),
+                    "${x} $[[X]]$"
+                )
+            })
+            it("verbatim-blocks - objects & repository-values", function () {
+                macroInt = new MacroInt({ v: "$[[${x}]]$" })
+                assert.deepEqual(
+                    macroInt.resolve({ a: "$[[text]]$", b: ["$[[${x}]]$"] }),
+                    { a: "text", b: ["${x}"] }
+                )
+                assert.equal(macroInt.resolve("${v}"), "${x}")
+            })
+        })
+
+        describe("Syntax-Presets", function () {
+            const repository = { USER: "tom", HOST: "host", a: { b: "v" } }
+            it("shell", function () {
+                macroInt = new MacroInt(repository, {
+                    syntax: "shell",
+                    throwErrors: false,
+                })
+                testMacro("$USER@${HOST:-localhost}", "tom@host")
+                testMacro("${PORT:-8080}", "8080")
+                testMacro(
+                    "${URL:-http://$HOST:${PORT:-80}/}",
+                    "http://host:80/"
+                )
+                // The modifier-separator is part of the text
+                testMacro("${X:-it's a|b}", "it's a|b")
+                testMacro("${X:-a | upper}", "a | upper")
+                testMacro("${X:+a|b}/${USER:+a|${HOST}}", "/a|host")
+                testMacro("${USER:+set}/${X:+set}", "set/")
+                testMacro("${USER | upper:-x}", "TOM")
+                testMacro(
+                    "\\$USER costs $5, $USER_",
+                    "$USER costs $5, undefined"
+                )
+                testMacro("${X:?Please set X}", undefined, [
+                    "The result of the mandatory expression is undefined: Please set X <== ${X:?Please set X}",
+                ])
+                assert.deepEqual(
+                    macroInt
+                        .listReferences("${A:-x} ${B:?y}")
+                        .map((ref) => [ref.key, ref.default, ref.mandatory]),
+                    [
+                        ["A", "x", false],
+                        ["B", undefined, true],
+                    ]
+                )
+            })
+            it("shell - objects & repository-values", function () {
+                macroInt = new MacroInt(
+                    { HOME: "/h", BIN: "$HOME/bin", PATH: "${BIN}" },
+                    { syntax: "shell" }
+                )
+                assert.deepEqual(
+                    macroInt.resolve({ p: "$HOME/bin", a: ["$PATH"] }),
+                    { p: "/h/bin", a: ["/h/bin"] }
+                )
+                assert.equal(macroInt.resolve("$PATH"), "/h/bin")
+                assert.deepEqual(
+                    macroInt
+                        .listReferences({ p: "$HOME/bin" })
+                        .map((ref) => ref.key),
+                    ["HOME"]
+                )
+                const result = macroInt.validate({ p: "$UNKNOWN/bin" })
+                assert.isFalse(result.valid)
+                assert.equal(result.errors[0].code, "undefined-value")
+            })
+            it("mustache & ci", function () {
+                macroInt = new MacroInt(repository, { syntax: "mustache" })
+                testMacro("x={{ a.b }}, {{ c | -d:'y' }}", "x=v, y")
+                macroInt = new MacroInt(repository, { syntax: "ci" })
+                testMacro("${{ USER }} ${{ HOST || 'localhost' }}", "tom host")
+                testMacro("${{ X || 'def' | upper }}", "DEF")
+                testMacro("${{ X ?? Y ?? USER }}", "tom")
+                const modifier =
+                    macroInt.parse("${{ X || USER }}").nodes[0].modifiers[0]
+                assert.equal(modifier.operator, "||")
+                assert.equal(modifier.name[0].value, "default")
+                assert.deepEqual([modifier.start, modifier.end], [6, 14])
+            })
+            it("options.symbols override the preset & errors", function () {
+                macroInt = new MacroInt(repository, {
+                    syntax: "shell",
+                    symbols: { shortMacroBegin: "" },
+                })
+                testMacro("$USER ${USER}", "$USER tom")
+                expect(() => new MacroInt({}, { syntax: "xml" })).to.throw(
+                    MacroInt.MacroIntError,
+                    'unknown syntax-preset "xml"'
+                )
+            })
+        })
+
+        describe("Auto-Escaping", function () {
+            const repository = {
+                name: `<b>Tom & "Jerry's"</b>`,
+                nested: "${name}!",
+                list: ["a b", "c"],
+            }
+            it("contexts", function () {
+                const expected = {
+                    html: "Hi &lt;b&gt;Tom &amp; &quot;Jerry&#39;s&quot;&lt;/b&gt;",
+                    url: "Hi %3Cb%3ETom%20%26%20%22Jerry's%22%3C%2Fb%3E",
+                    shell: `Hi '<b>Tom & "Jerry'\\''s"</b>'`,
+                    "json-string": `Hi <b>Tom & \\"Jerry's\\"</b>`,
+                    none: `Hi <b>Tom & "Jerry's"</b>`,
+                }
+                Object.keys(expected).forEach((context) => {
+                    macroInt = new MacroInt(repository, {
+                        autoEscape: context,
+                    })
+                    assert.equal(
+                        macroInt.resolve("Hi ${name}"),
+                        expected[context],
+                        context
+                    )
+                })
+                expect(() => new MacroInt({}, { autoEscape: "xml" }))
+                    .to.throw(MacroInt.MacroIntError)
+                    .with.property("code", "invalid-option")
+            })
+            it("one macro, raw and nested values", function () {
+                macroInt = new MacroInt(repository, {
+                    autoEscape: "html",
+                    throwErrors: false,
+                })
+                // Only macros inside of a larger string are escaped
+                testMacro("${name}", repository.name)
+                assert.deepEqual(macroInt.resolve("${list}"), ["a b", "c"])
+                testMacro("<p>${name | raw}</p>", `<p>${repository.name}</p>`)
+                testMacro(
+                    "${name | upper | -rw}, ${name | lower}",
+                    `<B>TOM & "JERRY'S"</B>, &lt;b&gt;tom &amp; &quot;jerry&#39;s&quot;&lt;/b&gt;`
+                )
+                // Nested macro-values are escaped only once
+                testMacro(
+                    "x ${nested}",
+                    "x &lt;b&gt;Tom &amp; &quot;Jerry&#39;s&quot;&lt;/b&gt;!"
+                )
+                testMacro("${'<' | raw}${nested | raw}", `<${repository.name}!`)
+                testMacro("${list} ${x}", "a b,c undefined")
+            })
+            it("escaping-modifiers aren't escaped again", function () {
+                macroInt = new MacroInt(
+                    { lt: "<", q: "a b" },
+                    { autoEscape: "html" }
+                )
+                testMacro("${lt | htmlEscape} ${lt}", "&lt; &lt;")
+                // Other contexts are escaped
+                testMacro("${q | shellQuote}!", "&#39;a b&#39;!")
+                macroInt = new MacroInt({ q: "a b" }, { autoEscape: "url" })
+                testMacro("?q=${q | urlEncode}&r=${q}", "?q=a%20b&r=a%20b")
+                macroInt = new MacroInt({ q: "a b" }, { autoEscape: "shell" })
+                testMacro("echo ${q | -sq} ${q}", "echo 'a b' 'a b'")
+            })
+            it("onUndefined & objects", async function () {
+                macroInt = new MacroInt(repository, {
+                    autoEscape: "shell",
+                    onUndefined: "keep",
+                })
+                testMacro("echo ${list} ${x}", "echo 'a b,c' ${x}")
+                const result = await macroInt.resolveAsync({
+                    cmd: "rm ${list | -sq | join: ' ' | raw}",
+                    list: "${list}",
+                })
+                assert.deepEqual(result, {
+                    cmd: "rm 'a b' 'c'",
+                    list: ["a b", "c"],
+                })
+            })
+        })
+
         describe("Other functions/properties", function () {
             beforeEach(() => {
                 macroInt = new MacroInt()
@@ -209,6 +564,73 @@ describe("MacroInt module", function () {
                 assert.isFalse(macroInt._allowUndefined)
                 expect(() => macroInt.resolve("${y}")).to.throw()
             })
+            it("options.onUndefined", function () {
+                const expression = "http://${host}:${port}/${path | upper}"
+                const repository = { host: "localhost" }
+                function __resolve(onUndefined, expr = expression) {
+                    return new MacroInt(repository, {
+                        onUndefined,
+                        throwErrors: false,
+                    }).resolve(expr)
+                }
+                assert.equal(
+                    __resolve("undefined"),
+                    "http://localhost:undefined/undefined"
+                )
+                assert.equal(
+                    __resolve("keep"),
+                    "http://localhost:${port}/${path | upper}"
+                )
+                assert.equal(__resolve("empty"), "http://localhost:/")
+                assert.equal(__resolve("empty", "${port}"), "")
+                assert.equal(__resolve("delete"), undefined)
+                assert.equal(__resolve("keep", "${db_${env}}"), "${db_${env}}")
+
+                // multi-stage resolution: build-time keys first
+                const stage1 = new MacroInt(
+                    { name: "app", tpl: "${name}-${runtimeId}" },
+                    { onUndefined: "keep" }
+                )
+                const stage2 = new MacroInt({ runtimeId: 42 })
+                const config = stage1.resolve({
+                    id: "${tpl}",
+                    n: "${runtimeId}",
+                })
+                assert.deepEqual(config, {
+                    id: "app-${runtimeId}",
+                    n: "${runtimeId}",
+                })
+                assert.deepEqual(stage2.resolve(config), {
+                    id: "app-42",
+                    n: 42,
+                })
+
+                // delete the properties in objects
+                macroInt = new MacroInt(repository, { onUndefined: "delete" })
+                assert.deepEqual(
+                    macroInt.resolve({
+                        url: "${host}:${port}",
+                        host: "${host}",
+                        list: ["${port}", "${host}"],
+                    }),
+                    { host: "localhost", list: [undefined, "localhost"] }
+                )
+
+                // record an error
+                macroInt = new MacroInt(repository, {
+                    onUndefined: "error",
+                    throwErrors: false,
+                })
+                assert.equal(
+                    macroInt.resolve("${host}:${port}"),
+                    "localhost:${port}"
+                )
+                assert.equal(macroInt.errors[0].code, "undefined-value")
+                expect(() => new MacroInt({}, { onUndefined: "x" })).to.throw(
+                    MacroInt.MacroIntError,
+                    'options.onUndefined: unknown value "x"'
+                )
+            })
             it("options.throwErrors", function () {
                 macroInt = new MacroInt({ x: 123 }, { throwErrors: false })
                 assert.isFalse(macroInt._throwErrors)
@@ -236,6 +658,96 @@ describe("MacroInt module", function () {
                 macroInt.resolve("no macro")
                 assert.equal(macroInt.errors.length, 0)
             })
+            it("error-objects - codes & location", function () {
+                macroInt = new MacroInt({ x: 123 }, { throwErrors: false })
+                macroInt.resolve({
+                    a: { b: "x=${x | unknown}, y=${y | mandatory}" },
+                    c: "${^-9}",
+                })
+                assert.deepEqual(
+                    macroInt.errors.map((e) => e.code),
+                    [
+                        "unknown-modifier",
+                        "undefined-mandatory",
+                        "invalid-path-index",
+                    ]
+                )
+                const [unknown, mandatory] = macroInt.errors
+                assert.deepEqual(unknown.path, ["a", "b"])
+                assert.equal(unknown.offset, 2)
+                assert.equal(unknown.macro, "${x | unknown}")
+                assert.equal(
+                    unknown.expression,
+                    "x=${x | unknown}, y=${y | mandatory}"
+                )
+                assert.equal(mandatory.offset, 20)
+                assert.deepEqual(macroInt.errors[2].path, ["c"])
+
+                macroInt._throwErrors = true
+                let error
+                try {
+                    macroInt.resolve({ a: "${y | -m}", b: "${z | -m}" })
+                } catch (e) {
+                    error = e
+                }
+                assert.instanceOf(error, MacroInt.MacroIntAggregateError)
+                assert.equal(error.name, "MacroIntAggregateError")
+                assert.deepEqual(
+                    error.errors.map((e) => e.code),
+                    ["undefined-mandatory", "undefined-mandatory"]
+                )
+                assert.include(error.message, "(@property: b)")
+            })
+            it("error-objects - line, column & snippet", function () {
+                macroInt = new MacroInt({ x: 123 }, { throwErrors: false })
+                const template =
+                    "a: ${x}\n\tb: ${x | -m | unknown }\nc: ${y | -m}"
+                macroInt.resolve({ file: template })
+                const [unknown, mandatory] = macroInt.errors
+                assert.equal(unknown.line, 2)
+                assert.equal(unknown.column, 5)
+                assert.equal(unknown.offset, 12)
+                assert.equal(
+                    unknown.message,
+                    'Unknown modifier "unknown" <== ${x | -m | unknown }' +
+                        "  (@property: file) at line 2, column 5:\n" +
+                        "  2 | \tb: ${x | -m | unknown }\n" +
+                        "    | \t   ~~~~~~~~~~~^^^^^^^~~"
+                )
+                assert.equal(mandatory.line, 3)
+                assert.equal(mandatory.column, 4)
+                assert.include(
+                    mandatory.message,
+                    "\n  3 | c: ${y | -m}\n    |    ~~~~~~^^~"
+                )
+                // The snippets are indented in the formatted errors
+                assert.include(
+                    macroInt._formatErrors("\n  "),
+                    "\n        3 | c: ${y | -m}\n"
+                )
+
+                // Errors of the macro itself are only marked with "~"
+                macroInt = new MacroInt({}, { throwErrors: false })
+                macroInt._allowUndefined = false
+                macroInt.resolve("line 1\n--> ${y} <--")
+                assert.include(
+                    macroInt.errors[0].message,
+                    "at line 2, column 5:\n  2 | --> ${y} <--\n    |     ~~~~"
+                )
+            })
+            it("error-objects - thrown immediately", function () {
+                expect(() => macroInt.resolve("${x}", { clone: true }))
+                    .to.throw(MacroInt.MacroIntError)
+                    .with.property("code", "invalid-option")
+                expect(() => macroInt.resolve({}, { unknown: true }))
+                    .to.throw(MacroInt.MacroIntError)
+                    .with.property("code", "invalid-option")
+                expect(() =>
+                    MacroInt.registerModifier("mandatory", (mi, v) => v)
+                )
+                    .to.throw(MacroInt.MacroIntError)
+                    .with.property("code", "duplicate-modifier")
+            })
             it(".registerRepository", function () {
                 macroInt.registerRepository({ x: 123 })
                 macroInt.registerRepository([{ y: 321 }, { z: 456 }])
@@ -270,11 +782,38 @@ describe("MacroInt module", function () {
                 macroInt.addError("1", "2", "3")
                 macroInt.addError("1", "1", "3")
                 macroInt.addError("1", "2", "2") // filter equal entries
-                assert.equal(macroInt.errors[0], "1")
-                assert.equal(macroInt.errors[1], "1 <== 2")
-                assert.equal(macroInt.errors[2], "1 <== 2 <== 3")
-                assert.equal(macroInt.errors[3], "1 <== 3")
-                assert.equal(macroInt.errors[4], "1 <== 2")
+                assert.equal(macroInt.errors[0].message, "1")
+                assert.equal(macroInt.errors[1].message, "1 <== 2")
+                assert.equal(macroInt.errors[2].message, "1 <== 2 <== 3")
+                assert.equal(macroInt.errors[3].message, "1 <== 3")
+                assert.equal(macroInt.errors[4].message, "1 <== 2")
+            })
+            it(".addErrorWithCode", function () {
+                macroInt._completeExpression = "a ${b} c"
+                macroInt._currentExpression = "${b}"
+                macroInt._currentMacroNode = { start: 2, end: 6 }
+                macroInt._propertyPath = ["x", "y"]
+                macroInt.addErrorWithCode("my-code", "1", "2")
+                const error = macroInt.errors[0]
+                assert.instanceOf(error, MacroInt.MacroIntError)
+                assert.instanceOf(error, Error)
+                assert.equal(error.name, "MacroIntError")
+                assert.equal(error.code, "my-code")
+                assert.equal(
+                    error.message,
+                    "1 <== 2 <== ${b} <== a ${b} c  (@property: x.y)"
+                )
+                assert.equal(`${error}`, error.message)
+                assert.equal(error.macro, "${b}")
+                assert.equal(error.expression, "a ${b} c")
+                assert.deepEqual(error.path, ["x", "y"])
+                assert.equal(error.offset, 2)
+                assert.equal(error.line, 1)
+                assert.equal(error.column, 3)
+                macroInt._propertyPath.length = 0
+                assert.deepEqual(error.path, ["x", "y"])
+                macroInt.addError("3")
+                assert.equal(macroInt.errors[1].code, "custom")
             })
             it(".toString", function () {
                 macroInt._completeExpression = "000"
@@ -353,6 +892,97 @@ describe("MacroInt module", function () {
                 assert.equal(macroInt.getValue("p1.p2.p3")["value"], "Test")
                 assert.isUndefined(macroInt.getValue("p1.p2.does_not_exist"))
             })
+            it("Find with array-indexes & quoted segments", function () {
+                macroInt = new MacroInt({
+                    servers: [{ host: "h0" }, { host: "h1", tags: ["a", "b"] }],
+                    flags: { "com.example.flag": true },
+                    "a.b": "dotted",
+                    text: "abc",
+                })
+                assert.equal(macroInt.getValue("servers[0].host"), "h0")
+                assert.equal(macroInt.getValue("servers[-1].tags[-2]"), "a")
+                assert.equal(macroInt.getValue("servers.1.host"), "h1")
+                assert.equal(
+                    macroInt.getValue('flags["com.example.flag"]'),
+                    true
+                )
+                assert.equal(
+                    macroInt.getValue("flags['com.example.flag']"),
+                    true
+                )
+                assert.equal(macroInt.getValue("a\\.b"), "dotted")
+                assert.equal(macroInt.getValue("text[-1]"), "c")
+                assert.isUndefined(macroInt.getValue("servers[5].host"))
+                assert.isUndefined(macroInt.getValue("servers[-5]"))
+                // In expressions a single escape-character is enough
+                assert.equal(
+                    macroInt.resolve("${servers[-1].host}/${a\\.b}"),
+                    "h1/dotted"
+                )
+                // An escaped backslash before the "." works, too
+                assert.equal(macroInt.resolve("${a\\\\.b}"), "dotted")
+                assert.equal(macroInt.resolve("x ${a\\.b | upper}"), "x DOTTED")
+                assert.deepEqual(
+                    macroInt.listReferences("${a\\.b}").map((r) => r.key),
+                    ["a\\.b"]
+                )
+                macroInt = new MacroInt(
+                    { "a.b": "dotted", "a\\": { b: "backslash" } },
+                    { symbols: { escapeChar: "~" } }
+                )
+                assert.equal(macroInt.resolve("${a~.b}"), "dotted")
+                assert.equal(macroInt.resolve("${a\\.b}"), "backslash")
+                assert.equal(macroInt.getValue("a~.b"), "dotted")
+                // Without escape-character a backslash is a normal character
+                macroInt = new MacroInt(
+                    { "a\\b": "backslash", "a\\": { b: "path" } },
+                    { symbols: { escapeChar: "none" } }
+                )
+                assert.equal(macroInt.resolve("${a\\b}"), "backslash")
+                assert.equal(macroInt.resolve("${a\\.b}"), "path")
+            })
+            it("Repository-callbacks get the parsed key-path", function () {
+                let keyPath
+                macroInt = new MacroInt((key, mi, path) => {
+                    keyPath = path
+                    return key
+                })
+                macroInt.getValue('list[-1]["x.y"].z')
+                assert.deepEqual(keyPath, ["list", -1, "x.y", "z"])
+                macroInt.getValue("key")
+                assert.deepEqual(keyPath, ["key"])
+            })
+            it("MacroInt.parseKeyPath", function () {
+                const tests = {
+                    key: ["key"],
+                    "a.b.c": ["a", "b", "c"],
+                    "a[0][-1].b": ["a", 0, -1, "b"],
+                    "[1]": [1],
+                    'a["b.c"]': ["a", "b.c"],
+                    "a[`x]\\`y`]": ["a", "x]`y"],
+                    "a\\.b\\[0]": ["a.b[0]"],
+                    "a..b": ["a", "", "b"],
+                    // invalid grammar => split at the dots
+                    "a[b].c": ["a[b]", "c"],
+                    "a[0]b": ["a[0]b"],
+                    'a["b]': ['a["b]'],
+                }
+                for (const key in tests)
+                    assert.deepEqual(
+                        MacroInt.parseKeyPath(key),
+                        tests[key],
+                        key
+                    )
+                // Other or no escape-character
+                assert.deepEqual(MacroInt.parseKeyPath("a~.b\\c", "~"), [
+                    "a.b\\c",
+                ])
+                assert.deepEqual(MacroInt.parseKeyPath("a\\b", ""), ["a\\b"])
+                assert.deepEqual(MacroInt.parseKeyPath("a\\.b", ""), [
+                    "a\\",
+                    "b",
+                ])
+            })
             it("getValue(xxx, assumeString=true)", function () {
                 macroInt = new MacroInt()
                 assert.equal(macroInt.getValue("value"), undefined)
@@ -361,7 +991,842 @@ describe("MacroInt module", function () {
             })
         })
 
+        describe(".parse", function () {
+            beforeEach(() => {
+                macroInt = new MacroInt()
+            })
+            it("text only", function () {
+                result = macroInt.parse("no macro")
+                assert.equal(result.type, "template")
+                assert.equal(result.expression, "no macro")
+                assert.deepEqual(result.nodes, [
+                    { type: "text", value: "no macro", start: 0, end: 8 },
+                ])
+                assert.deepEqual(macroInt.parse("").nodes, [])
+            })
+            it("macro with modifiers and params", function () {
+                result = macroInt.parse("Hi ${name | -d:'you' | -u}!")
+                assert.equal(result.nodes.length, 3)
+                const macro = result.nodes[1]
+                assert.equal(macro.type, "macro")
+                assert.equal(macro.start, 3)
+                assert.equal(macro.end, 26)
+                assert.deepEqual(macro.key, [
+                    { type: "text", value: "name ", start: 5, end: 10 },
+                ])
+                assert.equal(macro.modifiers.length, 2)
+                assert.deepEqual(macro.modifiers[0], {
+                    type: "modifier",
+                    start: 11,
+                    end: 21,
+                    name: [{ type: "text", value: " -d", start: 11, end: 14 }],
+                    params: [
+                        { type: "text", value: "'you' ", start: 15, end: 21 },
+                    ],
+                    args: [
+                        [{ type: "text", value: "'you' ", start: 15, end: 21 }],
+                    ],
+                })
+                assert.equal(macro.modifiers[1].params, undefined)
+                assert.deepEqual(result.nodes[2], {
+                    type: "text",
+                    value: "!",
+                    start: 26,
+                    end: 27,
+                })
+            })
+            it("modifier-parameters", function () {
+                const modifier = macroInt.parse("${x | m: 'a,b', ${y},[1,2]}")
+                    .nodes[0].modifiers[0]
+                assert.deepEqual(
+                    modifier.params.map((node) => node.type + ":" + node.value),
+                    [
+                        "text: 'a,b'",
+                        "text:,",
+                        "text: ",
+                        "macro:undefined",
+                        "text:,",
+                        "text:[1,2]",
+                    ]
+                )
+                assert.equal(modifier.args.length, 3)
+                assert.strictEqual(modifier.args[1][1], modifier.params[3])
+                assert.deepEqual(modifier.args[2], [
+                    { type: "text", value: "[1,2]", start: 21, end: 26 },
+                ])
+                assert.deepEqual(
+                    macroInt.parse("${x | -u}").nodes[0].modifiers[0].args,
+                    []
+                )
+            })
+            it("nested macros", function () {
+                result = macroInt.parse("${a_${b} | -d:${c}}")
+                const macro = result.nodes[0]
+                assert.equal(macro.key.length, 3)
+                assert.equal(macro.key[0].value, "a_")
+                assert.equal(macro.key[1].type, "macro")
+                assert.equal(macro.key[1].start, 4)
+                assert.equal(macro.key[1].end, 8)
+                assert.equal(macro.key[1].key[0].value, "b")
+                assert.equal(macro.modifiers[0].params[0].type, "macro")
+                assert.equal(macro.modifiers[0].params[0].key[0].value, "c")
+            })
+            it("escaped characters", function () {
+                result = macroInt.parse("\\${x} ${a\\|b}")
+                assert.deepEqual(result.nodes[0], {
+                    type: "text",
+                    value: "${x} ",
+                    start: 0,
+                    end: 6,
+                })
+                assert.deepEqual(result.nodes[1].key, [
+                    { type: "text", value: "a|b", start: 8, end: 12 },
+                ])
+                assert.equal(result.nodes[1].modifiers.length, 0)
+            })
+            it("quoted string-constants", function () {
+                const macro = macroInt.parse("${x | -d:'a|b}' | -u}").nodes[0]
+                assert.deepEqual(macro.key, [
+                    { type: "text", value: "x ", start: 2, end: 4 },
+                ])
+                assert.equal(macro.modifiers.length, 2)
+                assert.deepEqual(macro.modifiers[0].params, [
+                    { type: "text", value: "'a|b}' ", start: 9, end: 16 },
+                ])
+                assert.equal(macro.end, 21)
+            })
+            it("unfinished macro is text", function () {
+                result = macroInt.parse("x ${a} ${b ${c}")
+                assert.equal(result.nodes.length, 3)
+                assert.deepEqual(result.nodes[2], {
+                    type: "text",
+                    value: " ${b ${c}",
+                    start: 6,
+                    end: 15,
+                })
+            })
+            it("honors the symbols of the instance", function () {
+                macroInt = new MacroInt(undefined, {
+                    symbols: { macroBegin: "{{", macroEnd: "}}" },
+                })
+                result = macroInt.parse("${x} {{y|-d:z}}")
+                assert.equal(result.nodes[0].value, "${x} ")
+                assert.equal(result.nodes[1].type, "macro")
+                assert.equal(result.nodes[1].modifiers[0].params[0].value, "z")
+            })
+        })
+
+        describe(".resolveAsync", function () {
+            function delayed(value, ms = 5) {
+                return new Promise((resolve) =>
+                    setTimeout(() => resolve(value), ms)
+                )
+            }
+            let running, maxRunning
+            beforeEach(() => {
+                running = maxRunning = 0
+                macroInt = new MacroInt([
+                    async (macroKey) => {
+                        running++
+                        maxRunning = Math.max(running, maxRunning)
+                        const value = await delayed(
+                            macroKey.startsWith("async")
+                                ? macroKey + "_result"
+                                : undefined
+                        )
+                        running--
+                        return value
+                    },
+                    { macro: "macro_result", tree: { url: "${asyncUrl}" } },
+                ])
+            })
+            it("string-expression", async function () {
+                assert.equal(
+                    await macroInt.resolveAsync("${asyncA}/${macro}"),
+                    "asyncA_result/macro_result"
+                )
+                assert.equal(
+                    await macroInt.resolveAsync("no macro"),
+                    "no macro"
+                )
+            })
+            it("if-modifier", async function () {
+                assert.equal(
+                    await macroInt.resolveAsync(
+                        "${asyncA | if: == asyncB ? 'eq' : asyncC}"
+                    ),
+                    "asyncC_result"
+                )
+            })
+            it("expressions", async function () {
+                assert.strictEqual(
+                    await macroInt.resolveAsync(
+                        "${asyncA == asyncB or asyncA == 'asyncA_result'}"
+                    ),
+                    true
+                )
+            })
+            it("options.onUndefined", async function () {
+                macroInt._onUndefined = "delete"
+                assert.deepEqual(
+                    await macroInt.resolveAsync({
+                        a: "${asyncA}",
+                        b: "${x}/${asyncB}",
+                    }),
+                    { a: "asyncA_result" }
+                )
+            })
+            it("fallback-chains (??)", async function () {
+                assert.equal(
+                    await macroInt.resolveAsync("${xxx ?? asyncB ?? 'x'}"),
+                    "asyncB_result"
+                )
+            })
+            it("default-modifier", async function () {
+                assert.equal(
+                    await macroInt.resolveAsync("${xxx | -d:asyncB}"),
+                    "asyncB_result"
+                )
+                assert.equal(
+                    await macroInt.resolveAsync("${asyncC | -d:'x' | -u}"),
+                    "ASYNCC_RESULT"
+                )
+            })
+            it("async modifier", async function () {
+                MacroInt.registerModifier("asyncReverse", (_, macroValue) =>
+                    delayed(("" + macroValue).split("").reverse().join(""))
+                )
+                try {
+                    assert.equal(
+                        await macroInt.resolveAsync("${'abc' | asyncReverse}!"),
+                        "cba!"
+                    )
+                } finally {
+                    MacroInt.unregisterModifier("asyncReverse")
+                }
+            })
+            it("object-properties are resolved concurrently", async function () {
+                const obj = {
+                    a: "${asyncA}",
+                    b: ["${asyncB}", { c: "${^-1}:${asyncC}" }],
+                    tree: "${tree}",
+                }
+                result = await macroInt.resolveAsync(obj)
+                assert.equal(result, obj)
+                assert.equal(obj.a, "asyncA_result")
+                assert.equal(obj.b[0], "asyncB_result")
+                assert.equal(obj.b[1].c, "c:asyncC_result")
+                assert.equal(obj.tree.url, "asyncUrl_result")
+                assert.isAbove(maxRunning, 1)
+                assert.deepEqual(macroInt._propertyPath, [])
+            })
+            it("errors & throwErrors", async function () {
+                let error
+                try {
+                    await macroInt.resolveAsync({ a: "${xxx | -m}" })
+                } catch (e) {
+                    error = e
+                }
+                assert.instanceOf(error, MacroInt.MacroIntAggregateError)
+                assert.include(
+                    error.message,
+                    "The result of the mandatory expression is undefined."
+                )
+                assert.include(error.message, "(@property: a)")
+                assert.deepEqual(error.errors[0].path, ["a"])
+
+                macroInt._throwErrors = false
+                macroInt.errors.length = 0
+                result = await macroInt.resolveAsync({
+                    a: "${xxx | -m}",
+                    b: "${asyncB | unknown}",
+                })
+                assert.equal(result.b, "asyncB_result")
+                assert.equal(macroInt.errors.length, 2)
+            })
+            it("callbacks are called only once", async function () {
+                const lookups = []
+                macroInt = new MacroInt(
+                    [
+                        (macroKey) => {
+                            lookups.push(macroKey)
+                            return macroKey.startsWith("async")
+                                ? delayed(macroKey + "_result")
+                                : macroKey === "tag"
+                                ? "<b>"
+                                : undefined
+                        },
+                    ],
+                    { throwErrors: false, autoEscape: "html" }
+                )
+                assert.equal(
+                    await macroInt.resolveAsync(
+                        "${tag | raw}${asyncA}${x | -m}${tag}${asyncB}"
+                    ),
+                    "<b>asyncA_resultundefined&lt;b&gt;asyncB_result"
+                )
+                assert.deepEqual(lookups, [
+                    "tag",
+                    "asyncA",
+                    "x",
+                    "tag",
+                    "asyncB",
+                ])
+                assert.equal(macroInt.errors.length, 1)
+            })
+            it("rejected repository-callback", async function () {
+                macroInt.registerRepository(() =>
+                    Promise.reject(new Error("failed"))
+                )
+                let error
+                try {
+                    await macroInt.resolveAsync({ a: "${unknown}" })
+                } catch (e) {
+                    error = e
+                }
+                assert.equal(error.message, "failed")
+            })
+        })
+
+        describe(".validate", function () {
+            beforeEach(() => {
+                macroInt = new MacroInt({ host: "localhost", port: "x" })
+            })
+            it("valid & invalid expressions", function () {
+                assert.deepEqual(macroInt.validate("${host}"), {
+                    valid: true,
+                    errors: [],
+                })
+                const report = macroInt.validate("${unknown}")
+                assert.isFalse(report.valid)
+                assert.equal(report.errors[0].code, "undefined-value")
+                // No errors are thrown and the .errors aren't changed
+                assert.equal(macroInt.errors.length, 0)
+                assert.isTrue(macroInt._throwErrors)
+                assert.isTrue(macroInt._allowUndefined)
+            })
+            it("mandatory keys are reported once", function () {
+                assert.deepEqual(
+                    macroInt
+                        .validate("${user | -m} ${pwd | -m:'Set pwd' | upper}")
+                        .errors.map((e) => [e.code, e.macro]),
+                    [
+                        ["undefined-mandatory", "${user | -m}"],
+                        [
+                            "undefined-mandatory",
+                            "${pwd | -m:'Set pwd' | upper}",
+                        ],
+                    ]
+                )
+                macroInt = new MacroInt({}, { onUndefined: "error" })
+                macroInt._throwErrors = false
+                macroInt.resolve("${user | -m}${x}")
+                assert.deepEqual(
+                    macroInt.errors.map((e) => e.code),
+                    ["undefined-mandatory", "undefined-value"]
+                )
+            })
+            it("objects are not modified", function () {
+                const config = {
+                    envs: {
+                        $template: { url: "${host}:${port | toNumber}" },
+                        dev: { name: "${^-2 | upper}" },
+                        prod: { name: "${^1}", user: "${user | -m}" },
+                    },
+                    list: ["${x | unknown}", { y: "${^-9}" }],
+                    date: new Date(0),
+                }
+                config.self = config
+                const copy = Object.assign({}, config)
+                const report = macroInt.validate(config)
+                assert.deepEqual(config, copy)
+                assert.deepEqual(config.envs.dev, { name: "${^-2 | upper}" })
+                assert.isFalse(report.valid)
+                assert.deepEqual(
+                    report.errors.map((e) => [e.code, e.path.join(".")]),
+                    [
+                        ["bad-number", "envs.dev.url"],
+                        ["undefined-mandatory", "envs.prod.user"],
+                        ["bad-number", "envs.prod.url"],
+                        ["unknown-modifier", "list.0"],
+                        ["undefined-value", "list.0"],
+                        ["invalid-path-index", "list.1.y"],
+                        ["undefined-value", "list.1.y"],
+                    ]
+                )
+            })
+            it("class-instances are not modified", async function () {
+                class Cfg {
+                    url = "${host}:${port | toNumber}"
+                }
+                const config = { c: new Cfg(), list: [new Cfg()] }
+                const report = macroInt.validate(config)
+                assert.equal(config.c.url, "${host}:${port | toNumber}")
+                assert.equal(config.list[0].url, "${host}:${port | toNumber}")
+                // The macros of the instances are validated like in .resolve()
+                assert.deepEqual(
+                    report.errors.map((e) => [e.code, e.path.join(".")]),
+                    [
+                        ["bad-number", "c.url"],
+                        ["bad-number", "list.0.url"],
+                    ]
+                )
+                await macroInt.validateAsync(config)
+                assert.equal(config.c.url, "${host}:${port | toNumber}")
+            })
+            it(".validateAsync", async function () {
+                macroInt.registerRepository(async (key) =>
+                    key === "user" ? "admin" : undefined
+                )
+                const config = { user: "${user | -m}", pwd: "${pwd | -m}" }
+                const report = await macroInt.validateAsync(config)
+                assert.deepEqual(config, {
+                    user: "${user | -m}",
+                    pwd: "${pwd | -m}",
+                })
+                assert.deepEqual(
+                    report.errors.map((e) => [e.code, e.path.join(".")]),
+                    [["undefined-mandatory", "pwd"]]
+                )
+                assert.equal(macroInt.errors.length, 0)
+            })
+        })
+
+        describe(".listReferences", function () {
+            beforeEach(() => {
+                macroInt = new MacroInt(() => {
+                    throw new Error("Repositories must not be accessed")
+                })
+            })
+            it("string-expressions", function () {
+                assert.deepEqual(
+                    macroInt.listReferences(
+                        "${A | -m} ${'const'} ${^-1} ${B | upper | -d:C | -d:'x'}"
+                    ),
+                    [
+                        {
+                            key: "A",
+                            path: [],
+                            dynamic: false,
+                            modifiers: [{ name: "-m", params: undefined }],
+                            mandatory: true,
+                            default: undefined,
+                        },
+                        {
+                            key: "B",
+                            path: [],
+                            dynamic: false,
+                            modifiers: [
+                                { name: "upper", params: undefined },
+                                { name: "-d", params: "C" },
+                                { name: "-d", params: "'x'" },
+                            ],
+                            mandatory: false,
+                            default: "C",
+                        },
+                        {
+                            key: "C",
+                            path: [],
+                            dynamic: false,
+                            modifiers: [],
+                            mandatory: false,
+                            default: undefined,
+                        },
+                    ]
+                )
+                assert.deepEqual(macroInt.listReferences("no macros"), [])
+            })
+            it("nested macros", function () {
+                const refs = macroInt.listReferences("${db_${env} | mandatory}")
+                assert.deepEqual(
+                    refs.map((ref) => [ref.key, ref.dynamic, ref.mandatory]),
+                    [
+                        ["env", false, false],
+                        ["db_${env}", true, true],
+                    ]
+                )
+            })
+            it("expressions", function () {
+                const refs = macroInt.listReferences(
+                    "${(a + b) * 2 > 'x' | -d:c}"
+                )
+                assert.deepEqual(
+                    refs.map((ref) => ref.key),
+                    ["a", "b", "c"]
+                )
+            })
+            it("keys of the alternative-modifier", function () {
+                assert.deepEqual(
+                    macroInt
+                        .listReferences("${a | -alt: b}${c | alternative: 'x'}")
+                        .map((ref) => ref.key),
+                    ["a", "b", "c"]
+                )
+                // The text-parameters of the shell-operators aren't keys
+                assert.deepEqual(
+                    new MacroInt({}, { syntax: "shell" })
+                        .listReferences("${a:+b}")
+                        .map((ref) => ref.key),
+                    ["a"]
+                )
+            })
+            it("keys of the if-modifier", function () {
+                assert.deepEqual(
+                    macroInt
+                        .listReferences("${env | if: prod ? db.prod : db.dev}")
+                        .map((ref) => ref.key),
+                    ["env", "db.prod", "db.dev"]
+                )
+                // Constants and the "?" / ":" in regular expressions are skipped
+                assert.deepEqual(
+                    macroInt
+                        .listReferences("${env | -if: ~ /^a:b?/ ? x : 'c'}")
+                        .map((ref) => ref.key),
+                    ["env", "x"]
+                )
+            })
+            it("objects & siblings-templates", function () {
+                const config = {
+                    $template: { url: "${HOST}:${PORT | -d:'80'}" },
+                    dev: { user: "${DEV_USER | -m}" },
+                    prod: {},
+                    list: ["${X}", 1],
+                }
+                const refs = macroInt.listReferences(config, {
+                    exclude: ["user"],
+                })
+                assert.deepEqual(
+                    refs.map((ref) => [ref.key, ref.path.join(".")]),
+                    [
+                        ["HOST", "dev.url"],
+                        ["PORT", "dev.url"],
+                        ["HOST", "prod.url"],
+                        ["PORT", "prod.url"],
+                        ["X", "list.0"],
+                        // the template is applied to the array, too
+                        ["HOST", "list.url"],
+                        ["PORT", "list.url"],
+                    ]
+                )
+                // The object isn't modified
+                assert.deepEqual(config.prod, {})
+                expect(() => macroInt.listReferences("${x}", {})).to.throw(
+                    MacroInt.MacroIntError
+                )
+            })
+        })
+
+        describe(".compile & template-cache", function () {
+            let oldCacheSize
+            beforeEach(() => {
+                oldCacheSize = MacroInt.templateCacheSize
+                MacroInt._templateCache.clear()
+                macroInt = new MacroInt({ name: "World", num: 42 })
+            })
+            afterEach(() => {
+                MacroInt.templateCacheSize = oldCacheSize
+            })
+            it(".compile - evaluate multiple times", function () {
+                const greet = macroInt.compile("Hello ${name}!")
+                assert.equal(greet(), "Hello World!")
+                assert.equal(greet({ name: "Universe" }), "Hello Universe!")
+                assert.equal(greet([{}, { name: "You" }]), "Hello You!")
+                // The repositories of the instance are not changed
+                assert.equal(greet(), "Hello World!")
+                assert.equal(macroInt._repositories.length, 1)
+            })
+            it(".compile - result type & errors", function () {
+                assert.equal(macroInt.compile("${num}")(), 42)
+                const fn = macroInt.compile("${xxx | -m}")
+                expect(() => fn()).to.throw(/mandatory expression/)
+                assert.equal(fn({ xxx: 1 }), 1)
+                assert.equal(macroInt.errors.length, 0)
+                expect(() => macroInt.compile(123)).to.throw(TypeError)
+            })
+            it(".compile - nested calls", function () {
+                const inner = macroInt.compile("${name}-${xxx | -m}")
+                MacroInt.registerModifier("inner", (_, macroValue) => {
+                    try {
+                        return inner({ name: macroValue })
+                    } catch (e) {
+                        return e.errors.length
+                    }
+                })
+                try {
+                    const outer = macroInt.compile("${name | inner}/${num}")
+                    assert.equal(outer(), "1/42")
+                    assert.equal(outer({ name: "x", num: 1 }), "1/1")
+                    macroInt._throwErrors = false
+                    assert.equal(outer(), "World-undefined/42")
+                    assert.equal(macroInt.errors.length, 1)
+                } finally {
+                    MacroInt.unregisterModifier("inner")
+                }
+                assert.equal(macroInt._repositories.length, 1)
+            })
+            it("resolve() uses the cache", function () {
+                macroInt.resolve("${name}")
+                macroInt.resolve("${name}")
+                assert.equal(MacroInt._templateCache.size, 1)
+                // Different symbols => different syntax-tree
+                new MacroInt(
+                    { name: "x" },
+                    { symbols: { macroBegin: "{{", macroEnd: "}}" } }
+                ).resolve("${name}")
+                assert.equal(MacroInt._templateCache.size, 1)
+                assert.equal(MacroInt._templateCache.get("${name}").size, 2)
+            })
+            it("cache-size", function () {
+                MacroInt.templateCacheSize = 2
+                macroInt.resolve("${name}1")
+                macroInt.resolve("${name}2")
+                macroInt.resolve("${name}3")
+                assert.equal(MacroInt._templateCache.size, 2)
+                assert.equal(macroInt.resolve("${name}1"), "World1")
+                // A hit makes the entry the most recently used one
+                assert.deepEqual(Array.from(MacroInt._templateCache.keys()), [
+                    "${name}3",
+                    "${name}1",
+                ])
+                macroInt.resolve("${name}3")
+                macroInt.resolve("${name}5")
+                assert.deepEqual(Array.from(MacroInt._templateCache.keys()), [
+                    "${name}3",
+                    "${name}5",
+                ])
+
+                MacroInt.templateCacheSize = 0
+                MacroInt._templateCache.clear()
+                assert.equal(macroInt.resolve("${name}4"), "World4")
+                assert.equal(MacroInt._templateCache.size, 0)
+            })
+            it("large config - syntax-trees are reused", function () {
+                const repository = {}
+                const template = {}
+                for (let i = 0; i < 100; i++) {
+                    repository["key" + i] = "value" + i
+                    template["prop" + i] = {
+                        url: "https://${key" + i + "}/${key" + (i + 1) + "}",
+                        port: "${port | -d:'8080' | toNumber}",
+                    }
+                }
+                const json = JSON.stringify(template)
+                macroInt = new MacroInt(repository)
+                const parse = macroInt.parse
+                let parseCount = 0
+                macroInt.parse = function (expression) {
+                    parseCount++
+                    return parse.call(this, expression)
+                }
+
+                const first = macroInt.resolve(JSON.parse(json))
+                // 100 urls and 1 port-expression
+                assert.equal(parseCount, 101)
+                assert.equal(MacroInt._templateCache.size, 101)
+                const second = macroInt.resolve(JSON.parse(json))
+                assert.equal(parseCount, 101)
+                assert.deepEqual(second, first)
+                assert.equal(first.prop1.url, "https://value1/value2")
+                assert.strictEqual(
+                    macroInt._getTemplate("${key1}"),
+                    macroInt._getTemplate("${key1}")
+                )
+
+                // The least recently used entries are evicted
+                MacroInt.templateCacheSize = 50
+                MacroInt._templateCache.clear()
+                parseCount = 0
+                macroInt.resolve(JSON.parse(json))
+                assert.equal(MacroInt._templateCache.size, 50)
+                assert.equal(parseCount, 101)
+                macroInt.resolve(JSON.parse(json))
+                // Only the port-expression is used often enough
+                assert.equal(parseCount, 201)
+                assert.isTrue(
+                    MacroInt._templateCache.has(
+                        "${port | -d:'8080' | toNumber}"
+                    )
+                )
+                assert.isFalse(
+                    MacroInt._templateCache.has("https://${key0}/${key1}")
+                )
+            })
+        })
+
         describe("Modifiers", function () {
+            it("Custom Callback with multiple parameters", function () {
+                macroInt = new MacroInt(
+                    { x: "X", y: 5 },
+                    { throwErrors: false }
+                )
+                let calls = 0
+                MacroInt.registerModifier(
+                    "args",
+                    (macroInt, macroValue, params, args) => {
+                        calls++
+                        return [params, args]
+                    },
+                    { args: true }
+                )
+                macroInt._propertyPath = ["p1"]
+                assert.deepEqual(
+                    macroInt.resolve(
+                        "${x | args: 'a,b', \"c\" , ${y}, [1, 2], true, -0.5, null, x, zz, ^-1, _${y}_}"
+                    ),
+                    [
+                        "'a,b', \"c\" , 5, [1, 2], true, -0.5, null, x, zz, ^-1, _5_",
+                        [
+                            "a,b",
+                            "c",
+                            5,
+                            [1, 2],
+                            true,
+                            -0.5,
+                            null,
+                            "X",
+                            "zz",
+                            "p1",
+                            "_5_",
+                        ],
+                    ]
+                )
+                assert.deepEqual(macroInt.resolve("${x | args}"), [
+                    undefined,
+                    [],
+                ])
+                assert.deepEqual(macroInt.resolve("${x | args:}"), ["", []])
+                // The parameters aren't additional constant values
+                assert.deepEqual(macroInt.resolve("${'c' | args: 'a'}"), [
+                    "'a'",
+                    ["a"],
+                ])
+                assert.equal(macroInt.errors.length, 0)
+                assert.equal(calls, 4)
+                MacroInt.unregisterModifier("args")
+
+                // The metadata decides about the args (not the declared parameters)
+                MacroInt.registerModifier(
+                    "restArgs",
+                    (...params) => params[3],
+                    { args: true }
+                )
+                MacroInt.registerModifier(
+                    "noArgs",
+                    (macroInt, macroValue, params, args) => args
+                )
+                assert.deepEqual(macroInt.resolve("${x | restArgs: a, 1}"), [
+                    "a",
+                    1,
+                ])
+                assert.equal(macroInt.resolve("${x | noArgs: a, 1}"), undefined)
+                MacroInt.unregisterModifier(["restArgs", "noArgs"])
+            })
+            it("Lazy evaluation of parameters", function () {
+                const lookups = []
+                macroInt = new MacroInt([
+                    { x: "X", empty: "" },
+                    (key) => {
+                        lookups.push(key)
+                        return key === "y" ? "Y" : undefined
+                    },
+                ])
+                // The default isn't retrieved if the macro has a value
+                assert.equal(macroInt.resolve("${x | -d:y | -d:z}"), "X")
+                assert.deepEqual(lookups, [])
+                assert.equal(macroInt.resolve("${a | -d:y | -d:z}"), "Y")
+                assert.deepEqual(lookups, ["a", "y"])
+                // but values after constants are still recognized
+                macroInt._throwErrors = false
+                macroInt.resolve("${x | -d:'c' | -d:z}")
+                assert.equal(macroInt.errors[0].code, "unused-constant")
+                assert.deepEqual(lookups, ["a", "y"])
+                macroInt._throwErrors = true
+
+                // args are evaluated when they are read
+                lookups.length = 0
+                MacroInt.registerModifier(
+                    "ifEmpty",
+                    (macroInt, macroValue, params, args) =>
+                        macroValue === "" ? args[0] : macroValue,
+                    { args: true }
+                )
+                assert.equal(macroInt.resolve("${x | ifEmpty: y}"), "X")
+                assert.equal(macroInt.resolve("${empty | ifEmpty: y}"), "Y")
+                assert.deepEqual(lookups, ["y"])
+                MacroInt.unregisterModifier("ifEmpty")
+
+                // nested macros are evaluated when the default is retrieved
+                lookups.length = 0
+                assert.equal(macroInt.resolve("${x | -d:${expensive}}"), "X")
+                assert.deepEqual(lookups, [])
+                assert.equal(macroInt.resolve("${a | -d:${b | -d:'y'}}"), "Y")
+                assert.deepEqual(lookups, ["a", "b", "y"])
+                lookups.length = 0
+                assert.equal(
+                    macroInt.resolve("${empty | -alt:${expensive}}"),
+                    ""
+                )
+                macroInt._throwErrors = false
+                macroInt.resolve("${x | -m:${expensive}}")
+                assert.deepEqual(lookups, [])
+                macroInt.resolve("${a | -m:${b | -d:'y'}}")
+                assert.include(
+                    macroInt.errors[0].message,
+                    "The result of the mandatory expression is undefined: Y"
+                )
+                assert.deepEqual(lookups, ["a", "b", "y"])
+            })
+            it("Lazy evaluation of nested macros - async", async function () {
+                const lookups = []
+                macroInt = new MacroInt([
+                    { x: "X" },
+                    async (key) => {
+                        lookups.push(key)
+                        return key === "y" ? "Y" : undefined
+                    },
+                ])
+                assert.equal(
+                    await macroInt.resolveAsync("${x | -d:${expensive}}"),
+                    "X"
+                )
+                assert.deepEqual(lookups, [])
+                assert.equal(
+                    await macroInt.resolveAsync("${a | -d:${b | -d:'y'}}!"),
+                    "Y!"
+                )
+                assert.deepEqual(lookups, ["a", "b", "y"])
+            })
+            it(".evaluateParam & .skipValue", async function () {
+                macroInt = new MacroInt({ y: "Y" })
+                macroInt._hasConstant = true
+                assert.equal(macroInt.evaluateParam("'c'"), "c")
+                assert.equal(macroInt.evaluateParam("y"), "Y")
+                assert.equal(macroInt.evaluateParam("z"), undefined)
+                assert.equal(macroInt.evaluateParam("z", true), "z")
+                assert.isTrue(macroInt._hasConstant)
+                assert.equal(macroInt.errors.length, 0)
+
+                macroInt._hasConstant = false
+                macroInt.skipValue("y")
+                assert.isFalse(macroInt._hasConstant)
+                macroInt.skipValue("8080")
+                assert.isTrue(macroInt._hasConstant)
+                macroInt.skipValue("y")
+                assert.equal(macroInt.errors[0].code, "unused-constant")
+
+                // during resolveAsync the args are Promises
+                MacroInt.registerModifier(
+                    "second",
+                    (macroInt, macroValue, params, args) => args[1],
+                    { args: true }
+                )
+                macroInt = new MacroInt(async (key) => key.toUpperCase())
+                assert.equal(
+                    await macroInt.resolveAsync("${x | second: a, b}"),
+                    "B"
+                )
+                MacroInt.unregisterModifier("second")
+            })
             it("Custom Callback & Callback-Parameters", function () {
                 macroInt = new MacroInt()
 
@@ -406,8 +1871,8 @@ describe("MacroInt module", function () {
                     assert.equal(result, expectedResult, errorText)
                     if (expectedErrorText) {
                         assert.isDefined(
-                            macroInt.errors.find((text) =>
-                                text.includes(expectedErrorText)
+                            macroInt.errors.find((e) =>
+                                e.message.includes(expectedErrorText)
                             ),
                             errorText
                         )
@@ -491,6 +1956,253 @@ describe("MacroInt module", function () {
                 )
                 modifierTest([["-d: 'default'|-u"]], undefined, "DEFAULT")
             })
+            it("String-Modifiers", function () {
+                modifierTest(["trim", "-t"], "'  a b  '", "a b")
+                modifierTest(["replace: a, o", "-re:a,o"], "'banana'", "bonono")
+                modifierTest(
+                    ["replace: '/tmp/', '/var/'"],
+                    "'/tmp/x/tmp/'",
+                    "/var/x/var/"
+                )
+                modifierTest(["replace: '.', '$&'"], "'a.b.c'", "a$&b$&c")
+                modifierTest(
+                    [
+                        "replaceRegex: '(\\\\d+)-(\\\\d+)', '$2-$1'",
+                        "-rx:'(\\\\d+)-(\\\\d+)','$2-$1'",
+                    ],
+                    "'1-2 3-4'",
+                    "2-1 4-3"
+                )
+                modifierTest(["replaceRegex: A, x, gi"], "'aAb'", "xxb")
+                modifierTest(["replaceRegex: a, x, ''"], "'aab'", "xab")
+                modifierTest(["substring: 0, 3", "-ss:0,3"], "'abcdef'", "abc")
+                modifierTest(["substring: -2"], "'abcdef'", "ef")
+                modifierTest(["padStart: 5, 0", "-ps:5,0"], "123", "00123")
+                modifierTest(["padEnd: 5"], "'ab'", "ab   ")
+                modifierTest(["-pe:5, '.'"], "'ab'", "ab...")
+                modifierTest(["prefix: ':'", "-pf:':'"], "123", ":123")
+                modifierTest(["suffix: '/'", "-sf:'/'"], "''", "")
+                modifierTest(
+                    ["capitalize", "-cap"],
+                    "'hello world'",
+                    "Hello world"
+                )
+                modifierTest(
+                    ["camelCase", "-cc"],
+                    "'my-HTTP_server'",
+                    "myHttpServer"
+                )
+                modifierTest(
+                    ["kebabCase", "-kc"],
+                    "'myHTTPServer'",
+                    "my-http-server"
+                )
+                modifierTest(["snakeCase", "-sc"], "'My App'", "my_app")
+                modifierTest(
+                    ["camelCase"],
+                    "'größe der datei'",
+                    "größeDerDatei"
+                )
+                modifierTest(["kebabCase"], "'Café Münster'", "café-münster")
+                modifierTest(
+                    ["snakeCase"],
+                    "'straßeÜberBrücke'",
+                    "straße_über_brücke"
+                )
+                modifierTest(
+                    ["truncate: 8", "-tr:8"],
+                    "'Hello World'",
+                    "Hello..."
+                )
+                modifierTest(["truncate: 5, ''"], "'Hello World'", "Hello")
+                modifierTest(["truncate: 20"], "'Hello World'", "Hello World")
+                modifierTest(["repeat: 3", "-rp:3"], "'ab'", "ababab")
+                modifierTest(["repeat: 3, '-'"], "1", "1-1-1")
+                modifierTest(["trim"], undefined, undefined)
+            })
+            it("String-Modifiers: arrays", function () {
+                macroInt = new MacroInt({ hosts: "a, b ,c", list: [" x", 1] })
+                assert.deepEqual(macroInt.resolve("${hosts | split | trim}"), [
+                    "a",
+                    "b",
+                    "c",
+                ])
+                assert.equal(
+                    macroInt.resolve("${hosts | -sp | -t | join: ' '}"),
+                    "a b c"
+                )
+                assert.deepEqual(macroInt.resolve("${list | trim}"), ["x", "1"])
+                assert.equal(macroInt.resolve("${list | -t | -j:';'}"), "x;1")
+                assert.equal(macroInt.resolve("${'x' | join}"), "x")
+            })
+            it("String-Modifiers: invalid parameters", function () {
+                modifierTest(
+                    ["padStart: abc"],
+                    "123",
+                    "123",
+                    'modifier padStart: The length "abc" must be a non-negative integer.'
+                )
+                modifierTest(
+                    ["truncate: -1"],
+                    "'abc'",
+                    "abc",
+                    "modifier truncate:"
+                )
+                modifierTest(["repeat"], "'abc'", "abc", "modifier repeat:")
+                // The results are limited by options.maxLength
+                modifierTest(
+                    ["repeat: 1e9", "padStart: 1e9", "padEnd: 1000001"],
+                    "'abc'",
+                    "abc",
+                    "The maximum is 1000000 (see options.maxLength)."
+                )
+                modifierTest(["repeat: 1e12"], "''", "")
+                macroInt = new MacroInt({}, { maxLength: 5 })
+                assert.equal(
+                    macroInt.resolve("${'ab' | repeat: 2, '-'}"),
+                    "ab-ab"
+                )
+                assert.equal(macroInt.resolve("${'ab' | padEnd: 5}"), "ab   ")
+                assert.throws(
+                    () => macroInt.resolve("${'ab' | repeat: 3}"),
+                    "modifier repeat: The result would have 6 characters."
+                )
+                assert.throws(
+                    () => new MacroInt({}, { maxLength: 0 }),
+                    MacroInt.MacroIntError,
+                    "options.maxLength"
+                )
+                modifierTest(
+                    ["substring: 1.5"],
+                    "'abc'",
+                    "abc",
+                    "must be an integer"
+                )
+                modifierTest(
+                    ["replace"],
+                    "'abc'",
+                    "abc",
+                    "search-value is missing"
+                )
+                modifierTest(
+                    ["replaceRegex"],
+                    "'abc'",
+                    "abc",
+                    "pattern is missing"
+                )
+                modifierTest(
+                    ["replaceRegex: '('"],
+                    "'abc'",
+                    "abc",
+                    'Invalid regular expression "/(/g"'
+                )
+                assert.equal(macroInt.errors[0].code, "invalid-param")
+            })
+            it("Encoding-Modifiers", function () {
+                modifierTest(
+                    ["urlEncode", "-ue"],
+                    "'a b&c/ä'",
+                    "a%20b%26c%2F%C3%A4"
+                )
+                modifierTest(["urlDecode", "-ud"], "'a%20b%26c'", "a b&c")
+                modifierTest(
+                    ["htmlEscape", "-he"],
+                    "'<a title=\"x\">it\\'s & more</a>'",
+                    "&lt;a title=&quot;x&quot;&gt;it&#39;s &amp; more&lt;/a&gt;"
+                )
+                modifierTest(["jsonEscape", "-je"], "'a\"b'", 'a\\"b')
+                modifierTest(["toJSON", "-json"], "'x'", '"x"')
+                modifierTest(["toJSON"], "123", "123")
+                modifierTest(["toJSON"], "true", "true")
+                modifierTest(["base64", "-b64"], "'a b&c/ä'", "YSBiJmMvw6Q=")
+                modifierTest(
+                    ["base64Decode", "-b64d"],
+                    "'YSBiJmMvw6Q='",
+                    "a b&c/ä"
+                )
+                modifierTest(["base64url", "-b64u"], "'ä?>'", "w6Q_Pg")
+                modifierTest(["base64urlDecode", "-b64ud"], "'w6Q_Pg'", "ä?>")
+                modifierTest(["hex", "-hex"], "123", "313233")
+                modifierTest(["hexDecode", "-hexd"], "'313233'", "123")
+                modifierTest(["shellQuote", "-sq"], "'it\\'s'", "'it'\\''s'")
+                modifierTest(["base64"], undefined, undefined)
+            })
+            it("Encoding-Modifiers: non-string values", function () {
+                macroInt = new MacroInt({
+                    obj: { a: 1, b: [true, "<"] },
+                    arr: ["my file", 1],
+                    nul: null,
+                    json: '{"a":[1,2]}',
+                })
+                assert.equal(
+                    macroInt.resolve("${obj | toJSON}"),
+                    '{"a":1,"b":[true,"<"]}'
+                )
+                assert.equal(
+                    macroInt.resolve("${arr | toJSON: 1}"),
+                    '[\n "my file",\n 1\n]'
+                )
+                assert.equal(macroInt.resolve("${nul | toJSON}"), "null")
+                assert.equal(
+                    macroInt.resolve("${obj | htmlEscape}"),
+                    "{&quot;a&quot;:1,&quot;b&quot;:[true,&quot;&lt;&quot;]}"
+                )
+                assert.deepEqual(macroInt.resolve("${arr | shellQuote}"), [
+                    "'my file'",
+                    "'1'",
+                ])
+                assert.equal(
+                    macroInt.resolve("rm ${arr | -sq | join: ' '}"),
+                    "rm 'my file' '1'"
+                )
+                assert.deepEqual(macroInt.resolve("${json | parseJSON}"), {
+                    a: [1, 2],
+                })
+                assert.deepEqual(macroInt.resolve("${obj | fromJSON}"), {
+                    a: 1,
+                    b: [true, "<"],
+                })
+                assert.isNull(macroInt.resolve("${nul | urlEncode}"))
+            })
+            it("Encoding-Modifiers: invalid values", function () {
+                modifierTest(
+                    ["base64Decode"],
+                    "'abc!'",
+                    undefined,
+                    'modifier base64Decode: "abc!" is no valid base64-string.'
+                )
+                modifierTest(["hexDecode"], "'abc'", undefined, "hexDecode")
+                modifierTest(
+                    ["base64urlDecode"],
+                    "'a-b_c'",
+                    undefined,
+                    'modifier base64urlDecode: "a-b_c" is no valid base64url-string.'
+                )
+                assert.equal(macroInt.errors[0].code, "invalid-encoding")
+                modifierTest(["base64urlDecode"], "'YWI'", "ab")
+                modifierTest(
+                    ["urlDecode"],
+                    "'%E0%A4%A'",
+                    undefined,
+                    "urlDecode"
+                )
+                modifierTest(["parseJSON"], "'{x'", undefined, "parseJSON")
+                modifierTest(["toJSON: x"], "'a'", undefined, "indent")
+                assert.equal(macroInt.errors[0].code, "invalid-param")
+                modifierTest(["-pj"], "'[1'", undefined)
+                assert.equal(macroInt.errors[0].code, "invalid-encoding")
+            })
+            it("String-Modifiers: resolveAsync", async function () {
+                macroInt = new MacroInt([
+                    async (macroKey) => ({ len: 4, fill: "*" }[macroKey]),
+                ])
+                assert.equal(
+                    await macroInt.resolveAsync(
+                        "${'ab' | padStart: len, fill}"
+                    ),
+                    "**ab"
+                )
+            })
         })
 
         describe(".resolve - String", function () {
@@ -550,18 +2262,20 @@ describe("MacroInt module", function () {
                 )
             })
             it("invalid macro-expression", function () {
+                // "macro1[1]" is a valid key-path (the 2nd character)
                 testMacro(
-                    "${macro []}${macro1[1]}",
-                    UNDEFINED_VALUE + UNDEFINED_VALUE
+                    "${macro []}${macro1[1]}${macro1[x]}",
+                    UNDEFINED_VALUE + "a" + UNDEFINED_VALUE
                 )
             })
             it("empty macro-expressions", function () {
                 testMacro("${}", undefined)
             })
             it("mixed 'good' and invalid macro-expressions", function () {
+                // "[2]" is a JSON-literal
                 testMacro(
                     "x ${ macro }/${macro2}/${macro[2]}/${[2]}/${macro3[1]",
-                    "x macro_result/macro2_result/undefined/undefined/${macro3[1]"
+                    "x macro_result/macro2_result/c/2/${macro3[1]"
                 )
             })
             it("escaped (\\${...}) macro-expressions", function () {
@@ -652,6 +2366,58 @@ describe("MacroInt module", function () {
                 })
                 testMacro("${recursive1}", "recursive4")
             })
+            it("cyclic macro expansion", function () {
+                macroInt.registerRepository({
+                    cyclic1: "${cyclic2}",
+                    cyclic2: "_${cyclic3}",
+                    cyclic3: "${cyclic1 | -d:'x'}",
+                    self: "${self}",
+                })
+                testMacro("${cyclic1}", "_x", [
+                    'Cyclic macro-reference "cyclic1 -> cyclic2 -> cyclic3 -> cyclic1"',
+                ])
+                macroInt.errors.length = 0
+                testMacro("${self}", undefined, [
+                    'Cyclic macro-reference "self -> self"',
+                ])
+                macroInt.errors.length = 0
+                // the same key in different branches is no cycle
+                macroInt.registerRepository({ twice: "${macro}/${macro}" })
+                testMacro(
+                    "${twice}|${twice}",
+                    "macro_result/macro_result|macro_result/macro_result"
+                )
+            })
+            it("maximum nesting-depth", function () {
+                const repository = {}
+                for (let i = 0; i < 200; i++)
+                    repository["level" + i] = "${level" + (i + 1) + "}"
+                repository.level200 = "bottom"
+                macroInt.registerRepository(repository)
+                testMacro("${level0}", undefined, [
+                    ["Maximum nesting-depth (100)", "level0 -> level1 -> "],
+                ])
+                macroInt.errors.length = 0
+                testMacro("${level150}", "bottom")
+
+                macroInt = new MacroInt(repository, {
+                    maxDepth: 3,
+                    throwErrors: false,
+                })
+                testMacro("${level197}", "bottom")
+                testMacro("${level196}", undefined, [
+                    'Maximum nesting-depth (3) of macro-values exceeded "level196 -> level197 -> level198 -> level199"',
+                ])
+
+                // A limit that isn't a positive integer is an invalid option
+                for (const maxDepth of ["abc", NaN, 0, -1, 2.5, Infinity])
+                    assert.throws(
+                        () => new MacroInt(repository, { maxDepth }),
+                        MacroInt.MacroIntError,
+                        "options.maxDepth"
+                    )
+                assert.equal(new MacroInt({}, { maxDepth: "5" })._maxDepth, 5)
+            })
             it("recursive macro expansion with default", function () {
                 // ${recursive1} => ${recursive2} => ${recursive3} => undefined | -d:'default' => 'default'
                 macroInt.registerRepository({
@@ -707,6 +2473,219 @@ describe("MacroInt module", function () {
                     ['The default-value "ma_"'] // multiple errors
                 )
             })
+            it("string-constants with separators & macro-end", function () {
+                testMacro("${macro_ | default: 'a|b'}", "a|b")
+                testMacro('${macro_ | -d:"{json: 1}"}', "{json: 1}")
+                testMacro("${macro_ | -d:`a:b|c}`}", "a:b|c}")
+                testMacro("${ 'x|y' | upper}", "X|Y")
+                // escaped quotes inside of the string
+                testMacro("${macro_ | -d:'it\\'s'}", "it's")
+                // macros inside of the string are resolved
+                testMacro("${macro_ | -d:'${macro}|'}", "macro_result|")
+                // quotes only start a string at the begin of the key/params
+                testMacro("${macro_ | -d:macro1'|'}", undefined, [
+                    'The default-value "macro1\'"',
+                    'Unknown modifier "\'"',
+                ])
+                macroInt.errors.length = 0
+                // no closing quote => no string
+                testMacro("${macro_ | -d:'macro1}", undefined, [
+                    'The default-value "\'macro1"',
+                ])
+            })
+            it("literal constants", function () {
+                testMacro("${macro_ | default: 8080}", 8080)
+                testMacro("${-1.5e2}", -150)
+                testMacro("${ true }", true)
+                testMacro("${macro_ | -d:false}", false)
+                testMacro("${null}", null)
+                assert.deepEqual(
+                    macroInt.resolve('${macro_ | default: ["a", "b"]}'),
+                    ["a", "b"]
+                )
+                assert.deepEqual(
+                    macroInt.resolve('${macro_ | -d:{"a": {"b": "}|:"}}}'),
+                    { a: { b: "}|:" } }
+                )
+                assert.deepEqual(
+                    macroInt.resolve('${macro_ | -d:{"m": "${macro}"}}'),
+                    { m: "macro_result" }
+                )
+                checkErrors()
+                // embedded in a string
+                testMacro("port=${macro_ | -d:8080}", "port=8080")
+                testMacro('[${macro_ | -d:["a"]}]', "[a]")
+                // no literals
+                testMacro("${8080a}", undefined)
+                testMacro("${macro_ | -d:{invalid}}", undefined, [
+                    'The default-value "{invalid}"',
+                ])
+                macroInt.errors.length = 0
+                testMacro("${macro_ | -d:1 | -d:2}", 1, [
+                    "Unused modifier-value after constant value.",
+                ])
+                macroInt.errors.length = 0
+                // brackets without a matching closing bracket are no literals
+                macroInt.registerRepository({ "[": "b", "[1,2": "k" })
+                testMacro("${macro | -d: [}", "macro_result")
+                testMacro("${macro_ | -d: [}", "b")
+                testMacro("${ [1,2 }", "k")
+                testMacro("${ [1,2} ]", "k ]")
+                testMacro("${macro_ | -d: [(]}", undefined, [
+                    'The default-value "[(]"',
+                ])
+                macroInt.errors.length = 0
+                assert.deepEqual(
+                    macroInt.resolve('${macro_ | -d: [1, {"a": [2]}, "(]"]}'),
+                    [1, { a: [2] }, "(]"]
+                )
+            })
+            it("if-modifier", function () {
+                macroInt.registerRepository({
+                    env: "prod",
+                    db: { prodUrl: "P", devUrl: "D" },
+                    port: "8080",
+                })
+                testMacro("${env | if: 'prod' ? db.prodUrl : db.devUrl}", "P")
+                testMacro("${env | if: dev ? db.prodUrl : db.devUrl}", "D")
+                testMacro("${env | -if: == env ? 'same' : 'other'}", "same")
+                testMacro("${env | if: != 'prod' ? 1 : 2}", 2)
+                testMacro("${port | if: 8080 ? true : false}", true)
+                testMacro("${macro_ | if: exists ? 1 : 2}", 2)
+                testMacro("${macro_ | if: !exists ? 1}", 1)
+                testMacro("${macro | if: !exists ? 1}", undefined)
+                testMacro("${env | if: ~ /^PR?O/i ? 'y' : 'n'}", "y")
+                testMacro("${env | if: !~ 'dev|test' ? 'y' : 'n'}", "y")
+                testMacro("${port | if: ~ /^\\\\d+$/ ? 'y' : 'n'}", "y")
+                testMacro("${env | if: 'a:b?' ? 1 : 'x?:y'}", "x?:y")
+                // only the operand and the chosen macroKey are retrieved
+                const lookups = []
+                macroInt.registerRepository(
+                    (key) => lookups.push(key) && undefined
+                )
+                testMacro("${env | if: prod ? db.prodUrl : unknown}", "P")
+                assert.deepEqual(lookups, ["prod"])
+            })
+            it("if-modifier - errors", function () {
+                testMacro("${macro | if: macro_result}", "macro_result", [
+                    'Invalid if-modifier "macro_result"',
+                ])
+                macroInt.errors.length = 0
+                testMacro("${macro | if: ? 1 : 2}", "macro_result", [
+                    'Invalid if-modifier "? 1 : 2"',
+                ])
+                macroInt.errors.length = 0
+                testMacro("${macro | if: ~ /(/ ? 1}", "macro_result", [
+                    'Invalid regular expression "/(/"',
+                ])
+                assert.equal(macroInt.errors[0].code, "invalid-condition")
+            })
+            it("expressions", function () {
+                macroInt.registerRepository({
+                    workers: "4",
+                    port: 8080,
+                    "my-key": 10,
+                    debug: "false",
+                    env: "prod",
+                    server: { timeoutSec: 2 },
+                })
+                assert.strictEqual(macroInt.resolve("${workers * 2}"), 8)
+                assert.strictEqual(macroInt.resolve("${port + 1}"), 8081)
+                assert.strictEqual(macroInt.resolve("${(number - 3) / 4}"), 30)
+                assert.strictEqual(macroInt.resolve("${-number % 100}"), -23)
+                assert.strictEqual(macroInt.resolve("${my-key - 1}"), 9)
+                assert.strictEqual(
+                    macroInt.resolve("${server.timeoutSec * 1000}"),
+                    2000
+                )
+                assert.strictEqual(macroInt.resolve("${1 + 2 * 3}"), 7)
+                // comparisons & boolean logic
+                assert.strictEqual(macroInt.resolve("${workers >= 4}"), true)
+                assert.strictEqual(macroInt.resolve("${workers < 10}"), true)
+                assert.strictEqual(macroInt.resolve("${env == 'prod'}"), true)
+                assert.strictEqual(macroInt.resolve("${env != macro}"), true)
+                assert.strictEqual(
+                    macroInt.resolve("${port > 1024 and not debug}"),
+                    true
+                )
+                assert.strictEqual(
+                    macroInt.resolve("${!bool or (debug && port)}"),
+                    false
+                )
+                checkErrors()
+                // embedded in a string and with modifiers
+                testMacro("port: ${port + 1}", "port: 8081")
+                testMacro("${macro_ * 2 | default: 'none'}", "none")
+                testMacro("${workers * 2 | if: 8 ? 'eight'}", "eight")
+                // no expressions
+                testMacro("${'a + b'}", "a + b")
+                testMacro("${1e+2}", 100)
+                testMacro("${macro result}", undefined)
+            })
+            it("expressions - operator-characters in keys", function () {
+                macroInt = new MacroInt(
+                    { "a/b": 1, "a+b": 2, "x%": 3, "a==b": 4 },
+                    { throwErrors: false }
+                )
+                testMacro("${a/b}", 1)
+                testMacro("${a+b}", 2)
+                testMacro("${x%}", 3)
+                testMacro("${a==b}", 4)
+                testMacro("${a/b + a+b}", 3)
+                testMacro("${(a/b + 1) * x%}", 6)
+                // path-like keys are passed unchanged to the repositories
+                const lookups = []
+                macroInt.registerRepository((key) => {
+                    lookups.push(key)
+                    return key === "secret/db" ? "pwd" : undefined
+                })
+                testMacro("${secret/db | upper}", "PWD")
+                assert.deepEqual(lookups, ["secret/db"])
+                assert.deepEqual(
+                    macroInt.listReferences("${a/b}").map((ref) => ref.key),
+                    ["a/b"]
+                )
+            })
+            it("fallback-chains (??)", function () {
+                macroInt.registerRepository({ nil: null, env: "dev" })
+                testMacro("${macro_ ?? macro1 ?? 'not found'}", "macro1_result")
+                testMacro("${macro_ ?? macro1_ ?? 'not found'}", "not found")
+                testMacro("${macro_ ?? number}", 123)
+                testMacro("${empty ?? macro}", "")
+                assert.strictEqual(macroInt.resolve("${nil ?? macro}"), null)
+                // before modifiers and in nested macros
+                testMacro("${macro_ ?? macro | upper}", "MACRO_RESULT")
+                testMacro("${${env_ ?? 'macro'}1}", "macro1_result")
+                testMacro("${macro_ ?? macro1_ | -d:'x'}", "x")
+                // null and "" are missing, too
+                macroInt = new MacroInt(
+                    { nil: null, empty: "", macro: "macro_result" },
+                    { emptyIsMissing: true }
+                )
+                testMacro("${nil ?? empty ?? macro}", "macro_result")
+                // the remaining keys aren't retrieved
+                const lookups = []
+                macroInt.registerRepository(
+                    (key) => lookups.push(key) && undefined
+                )
+                testMacro("${unknown ?? macro ?? unknown2}", "macro_result")
+                assert.deepEqual(lookups, ["unknown"])
+            })
+            it("expressions - errors", function () {
+                testMacro("${macro * 2}", undefined, [
+                    'Operand "macro_result" of operator "*" is no number. <== ${macro * 2}',
+                ])
+                assert.equal(macroInt.errors[0].code, "bad-number")
+                macroInt.errors.length = 0
+                // only the needed operands are retrieved
+                const lookups = []
+                macroInt.registerRepository(
+                    (key) => lookups.push(key) && undefined
+                )
+                testMacro("${bool or unknown1}", true)
+                testMacro("${number > unknown2}", undefined)
+                assert.deepEqual(lookups, ["unknown2"])
+            })
             it("chained macros - mixed macro & path", function () {
                 testMacro("${macro | -d: '${^-1}'}", "macro_result")
                 testMacro("${macro_ | -d: '${^-1}'}", "L4")
@@ -829,6 +2808,86 @@ describe("MacroInt module", function () {
                     macroInt.resolve({}, { xxx: "", exclude: [] })
                 }).to.throw()
             })
+            it("options parameter 'clone'", () => {
+                const defaults = {
+                    $template: { url: "${URL}", key: "${^-2}" },
+                    parent1: { name: "${^-2}" },
+                    list: ["${parent1_URL}", { x: "${subObj1_URL}" }],
+                    skipped: "${URL}",
+                }
+                defaults.self = defaults
+                const copy = JSON.stringify(
+                    Object.assign({}, defaults, { self: 0 })
+                )
+                result = macroInt.resolve(defaults, {
+                    clone: true,
+                    exclude: ["skipped"],
+                })
+                // The input is untouched
+                assert.equal(
+                    JSON.stringify(Object.assign({}, defaults, { self: 0 })),
+                    copy
+                )
+                assert.strictEqual(defaults.self, defaults)
+                assert.notStrictEqual(result, defaults)
+                assert.deepEqual(result.parent1, {
+                    name: "parent1",
+                    url: "base_url",
+                    key: "parent1",
+                })
+                assert.equal(result.list[0], "parent1_url")
+                assert.equal(result.list[1].x, "subObj1_url")
+                assert.equal(result.skipped, "${URL}")
+                // The copy keeps the circular reference
+                assert.strictEqual(result.self, result)
+            })
+            it("options parameter 'clone' - class-instances", async () => {
+                class Cfg {
+                    url = "${URL}"
+                }
+                const src = {
+                    c: new Cfg(),
+                    $template: { x: "${URL}" },
+                    list: [new Cfg()],
+                }
+                result = macroInt.resolve(src, { clone: true })
+                // Instances aren't copied, so they are neither resolved nor modified
+                assert.deepEqual(Object.keys(src.c), ["url"])
+                assert.equal(src.c.url, "${URL}")
+                assert.strictEqual(result.c, src.c)
+                assert.equal(src.list[0].url, "${URL}")
+                result = await macroInt.resolveAsync(src, { clone: true })
+                assert.deepEqual(Object.keys(src.c), ["url"])
+                assert.equal(src.c.url, "${URL}")
+                // Without clone the instances are resolved
+                result = macroInt.resolve(src)
+                assert.equal(src.c.url, "base_url")
+            })
+            it("options parameter 'clone' - errors", async () => {
+                const defaults = { a: "${URL}", b: { c: "${unknown | -m}" } }
+                expect(() =>
+                    macroInt.resolve(defaults, { clone: true })
+                ).to.throw(MacroInt.MacroIntAggregateError)
+                assert.deepEqual(defaults, {
+                    a: "${URL}",
+                    b: { c: "${unknown | -m}" },
+                })
+
+                let error
+                try {
+                    await macroInt.resolveAsync(defaults, { clone: true })
+                } catch (e) {
+                    error = e
+                }
+                assert.instanceOf(error, MacroInt.MacroIntAggregateError)
+                assert.equal(defaults.a, "${URL}")
+
+                result = await macroInt.resolveAsync(
+                    { a: "${URL}" },
+                    { clone: true }
+                )
+                assert.equal(result.a, "base_url")
+            })
             it("options parameter 'exclude'", () => {
                 result = macroInt.resolve(
                     { test: "${test}" },